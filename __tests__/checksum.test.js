@@ -0,0 +1,99 @@
+/**
+ * @file __tests__/checksum.test.js
+ * @description The checksum in the generated marker: how test files are classified by
+ * it, and how generation refuses to overwrite test files edited by hand or not
+ * generated at all unless forced.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { generateFiles } = require("../src");
+const { getExitCode } = require("../src/core/runReport");
+const {
+  GENERATED_MARKER,
+  addChecksum,
+  checkGeneratedContent,
+} = require("../src/core/generatedHeader");
+const { EXIT_CODES } = require("../src/utils/exitCodes");
+const { LOG_LEVELS, setLogLevel } = require("../src/utils/logger");
+
+const FOREIGN_CONTENT = "test('written by hand', () => {});\n";
+
+let projectDir;
+let previousDir;
+
+beforeAll(() => setLogLevel(LOG_LEVELS.SILENT));
+
+beforeEach(() => {
+  previousDir = process.cwd();
+  projectDir = fs.mkdtempSync(path.join(os.tmpdir(), "testweaver-checksum-"));
+  process.chdir(projectDir);
+  fs.writeFileSync("math.yaml", "math:\n  adds: ~\n");
+});
+
+afterEach(() => {
+  process.chdir(previousDir);
+  fs.rmSync(projectDir, { recursive: true, force: true });
+});
+
+describe("checkGeneratedContent", () => {
+  const content = addChecksum(`// ${GENERATED_MARKER}\nit.todo('adds');\n`);
+
+  test("recognizes an untouched file", () => {
+    expect(checkGeneratedContent(content)).toBe("intact");
+  });
+
+  test("recognizes a file edited after it was generated", () => {
+    expect(checkGeneratedContent(`${content}// edited\n`)).toBe("modified");
+  });
+
+  test("recognizes a file with the marker but no checksum", () => {
+    expect(checkGeneratedContent(`// ${GENERATED_MARKER}\n`)).toBe(
+      "unverified"
+    );
+  });
+
+  test("recognizes a file without the marker", () => {
+    expect(checkGeneratedContent(FOREIGN_CONTENT)).toBe("foreign");
+  });
+});
+
+describe("overwriting test files", () => {
+  test("refuses to overwrite a test file edited by hand", () => {
+    generateFiles("math.yaml");
+    const edited = `${fs.readFileSync("math.test.js", "utf8")}// edited\n`;
+    fs.writeFileSync("math.test.js", edited);
+    fs.writeFileSync("math.yaml", "math:\n  adds: ~\n  subtracts: ~\n");
+
+    const { results } = generateFiles("math.yaml");
+
+    expect(results[0]).toMatchObject({ status: "failed", reason: "write" });
+    expect(results[0].diagnostics[0].message).toContain("edited by hand");
+    expect(getExitCode(results)).toBe(EXIT_CODES.WRITE_ERROR);
+    expect(fs.readFileSync("math.test.js", "utf8")).toBe(edited);
+  });
+
+  test("refuses to overwrite a test file it did not generate", () => {
+    fs.writeFileSync("math.test.js", FOREIGN_CONTENT);
+
+    const [result] = generateFiles("math.yaml").results;
+
+    expect(result).toMatchObject({ status: "failed", reason: "write" });
+    expect(fs.readFileSync("math.test.js", "utf8")).toBe(FOREIGN_CONTENT);
+  });
+
+  test("overwrites a test file edited by hand with force", () => {
+    generateFiles("math.yaml");
+    fs.appendFileSync("math.test.js", "// edited\n");
+
+    const [result] = generateFiles("math.yaml", { force: true }).results;
+
+    expect(result.status).toBe("written");
+    const content = fs.readFileSync("math.test.js", "utf8");
+    expect(content).not.toContain("// edited");
+    expect(checkGeneratedContent(content)).toBe("intact");
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * @file __tests__/dryRun.test.js
+ * @description Dry runs report the test files they would write, through the API and
+ * the CLI, without touching the file system.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { generateFiles } = require("../src");
+const { GENERATED_MARKER } = require("../src/core/generatedHeader");
+const { LOG_LEVELS, setLogLevel } = require("../src/utils/logger");
+
+const CLI_PATH = path.join(__dirname, "..", "src", "cli.js");
+const DEFINITION = "math:\n  adds: ~\n";
+
+let projectDir;
+let previousDir;
+
+beforeAll(() => setLogLevel(LOG_LEVELS.SILENT));
+
+beforeEach(() => {
+  previousDir = process.cwd();
+  projectDir = fs.mkdtempSync(path.join(os.tmpdir(), "testweaver-dry-run-"));
+  process.chdir(projectDir);
+  fs.writeFileSync("math.yaml", DEFINITION);
+});
+
+afterEach(() => {
+  process.chdir(previousDir);
+  fs.rmSync(projectDir, { recursive: true, force: true });
+});
+
+describe("dry run", () => {
+  test("returns the content without writing the test file or manifest", () => {
+    const [result] = generateFiles("math.yaml", { dryRun: true }).results;
+
+    expect(result.status).toBe("dry-run");
+    expect(result.outputPath).toBe(
+      path.join(fs.realpathSync(projectDir), "math.test.js")
+    );
+    expect(result.content).toContain(GENERATED_MARKER);
+    expect(result.content).toContain("it.todo('adds');");
+    expect(fs.existsSync("math.test.js")).toBe(false);
+    expect(fs.existsSync(".testweaver")).toBe(false);
+  });
+
+  test("previews a merge without changing the existing test file", () => {
+    generateFiles("math.yaml");
+    const edited = fs
+      .readFileSync("math.test.js", "utf8")
+      .replace(
+        "it.todo('adds');",
+        "it('adds', () => {\n    expect(true).toBe(true);\n  });"
+      );
+    fs.writeFileSync("math.test.js", edited);
+    fs.writeFileSync("math.yaml", `${DEFINITION}  subtracts: ~\n`);
+
+    const [result] = generateFiles("math.yaml", {
+      dryRun: true,
+      merge: true,
+    }).results;
+
+    expect(result).toMatchObject({
+      status: "dry-run",
+      merged: true,
+      preserved: 1,
+    });
+    expect(result.content).toContain("expect(true).toBe(true);");
+    expect(result.content).toContain("it.todo('subtracts');");
+    expect(fs.readFileSync("math.test.js", "utf8")).toBe(edited);
+  });
+
+  test("reports the file it would write from the CLI and exits with 0", () => {
+    const run = spawnSync(
+      process.execPath,
+      [CLI_PATH, "generate", "math.yaml", "--dry-run"],
+      { cwd: projectDir, encoding: "utf8", timeout: 30000 }
+    );
+
+    expect(run.status).toBe(0);
+    expect(run.stdout).toContain("Would generate test file");
+    expect(fs.existsSync("math.test.js")).toBe(false);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * @file __tests__/escaping.test.js
+ * @description Titles with quotes, backslashes, line breaks and template syntax come
+ * out of the generated code exactly as they were written in the YAML.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const yaml = require("js-yaml");
+const { generate } = require("../src");
+
+const TITLES = [
+  "it's",
+  'say "hi"',
+  "back\\slash",
+  "line\nbreak",
+  "a ${value} `tick`",
+  "</script> */ end",
+];
+
+/**
+ * Runs generated code with `describe` and test functions recording the titles.
+ * @param {string} code - The generated code, without imports.
+ * @returns {string[]} The suite and test titles, in order.
+ */
+function collectTitles(code) {
+  const titles = [];
+  const record = (title) => titles.push(title);
+  const suite = (title, callback) => {
+    record(title);
+    callback();
+  };
+  const test = Object.assign(record, { todo: record, skip: record });
+  new Function("describe", "it", code)(suite, test);
+  return titles;
+}
+
+describe("escaping", () => {
+  const definition = {
+    "suite 'quoted'": Object.fromEntries(TITLES.map((title) => [title, null])),
+  };
+
+  test.each(["jest", "mocha"])("keeps the titles intact for %s", (name) => {
+    const { code } = generate(definition, {
+      framework: name,
+      moduleFormat: "cjs",
+    });
+
+    expect(collectTitles(code)).toEqual(["suite 'quoted'", ...TITLES]);
+  });
+
+  test("keeps the titles of a YAML source intact", () => {
+    const { code } = generate(yaml.dump(definition), { moduleFormat: "cjs" });
+
+    expect(collectTitles(code)).toEqual(["suite 'quoted'", ...TITLES]);
+  });
+
+  test("keeps a comment-closing step inside its comment", () => {
+    const { code } = generate(
+      { suite: { t: { $steps: ["Given a */ b", "Then 'c' \\ \"d\""] } } },
+      { moduleFormat: "cjs" }
+    );
+
+    expect(collectTitles(code)).toEqual(["suite", "t"]);
+    expect(code).toContain("// Given a */ b");
+  });
+});
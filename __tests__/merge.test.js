@@ -0,0 +1,126 @@
+/**
+ * @file __tests__/merge.test.js
+ * @description Merging regenerated test files into existing ones: hand-written test
+ * bodies survive, merging is stable when run again, and tests removed from the YAML
+ * are commented out or kept.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { generateFiles } = require("../src");
+const { checkGeneratedContent } = require("../src/core/generatedHeader");
+const { LOG_LEVELS, setLogLevel } = require("../src/utils/logger");
+
+const DEFINITION = `math:
+  adds:
+    $steps:
+      - Given two numbers
+  subtracts: ~
+`;
+const BODY = "expect(1 + 1).toBe(2);";
+
+let projectDir;
+let previousDir;
+
+beforeAll(() => setLogLevel(LOG_LEVELS.SILENT));
+
+beforeEach(() => {
+  previousDir = process.cwd();
+  projectDir = fs.mkdtempSync(path.join(os.tmpdir(), "testweaver-merge-"));
+  process.chdir(projectDir);
+  fs.writeFileSync("math.yaml", DEFINITION);
+});
+
+afterEach(() => {
+  process.chdir(previousDir);
+  fs.rmSync(projectDir, { recursive: true, force: true });
+});
+
+/**
+ * Generates the test file and replaces the placeholder body of 'adds' by hand.
+ * @returns {string} The edited content.
+ */
+function generateAndEdit() {
+  generateFiles("math.yaml");
+  const content = fs
+    .readFileSync("math.test.js", "utf8")
+    .replace("// TODO: implement test", BODY);
+  fs.writeFileSync("math.test.js", content);
+  return content;
+}
+
+describe("merge", () => {
+  test("keeps hand-written test bodies", () => {
+    generateAndEdit();
+    fs.writeFileSync("math.yaml", `${DEFINITION}  multiplies: ~\n`);
+
+    const [result] = generateFiles("math.yaml", { merge: true }).results;
+
+    expect(result).toMatchObject({
+      status: "written",
+      merged: true,
+      preserved: 1,
+    });
+    const content = fs.readFileSync("math.test.js", "utf8");
+    expect(content).toContain(BODY);
+    expect(content).toContain("it.todo('multiplies');");
+  });
+
+  test("leaves a merged file as it is when merging again", () => {
+    const edited = generateAndEdit();
+
+    const first = generateFiles("math.yaml", { merge: true, cache: false });
+    const second = generateFiles("math.yaml", { merge: true, cache: false });
+
+    [first, second].forEach(({ results }) =>
+      expect(results[0]).toMatchObject({ status: "unchanged", merged: true })
+    );
+    expect(fs.readFileSync("math.test.js", "utf8")).toBe(edited);
+  });
+
+  test("marks a merged file with hand-written bodies as edited by hand", () => {
+    generateAndEdit();
+    fs.writeFileSync("math.yaml", `${DEFINITION}  multiplies: ~\n`);
+    generateFiles("math.yaml", { merge: true });
+
+    const content = fs.readFileSync("math.test.js", "utf8");
+    expect(checkGeneratedContent(content)).toBe("modified");
+    const [result] = generateFiles("math.yaml", { cache: false }).results;
+    expect(result).toMatchObject({ status: "failed", reason: "write" });
+  });
+
+  test("comments out tests removed from the YAML", () => {
+    generateAndEdit();
+    fs.writeFileSync("math.yaml", "math:\n  subtracts: ~\n");
+
+    const [result] = generateFiles("math.yaml", { merge: true }).results;
+
+    expect(result.status).toBe("written");
+    expect(result.diagnostics).toEqual([
+      expect.objectContaining({
+        severity: "warning",
+        message: expect.stringContaining("Commenting out the orphaned test"),
+      }),
+    ]);
+    const content = fs.readFileSync("math.test.js", "utf8");
+    expect(content).toContain("/* testweaver:orphaned math > adds");
+    expect(content).toContain(BODY);
+  });
+
+  test("keeps tests removed from the YAML with orphanedTests 'keep'", () => {
+    generateAndEdit();
+    fs.writeFileSync("math.yaml", "math:\n  subtracts: ~\n");
+
+    generateFiles("math.yaml", { merge: true, orphanedTests: "keep" });
+
+    const content = fs.readFileSync("math.test.js", "utf8");
+    expect(content).not.toContain("/* testweaver:orphaned");
+    expect(content).toContain(
+      "// testweaver:orphaned math > adds\n  it.skip('adds'"
+    );
+    expect(content).toContain(BODY);
+  });
+});
@@ -0,0 +1,14 @@
+{{! The wrapper of a generated test file. Besides the values available to every
+    template (framework, config, source and output), it receives:
+      code             - the generated imports, hooks, suites and tests
+      generatedMarker  - the marker by which generated files are recognized; it
+                         must appear somewhere in the file }}
+/**
+ * @file {{output.fileName}}
+ * @description Generated test file{{#source.fileName}} from {{source.fileName}}{{/source.fileName}}.
+ * This file contains {{framework.displayName}} 'describe' and '{{config.testKeyword}}' blocks based on your {{source.description}}.
+ * Please fill in the actual test logic.
+ * {{generatedMarker}}
+ */
+
+{{code}}
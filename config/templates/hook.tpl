@@ -0,0 +1,7 @@
+{{! A lifecycle hook. It receives name (the framework's hook function), hook (the
+    YAML key without '$'), titlePath, path, depth, steps, async, open and close,
+    besides the values available to every template. The body placeholder must
+    stand on a line of its own. }}
+{{open}}
+  {{body}}
+{{close}}
@@ -0,0 +1,9 @@
+{{! A suite. It receives title, titleLiteral, titlePath, path, depth, modifiers,
+    callee, params, async, each, open (the call up to the opening brace of its
+    callback) and close, besides the values available to every template. The body
+    placeholder must stand on a line of its own; its indentation is added to the
+    hooks and children. The empty last line separates suites. }}
+{{open}}
+  {{body}}
+{{close}}
+
@@ -0,0 +1,13 @@
+{{! A test. It receives title, titleLiteral, titlePath, path, depth, modifiers,
+    steps, callee, params, async, each, open, close and todo (the placeholder
+    statement of a test without steps or modifiers, empty otherwise), besides the
+    values available to every template. The body placeholder must stand on a line
+    of its own. }}
+{{#todo}}
+{{todo}}
+{{/todo}}
+{{^todo}}
+{{open}}
+  {{body}}
+{{close}}
+{{/todo}}
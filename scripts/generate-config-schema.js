@@ -21,6 +21,9 @@ try {
   // Read and parse the default configuration file to infer types and defaults
   const defaultConfig = JSON.parse(fs.readFileSync(defaultConfigPath, "utf8"));
 
+  // Severities of the lint rules
+  const lintSeverities = ["off", "warning", "error"];
+
   // Define the JSON Schema structure
   const schema = {
     $schema: "http://json-schema.org/draft-07/schema#",
@@ -76,12 +79,128 @@ try {
         enum: ["it", "test"],
         default: defaultConfig.testKeyword,
       },
+      framework: {
+        type: "string",
+        description:
+          "Test framework to generate code for ('jest', 'vitest', 'mocha', 'node' for node:test, or 'jasmine').",
+        enum: ["jest", "vitest", "mocha", "node", "jasmine"],
+        default: defaultConfig.framework,
+      },
+      outputFileName: {
+        type: "string",
+        description:
+          "File name template for generated test files. '{name}' is replaced with the YAML file name without extension (e.g., '{name}.spec.ts').",
+        pattern: "\\{name\\}",
+        default: defaultConfig.outputFileName,
+      },
+      moduleFormat: {
+        type: "string",
+        description:
+          "Module format of generated files: 'esm' (import), 'cjs' (require) or 'auto' to derive it from the output file extension and framework.",
+        enum: ["auto", "esm", "cjs"],
+        default: defaultConfig.moduleFormat,
+      },
+      outDir: {
+        type: "string",
+        description:
+          "Directory to write generated test files to, mirroring the directory structure below 'rootDir'. Leave empty to write them next to their YAML source.",
+        default: defaultConfig.outDir,
+      },
+      rootDir: {
+        type: "string",
+        description:
+          "Root directory of the YAML sources whose structure is mirrored in 'outDir'.",
+        default: defaultConfig.rootDir,
+      },
       noCleanup: {
         type: "boolean",
         description:
-          "Do not delete generated .test.js files when source YAML is unlinked in watch mode.",
+          "Do not delete generated test files when source YAML is unlinked in watch mode.",
         default: defaultConfig.noCleanup,
       },
+      cache: {
+        type: "boolean",
+        description:
+          "Record generated test files in .testweaver/manifest.json and skip YAML files whose test files are up to date.",
+        default: defaultConfig.cache,
+      },
+      concurrency: {
+        type: "integer",
+        minimum: 0,
+        description:
+          "Number of YAML files generated at once, using worker threads. 0 uses one per CPU core.",
+        default: defaultConfig.concurrency,
+      },
+      merge: {
+        type: "boolean",
+        description:
+          "Merge regenerated output into existing test files, preserving implemented test bodies, hooks and helper code.",
+        default: defaultConfig.merge,
+      },
+      orphanedTests: {
+        type: "string",
+        description:
+          "In merge mode, how to handle implemented tests whose YAML entry was removed ('keep' or 'comment').",
+        enum: ["keep", "comment"],
+        default: defaultConfig.orphanedTests,
+      },
+      stepDefinitions: {
+        type: "string",
+        description:
+          "Path to a step definition file (YAML or JSON) mapping step patterns to code. Leave empty to write steps as comments.",
+        default: defaultConfig.stepDefinitions,
+      },
+      templateDir: {
+        type: "string",
+        description:
+          "Directory with templates (file.tpl, suite.tpl, test.tpl, hook.tpl) overriding the built-in ones that shape generated test files. Leave empty to use the built-in templates.",
+        default: defaultConfig.templateDir,
+      },
+      plugins: {
+        type: "array",
+        description:
+          "Plugins to load: paths relative to the working directory (e.g., './tw-plugin.js') or package names. Plugins can add commands, YAML keys, definition file parsers and lifecycle hooks.",
+        items: {
+          type: "string",
+        },
+        default: defaultConfig.plugins,
+      },
+      lint: {
+        type: "object",
+        description:
+          "Lint rules checked before generating test files, each set to 'off', 'warning' or 'error'. 'max-depth' also takes the maximum nesting depth of suites, as in ['warning', 5].",
+        properties: {
+          "duplicate-title": {
+            description: "Tests declared more than once under the same suites.",
+            enum: lintSeverities,
+          },
+          "empty-title": {
+            description: "Tests and suites with empty titles.",
+            enum: lintSeverities,
+          },
+          "similar-title": {
+            description: "Sibling titles that differ only by case or whitespace.",
+            enum: lintSeverities,
+          },
+          "max-depth": {
+            description: "Suites nested deeper than the maximum depth.",
+            oneOf: [
+              { enum: lintSeverities },
+              {
+                type: "array",
+                items: [
+                  { enum: lintSeverities },
+                  { type: "integer", minimum: 1 },
+                ],
+                minItems: 2,
+                maxItems: 2,
+              },
+            ],
+          },
+        },
+        additionalProperties: false,
+        default: defaultConfig.lint,
+      },
       quick: {
         type: "boolean",
         description:
@@ -91,7 +210,7 @@ try {
       force: {
         type: "boolean",
         description:
-          "For the 'init' command: Force overwriting the configuration file if it already exists.",
+          "Force overwriting existing files: the configuration file for the 'init' command, and test files edited by hand or not generated by TestWeaver for the 'generate' command.",
         default: defaultConfig.force,
       },
       "no-defaults": {
@@ -111,7 +230,20 @@ try {
       "silent",
       "dryRun",
       "testKeyword",
+      "framework",
+      "outputFileName",
+      "moduleFormat",
+      "outDir",
+      "rootDir",
       "noCleanup",
+      "cache",
+      "concurrency",
+      "merge",
+      "orphanedTests",
+      "stepDefinitions",
+      "templateDir",
+      "plugins",
+      "lint",
       "quick",
       "force",
       "no-defaults",
@@ -18,13 +18,15 @@ const { Command } = require("commander");
 
 // Import modularized components
 const { LOG_LEVELS, setLogLevel, log } = require("./utils/logger");
-const { loadCommands } = require("./utils/commandLoader");
+const { loadCommands, loadPluginCommands } = require("./utils/commandLoader");
+const { readConfiguredPlugins } = require("./config/configLoader");
 
 /**
  * Main function to set up and run the CLI.
  * This function initializes the Commander.js program, loads package metadata,
- * defines global logging options, dynamically loads all commands from the 'src/commands' directory,
- * and handles the default behavior if no specific command is provided.
+ * defines global logging options, dynamically loads all commands from the 'src/commands' directory
+ * and from the configured plugins, and handles the default behavior if no specific command is provided.
+ * @returns {Promise<Command>} Settles when the command has finished.
  */
 function main() {
   const program = new Command();
@@ -85,15 +87,23 @@ function main() {
   const commandsDirPath = path.join(__dirname, "commands");
   loadCommands(program, commandsDirPath);
 
+  // Register the commands of plugins declared in the project configuration
+  loadPluginCommands(program, readConfiguredPlugins(process.argv.slice(2)));
+
   // Configure help output to sort options alphabetically
   program.configureHelp({
     sortOptions: true,
     sortSubcommands: true, // Ensure subcommands are also sorted
   });
 
-  // Parse arguments. This will trigger the action of the matched command.
-  program.parse(process.argv);
+  // Parse arguments. This will trigger the action of the matched command, which
+  // may finish asynchronously.
+  return program.parseAsync(process.argv);
+}
+
+// Execute the main function when the script is run, not when it is required
+if (require.main === module) {
+  main();
 }
 
-// Execute the main function when the script is run
-main();
+module.exports = { main };
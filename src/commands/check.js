@@ -0,0 +1,206 @@
+/**
+ * @file src/commands/check.js
+ * @description Defines the 'check' command for the CLI, which verifies that generated
+ * test files are up to date with their YAML definitions without writing anything.
+ * Exits with a non-zero code when any test file is stale, missing or orphaned.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { LOG_LEVELS, setLogLevel, log } = require("../utils/logger");
+const { loadConfig } = require("../config/configLoader");
+const { renderFile } = require("../core/fileProcessor");
+const { findDefinitionFiles } = require("../core/definitionLoader");
+const { getOutputFilePath } = require("../core/outputPaths");
+const { findOwnedTestFiles } = require("../core/cleaner");
+const { loadManifest } = require("../core/manifest");
+
+/**
+ * Compares the would-be output for every matched YAML file with what is on disk.
+ * @param {object} cliConfig - The final configuration object.
+ * @returns {{checked: number, outdated: string[], missing: string[], orphaned: string[], errors: string[]}}
+ * The check results, with file paths relative to the current working directory.
+ */
+function runCheck(cliConfig) {
+  const result = {
+    checked: 0,
+    outdated: [],
+    missing: [],
+    orphaned: [],
+    errors: [],
+  };
+  const expectedOutputs = new Set();
+  const relative = (file) => path.relative(process.cwd(), file);
+
+  for (const yamlFile of findDefinitionFiles(cliConfig)) {
+    result.checked++;
+    let rendered;
+    try {
+      // Register the output first so a failing yaml file does not make it look orphaned
+      expectedOutputs.add(getOutputFilePath(yamlFile, cliConfig));
+      rendered = renderFile(yamlFile, cliConfig);
+    } catch (error) {
+      result.errors.push(`${relative(yamlFile)}: ${error.message}`);
+      continue;
+    }
+    if (!rendered) {
+      log(
+        `⚠️ yaml file '${relative(yamlFile)}' is empty or does not contain a valid object structure. skipping.`,
+        LOG_LEVELS.WARN
+      );
+      continue;
+    }
+
+    const { outputFilePath, content } = rendered;
+    if (!fs.existsSync(outputFilePath)) {
+      result.missing.push(relative(outputFilePath));
+    } else if (fs.readFileSync(outputFilePath, "utf8") !== content) {
+      result.outdated.push(relative(outputFilePath));
+    } else {
+      log(`up to date: ${relative(outputFilePath)}`, LOG_LEVELS.VERBOSE);
+    }
+  }
+
+  // Generated test files of the patterns' yaml files that no matched yaml file produces
+  result.orphaned = findOwnedTestFiles(cliConfig, loadManifest(cliConfig))
+    .filter((file) => !expectedOutputs.has(file))
+    .map(relative);
+  return result;
+}
+
+/**
+ * Logs a titled list of files, if the list is not empty.
+ * @param {string} title - The list title.
+ * @param {string[]} files - The files to list.
+ */
+function logFileList(title, files) {
+  if (files.length === 0) return;
+  log(`\n${title}`, LOG_LEVELS.ERROR);
+  files.forEach((file) => log(`    - ${file}`, LOG_LEVELS.ERROR));
+}
+
+/**
+ * Registers the 'check' command with the Commander.js program.
+ * This command runs the same find/parse/generate pipeline as 'generate' but writes
+ * nothing; it compares the would-be output with the files on disk and exits with
+ * code 1 if any generated test file is out of date, missing or orphaned.
+ * @param {Command} program - The Commander.js program instance.
+ */
+module.exports = (program) => {
+  program
+    .command("check")
+    .description(
+      "verify that generated test files are up to date with their yaml definitions"
+    )
+    .argument(
+      "[patterns...]",
+      "one or more glob patterns for yaml files. overrides config",
+      []
+    )
+    .option(
+      "-c, --config <filename>",
+      "specify a custom configuration file to load patterns from. overrides default cascade"
+    )
+    .option(
+      "-i, --ignore <patterns...>",
+      "list of glob file patterns to exclude from matched files. overrides config",
+      []
+    )
+    .option(
+      "-k, --test-keyword <keyword>",
+      "specify keyword for test blocks (it or test)"
+    )
+    .option(
+      "-f, --framework <name>",
+      "test framework to generate code for (jest, vitest, mocha, node or jasmine)"
+    )
+    .option(
+      "-o, --output-file-name <template>",
+      "file name template for generated test files, e.g. '{name}.spec.ts'. overrides config"
+    )
+    .option(
+      "--module-format <format>",
+      "module format of generated files (auto, esm or cjs). overrides config"
+    )
+    .option(
+      "--out-dir <dir>",
+      "directory to write generated test files to, mirroring the source tree. overrides config"
+    )
+    .option(
+      "--root-dir <dir>",
+      "root directory of the yaml sources mirrored in the output directory. overrides config"
+    )
+    .option(
+      "-m, --merge",
+      "compare against the merged output, as 'generate --merge' would write it"
+    )
+    .option(
+      "--orphaned-tests <mode>",
+      "in merge mode, keep or comment out tests removed from the yaml (keep or comment)"
+    )
+    .option(
+      "--step-definitions <file>",
+      "step definition file used to turn steps into code. overrides config"
+    )
+    .option(
+      "--template-dir <dir>",
+      "directory with templates overriding the built-in file, suite, test and hook templates. overrides config"
+    )
+    .configureHelp({ sortOptions: true })
+    .action((cliPatterns, options) => {
+      const mainCliDir = path.join(__dirname, "../"); // Go up from src/commands/ to src/
+      const { cliConfig, configSource } = loadConfig(
+        cliPatterns,
+        options,
+        mainCliDir
+      );
+
+      setLogLevel(cliConfig.logLevel);
+      log(`🔎 checking generated test files...`, LOG_LEVELS.INFO);
+      log(
+        `⚙️ effective configuration sourced from: ${configSource}`,
+        LOG_LEVELS.VERBOSE
+      );
+
+      if (cliConfig.effectivePatterns.length === 0) {
+        log(
+          `\n⚠️ no patterns specified via command line or configuration files.`,
+          LOG_LEVELS.WARN
+        );
+        process.exitCode = 1;
+        return;
+      }
+
+      const result = runCheck(cliConfig);
+
+      logFileList("❌ out-of-date test files:", result.outdated);
+      logFileList("❌ missing test files:", result.missing);
+      logFileList(
+        "❌ orphaned generated test files (no matching yaml):",
+        result.orphaned
+      );
+      logFileList("❌ yaml files that could not be processed:", result.errors);
+
+      const problems =
+        result.outdated.length +
+        result.missing.length +
+        result.orphaned.length +
+        result.errors.length;
+
+      if (problems > 0) {
+        log(
+          `\n${problems} problem(s) found in ${result.checked} yaml files. run 'testweaver generate' to update the test files.`,
+          LOG_LEVELS.ERROR
+        );
+        process.exitCode = 1;
+      } else {
+        log(
+          `\n✅ all test files for ${result.checked} yaml files are up to date.`,
+          LOG_LEVELS.INFO
+        );
+      }
+    });
+};
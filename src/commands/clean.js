@@ -0,0 +1,173 @@
+/**
+ * @file src/commands/clean.js
+ * @description Defines the 'clean' command for the CLI, which deletes the test files
+ * TestWeaver generated (found by the generated marker in their header or in the
+ * manifest), or only the orphaned ones whose YAML file no longer exists. Files edited
+ * by hand since they were generated are kept unless `--force` is given.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { LOG_LEVELS, setLogLevel, log } = require("../utils/logger");
+const { loadConfig } = require("../config/configLoader");
+const { findCleanTargets } = require("../core/cleaner");
+const {
+  MANIFEST_PATH,
+  forgetSource,
+  loadManifest,
+  saveManifest,
+} = require("../core/manifest");
+
+/**
+ * Deletes the generated test files, or reports which would be deleted in dry run mode.
+ * @param {object} cliConfig - The final configuration object.
+ * @param {object} options - Options from the CLI (`orphans` and `force`).
+ * @returns {{found: number, deleted: string[], kept: string[], errors: string[]}} The
+ * outcome, with file paths relative to the current working directory.
+ */
+function runClean(cliConfig, options) {
+  const relative = (file) => path.relative(process.cwd(), file);
+  const manifest = loadManifest(cliConfig);
+  const targets = findCleanTargets(cliConfig, manifest, {
+    orphansOnly: Boolean(options.orphans),
+  });
+  const result = { found: targets.length, deleted: [], kept: [], errors: [] };
+
+  targets.forEach(({ outputPath, recordedSourcePath, orphaned, edited }) => {
+    const description = `${relative(outputPath)}${orphaned ? " (orphaned)" : ""}`;
+    if (edited && !options.force) {
+      log(
+        `⚠️ keeping ${description}: it was edited by hand since it was generated. use --force to delete it.`,
+        LOG_LEVELS.WARN
+      );
+      result.kept.push(relative(outputPath));
+      return;
+    }
+    if (cliConfig.isDryRun) {
+      log(`would delete ${description} (dry run)`, LOG_LEVELS.INFO);
+      result.deleted.push(relative(outputPath));
+      return;
+    }
+    try {
+      fs.unlinkSync(outputPath);
+      if (recordedSourcePath) forgetSource(manifest, recordedSourcePath);
+      log(`🗑️ deleted ${description}`, LOG_LEVELS.INFO);
+      result.deleted.push(relative(outputPath));
+    } catch (err) {
+      log(`❌ could not delete ${description}: ${err.message}`, LOG_LEVELS.ERROR);
+      result.errors.push(relative(outputPath));
+    }
+  });
+
+  if (!cliConfig.isDryRun && result.deleted.length > 0) {
+    try {
+      saveManifest(manifest);
+    } catch (err) {
+      log(`⚠️ could not write ${MANIFEST_PATH}: ${err.message}`, LOG_LEVELS.WARN);
+    }
+  }
+  return result;
+}
+
+/**
+ * Registers the 'clean' command with the Commander.js program.
+ * This command deletes generated test files, all of them or only the orphaned ones,
+ * and exits with code 1 if any file was kept because it was edited by hand or could
+ * not be deleted.
+ * @param {Command} program - The Commander.js program instance.
+ */
+module.exports = (program) => {
+  program
+    .command("clean")
+    .description(
+      "delete generated test files, or only those whose yaml file no longer exists"
+    )
+    .argument(
+      "[patterns...]",
+      "one or more glob patterns for yaml files. overrides config",
+      []
+    )
+    .option(
+      "-c, --config <filename>",
+      "specify a custom configuration file to load patterns from. overrides default cascade"
+    )
+    .option(
+      "-i, --ignore <patterns...>",
+      "list of glob file patterns to exclude from matched files. overrides config",
+      []
+    )
+    .option(
+      "--orphans",
+      "only delete generated test files whose yaml file no longer exists"
+    )
+    .option(
+      "-n, --dry-run",
+      "list the test files that would be deleted without deleting them"
+    )
+    .option(
+      "--force",
+      "also delete generated test files that were edited by hand"
+    )
+    .option(
+      "-o, --output-file-name <template>",
+      "file name template for generated test files, e.g. '{name}.spec.ts'. overrides config"
+    )
+    .option(
+      "--out-dir <dir>",
+      "directory generated test files are written to. overrides config"
+    )
+    .option(
+      "--root-dir <dir>",
+      "root directory of the yaml sources mirrored in the output directory. overrides config"
+    )
+    .configureHelp({ sortOptions: true })
+    .action((cliPatterns, options) => {
+      const mainCliDir = path.join(__dirname, "../"); // Go up from src/commands/ to src/
+      const { cliConfig, configSource } = loadConfig(
+        cliPatterns,
+        options,
+        mainCliDir
+      );
+
+      setLogLevel(cliConfig.logLevel);
+      log(
+        options.orphans
+          ? `🧹 cleaning orphaned generated test files...`
+          : `🧹 cleaning generated test files...`,
+        LOG_LEVELS.INFO
+      );
+      log(
+        `⚙️ effective configuration sourced from: ${configSource}`,
+        LOG_LEVELS.VERBOSE
+      );
+
+      const result = runClean(cliConfig, options);
+
+      if (result.found === 0) {
+        log(
+          `\n✅ no ${options.orphans ? "orphaned " : ""}generated test files found.`,
+          LOG_LEVELS.INFO
+        );
+        return;
+      }
+      log(
+        `\n✨ ${result.deleted.length} of ${result.found} generated test file(s) ${
+          cliConfig.isDryRun ? "would be deleted" : "deleted"
+        }.`,
+        LOG_LEVELS.INFO
+      );
+      const notDeleted = result.kept.length + result.errors.length;
+      if (notDeleted > 0) {
+        log(
+          `❌ ${notDeleted} generated test file(s) ${
+            cliConfig.isDryRun ? "would not be" : "were not"
+          } deleted.`,
+          LOG_LEVELS.ERROR
+        );
+        process.exitCode = 1;
+      }
+    });
+};
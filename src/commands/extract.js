@@ -0,0 +1,193 @@
+/**
+ * @file src/commands/extract.js
+ * @description Defines the 'extract' command for the CLI, which reads existing test
+ * files and writes YAML definitions describing their suites, tests and hooks, so
+ * that hand-written test files can be brought under YAML management.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const fs = require("fs");
+const glob = require("glob");
+const path = require("path");
+
+const { LOG_LEVELS, setLogLevel, log } = require("../utils/logger");
+const { loadConfig } = require("../config/configLoader");
+const {
+  extractTestDefinition,
+  formatDefinition,
+} = require("../core/testExtractor");
+const { getDefinitionFilePath } = require("../core/outputPaths");
+
+/** Test files read when no patterns are given on the command line. */
+const DEFAULT_TEST_PATTERNS = [
+  "**/*.test.{js,jsx,mjs,cjs,ts,tsx,mts,cts}",
+  "**/*.spec.{js,jsx,mjs,cjs,ts,tsx,mts,cts}",
+];
+
+/** Directories never searched for test files. */
+const ALWAYS_IGNORED = ["**/node_modules/**", "**/.git/**"];
+
+/**
+ * Writes the YAML definition for a single test file.
+ * @param {string} testFilePath - The absolute path to the test file.
+ * @param {object} cliConfig - The final configuration object.
+ * @param {object} options - Options from the CLI (`force`).
+ * @returns {boolean} False if an error occurred, true otherwise.
+ */
+function extractFile(testFilePath, cliConfig, options) {
+  const relative = (file) => path.relative(process.cwd(), file);
+  try {
+    const yamlFilePath = getDefinitionFilePath(testFilePath, cliConfig);
+    const { definition, implemented, warnings } = extractTestDefinition(
+      fs.readFileSync(testFilePath, "utf8"),
+      testFilePath,
+      { definitionPath: yamlFilePath }
+    );
+
+    warnings.forEach((warning) =>
+      log(`⚠️ ${relative(testFilePath)}: ${warning}`, LOG_LEVELS.WARN)
+    );
+    if (!definition) {
+      log(
+        `⚠️ no suites or tests found in '${relative(testFilePath)}'. skipping.`,
+        LOG_LEVELS.WARN
+      );
+      return true;
+    }
+    if (implemented.length > 0) {
+      log(
+        `${relative(testFilePath)}: ${implemented.length} implemented test body(ies) stay in the test file; regenerate with --merge to keep them.`,
+        LOG_LEVELS.VERBOSE
+      );
+    }
+
+    const content = formatDefinition(definition);
+    if (fs.existsSync(yamlFilePath) && !options.force) {
+      log(
+        `⚠️ '${relative(yamlFilePath)}' already exists. use --force to overwrite it. skipping.`,
+        LOG_LEVELS.WARN
+      );
+      return true;
+    }
+
+    if (cliConfig.isDryRun) {
+      log(
+        `would write yaml file: ${relative(yamlFilePath)} (dry run)`,
+        LOG_LEVELS.INFO
+      );
+      log(
+        `--- content preview for ${relative(yamlFilePath)} ---\n${content}--- end preview ---`,
+        LOG_LEVELS.DEBUG
+      );
+    } else {
+      fs.mkdirSync(path.dirname(yamlFilePath), { recursive: true });
+      fs.writeFileSync(yamlFilePath, content, "utf8");
+      log(
+        `✅ extracted ${relative(testFilePath)} to ${relative(yamlFilePath)}`,
+        LOG_LEVELS.INFO
+      );
+    }
+    return true;
+  } catch (error) {
+    log(
+      `❌ error extracting '${relative(testFilePath)}': ${error.message}`,
+      LOG_LEVELS.ERROR
+    );
+    return false;
+  }
+}
+
+/**
+ * Registers the 'extract' command with the Commander.js program.
+ * This command parses existing test files and writes, for each of them, the YAML
+ * definition that 'generate' turns back into the same suites and tests. The YAML file
+ * is named so that generating it targets the original test file, using the output
+ * file name template (and `outDir`/`rootDir`) of the configuration.
+ * @param {Command} program - The Commander.js program instance.
+ */
+module.exports = (program) => {
+  program
+    .command("extract")
+    .description("write yaml definitions from existing test files")
+    .argument(
+      "[patterns...]",
+      "one or more glob patterns for test files (default: **/*.test.* and **/*.spec.*)",
+      []
+    )
+    .option(
+      "-c, --config <filename>",
+      "specify a custom configuration file to load settings from. overrides default cascade"
+    )
+    .option(
+      "-i, --ignore <patterns...>",
+      "list of glob file patterns to exclude from matched files",
+      []
+    )
+    .option(
+      "-o, --output-file-name <template>",
+      "file name template of the test files, e.g. '{name}.spec.ts', used to name the yaml files. overrides config"
+    )
+    .option(
+      "--out-dir <dir>",
+      "directory the test files were generated to, mirroring the source tree. overrides config"
+    )
+    .option(
+      "--root-dir <dir>",
+      "root directory the yaml files are written below when test files lie in the output directory. overrides config"
+    )
+    .option("-n, --dry-run", "show what would be written without writing files")
+    .option("--force", "overwrite existing yaml files")
+    .configureHelp({ sortOptions: true })
+    .action((cliPatterns, options) => {
+      const mainCliDir = path.join(__dirname, "../"); // Go up from src/commands/ to src/
+      const { cliConfig, configSource } = loadConfig([], options, mainCliDir);
+
+      setLogLevel(cliConfig.logLevel);
+      log(`📤 extracting yaml definitions from test files...`, LOG_LEVELS.INFO);
+      log(
+        `⚙️ effective configuration sourced from: ${configSource}`,
+        LOG_LEVELS.VERBOSE
+      );
+
+      const patterns =
+        cliPatterns.length > 0 ? cliPatterns : DEFAULT_TEST_PATTERNS;
+      const files = new Set();
+      patterns.forEach((pattern) =>
+        glob
+          .sync(pattern, {
+            absolute: true,
+            nodir: true,
+            ignore: [...ALWAYS_IGNORED, ...options.ignore],
+          })
+          .forEach((file) => files.add(file))
+      );
+
+      if (files.size === 0) {
+        log(
+          `\n🤷 no test files found for patterns: ${patterns.join(", ")}`,
+          LOG_LEVELS.INFO
+        );
+        return;
+      }
+
+      let failed = 0;
+      [...files].sort().forEach((file) => {
+        if (!extractFile(file, cliConfig, options)) failed++;
+      });
+
+      log(
+        `\n✨ extraction complete. processed ${files.size - failed} of ${
+          files.size
+        } test files.`,
+        LOG_LEVELS.INFO
+      );
+      if (failed > 0) {
+        log(
+          `❌ ${failed} error(s) occurred while extracting yaml files.`,
+          LOG_LEVELS.ERROR
+        );
+        process.exitCode = 1;
+      }
+    });
+};
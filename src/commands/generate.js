@@ -11,8 +11,27 @@ const path = require("path"); // Needed for __dirname in loadConfig call
 
 const { LOG_LEVELS, setLogLevel, log } = require("../utils/logger");
 const { loadConfig } = require("../config/configLoader");
-const { processFile } = require("../core/fileProcessor");
+const {
+  logGenerationResult,
+  processFile,
+} = require("../core/fileProcessor");
+const { runPipeline } = require("../core/pipeline");
 const { startWatcher } = require("../core/watcher");
+const {
+  createRunReport,
+  getExitCode,
+  summarizeResults,
+  writeRunReport,
+} = require("../core/runReport");
+const { formatDiagnostic } = require("../core/diagnostics");
+const { EXIT_CODES } = require("../utils/exitCodes");
+const {
+  MANIFEST_PATH,
+  findOrphanedOutputs,
+  forgetSource,
+  loadManifest,
+  saveManifest,
+} = require("../core/manifest");
 
 /**
  * Logs the effective configuration and any command-line overrides.
@@ -61,6 +80,82 @@ function logConfigurationDetails(
       LOG_LEVELS.INFO
     ); // Adjusted for lowercase consistency
   }
+  if (options.framework) {
+    log(
+      `override: generating ${cliConfig.framework} tests from command line.`,
+      LOG_LEVELS.INFO
+    );
+  } else if (cliConfig.framework !== "jest") {
+    log(
+      `generating ${cliConfig.framework} tests from configuration.`,
+      LOG_LEVELS.INFO
+    );
+  }
+  if (options.outputFileName) {
+    log(
+      `override: writing test files as '${cliConfig.outputFileName}' from command line.`,
+      LOG_LEVELS.INFO
+    );
+  } else if (cliConfig.outputFileName !== "{name}.test.js") {
+    log(
+      `writing test files as '${cliConfig.outputFileName}' from configuration.`,
+      LOG_LEVELS.INFO
+    );
+  }
+  if (options.outDir) {
+    log(
+      `override: writing test files below '${cliConfig.outDir}' from command line.`,
+      LOG_LEVELS.INFO
+    );
+  } else if (cliConfig.outDir) {
+    log(
+      `writing test files below '${cliConfig.outDir}' from configuration.`,
+      LOG_LEVELS.INFO
+    );
+  }
+  if (options.merge) {
+    log(`override: merge mode enabled from command line.`, LOG_LEVELS.INFO);
+  } else if (cliConfig.merge) {
+    log(`merge mode enabled from configuration.`, LOG_LEVELS.INFO);
+  }
+  if (options.stepDefinitions) {
+    log(
+      `override: using step definitions from '${cliConfig.stepDefinitions}' from command line.`,
+      LOG_LEVELS.INFO
+    );
+  } else if (cliConfig.stepDefinitions) {
+    log(
+      `using step definitions from '${cliConfig.stepDefinitions}' from configuration.`,
+      LOG_LEVELS.INFO
+    );
+  }
+  if (options.templateDir) {
+    log(
+      `override: using templates from '${cliConfig.templateDir}' from command line.`,
+      LOG_LEVELS.INFO
+    );
+  } else if (cliConfig.templateDir) {
+    log(
+      `using templates from '${cliConfig.templateDir}' from configuration.`,
+      LOG_LEVELS.INFO
+    );
+  }
+  if (options.force) {
+    log(
+      `override: overwriting test files edited by hand from command line.`,
+      LOG_LEVELS.INFO
+    );
+  } else if (cliConfig.force) {
+    log(
+      `overwriting test files edited by hand from configuration.`,
+      LOG_LEVELS.INFO
+    );
+  }
+  if (options.cache === false) {
+    log(`override: cache disabled from command line.`, LOG_LEVELS.INFO);
+  } else if (!cliConfig.cache) {
+    log(`cache disabled from configuration.`, LOG_LEVELS.INFO);
+  }
   if (options.noCleanup) {
     log(`override: cleanup disabled from command line.`, LOG_LEVELS.INFO); // Adjusted for lowercase consistency
   } else if (cliConfig.noCleanup) {
@@ -68,6 +163,52 @@ function logConfigurationDetails(
   }
 }
 
+/**
+ * Loads the manifest for incremental generation, unless the cache is disabled or
+ * nothing is written (dry run).
+ * @param {object} cliConfig - The final configuration object.
+ * @returns {object|null} The manifest, or null.
+ */
+function openManifest(cliConfig) {
+  return cliConfig.cache && !cliConfig.isDryRun ? loadManifest(cliConfig) : null;
+}
+
+/**
+ * Writes the manifest after generating files, logging a failure instead of throwing.
+ * @param {object|null} manifest - The manifest, or null if the cache is disabled.
+ */
+function storeManifest(manifest) {
+  if (!manifest) return;
+  try {
+    saveManifest(manifest);
+  } catch (err) {
+    log(`⚠️ could not write ${MANIFEST_PATH}: ${err.message}`, LOG_LEVELS.WARN);
+  }
+}
+
+/**
+ * Reports the generated test files the manifest records for yaml files that no longer
+ * exist, such as yaml files deleted while not in watch mode. Entries whose test file
+ * is gone as well are dropped from the manifest.
+ * @param {object|null} manifest - The manifest, or null if the cache is disabled.
+ */
+function reportOrphanedOutputs(manifest) {
+  if (!manifest) return;
+  const relative = (file) => path.relative(process.cwd(), file);
+  findOrphanedOutputs(manifest).forEach(({ sourcePath, outputPath, exists }) => {
+    if (!exists) {
+      forgetSource(manifest, sourcePath);
+      return;
+    }
+    log(
+      `⚠️ orphaned test file: ${relative(outputPath)} (its yaml file ${relative(
+        sourcePath
+      )} no longer exists. run 'testweaver clean --orphans' to delete it)`,
+      LOG_LEVELS.WARN
+    );
+  });
+}
+
 /**
  * Starts the watcher to monitor file changes.
  * @param {object} cliConfig - The final configuration object.
@@ -90,31 +231,29 @@ function runWatchMode(cliConfig) {
     LOG_LEVELS.INFO
   ); // Adjusted for lowercase consistency
   log(`(press ctrl+c to exit)`, LOG_LEVELS.INFO); // Adjusted for lowercase consistency
-  startWatcher(cliConfig, processFile);
+  const manifest = openManifest(cliConfig);
+  startWatcher(cliConfig, (file, config) => {
+    const succeeded = processFile(file, config, manifest);
+    storeManifest(manifest);
+    return succeeded;
+  });
 }
 
 /**
- * Performs a single pass of file processing based on the configuration.
+ * Finds the YAML files matched by the effective patterns. A file matched by several
+ * patterns is listed once.
  * @param {object} cliConfig - The final configuration object.
+ * @returns {Promise<{files: string[], failedPatterns: number}>} Absolute paths of the
+ * files, sorted, and the number of patterns that could not be searched.
  */
-function runSinglePass(cliConfig) {
-  // No longer async as glob.sync is used
-  log(
-    `🔍 using effective patterns: ${cliConfig.effectivePatterns.join(", ")}`,
-    LOG_LEVELS.INFO
-  ); // Adjusted for lowercase consistency
-  log(
-    `excluding: ${cliConfig.effectiveIgnorePatterns.join(", ")}`,
-    LOG_LEVELS.INFO
-  ); // Adjusted for lowercase consistency
-
-  let filesFound = 0;
-  let filesProcessed = 0;
+async function findYamlFiles(cliConfig) {
+  const files = new Set();
+  let matches = 0;
+  let failedPatterns = 0;
 
   for (const pattern of cliConfig.effectivePatterns) {
     try {
-      // Switched to synchronous glob.sync
-      const matchingFiles = glob.sync(pattern, {
+      const matchingFiles = await glob.glob(pattern, {
         absolute: true,
         nodir: true,
         ignore: cliConfig.effectiveIgnorePatterns,
@@ -130,29 +269,172 @@ function runSinglePass(cliConfig) {
           `found ${matchingFiles.length} files for pattern '${pattern}'.`,
           LOG_LEVELS.INFO
         ); // Adjusted for lowercase consistency
-        filesFound += matchingFiles.length;
-        matchingFiles.forEach((file) => processFile(file, cliConfig));
-        filesProcessed += matchingFiles.length;
+        matches += matchingFiles.length;
+        matchingFiles.forEach((file) => files.add(file));
       }
     } catch (err) {
       log(
         `❌ error finding files for pattern '${pattern}': ${err.message}`,
         LOG_LEVELS.ERROR
       ); // Adjusted for lowercase consistency
+      failedPatterns++;
     }
   }
 
-  if (filesFound > 0) {
+  if (matches > files.size) {
     log(
-      `\n✨ cli execution complete. processed ${filesProcessed} of ${filesFound} yaml files.`,
+      `${matches - files.size} file(s) matched by more than one pattern will be processed once.`,
+      LOG_LEVELS.VERBOSE
+    );
+  }
+  return { files: [...files].sort(), failedPatterns };
+}
+
+/**
+ * Formats a duration for the timing summary.
+ * @param {number} milliseconds - The duration.
+ * @returns {string} The duration, e.g. '840ms' or '2.35s'.
+ */
+function formatDuration(milliseconds) {
+  return milliseconds < 1000
+    ? `${milliseconds}ms`
+    : `${(milliseconds / 1000).toFixed(2)}s`;
+}
+
+/**
+ * Logs the outcome of a run: a table counting the yaml files per status, followed by
+ * the files that failed and why.
+ * @param {Array<object>} results - The outcomes, as from `runPipeline`.
+ * @param {object} cliConfig - The final configuration object.
+ */
+function logRunSummary(results, cliConfig) {
+  const summary = summarizeResults(results);
+  const rows = [
+    [
+      cliConfig.isDryRun ? "would generate" : "generated",
+      summary.written + summary.dryRun,
+    ],
+    ["unchanged", summary.unchanged],
+    ["skipped", summary.skipped],
+    ["failed", summary.failed],
+    ["total", summary.total],
+  ];
+  log(`\n📊 summary:`, LOG_LEVELS.INFO);
+  rows.forEach(([label, count]) => {
+    log(`    ${label.padEnd(16)}${String(count).padStart(5)}`, LOG_LEVELS.INFO);
+  });
+
+  const failed = results.filter(({ status }) => status === "failed");
+  if (failed.length > 0) {
+    log(`\n❌ failed yaml files:`, LOG_LEVELS.ERROR);
+    failed.forEach(({ sourcePath, reason, diagnostics }) => {
+      const error = diagnostics.find(({ severity }) => severity === "error");
+      log(
+        `    - ${path.relative(process.cwd(), sourcePath)} (${reason} error)${
+          error ? `: ${formatDiagnostic(error).split("\n")[0]}` : ""
+        }`,
+        LOG_LEVELS.ERROR
+      );
+    });
+  }
+}
+
+/**
+ * Writes the report of a run, logging a failure instead of throwing.
+ * @param {string} reportPath - The path of the report file.
+ * @param {object} report - The report from `createRunReport`.
+ * @returns {boolean} True if the report was written.
+ */
+function storeRunReport(reportPath, report) {
+  try {
+    const format = writeRunReport(reportPath, report);
+    log(`📝 wrote ${format} report to ${reportPath}`, LOG_LEVELS.INFO);
+    return true;
+  } catch (err) {
+    log(
+      `❌ could not write report to ${reportPath}: ${err.message}`,
+      LOG_LEVELS.ERROR
+    );
+    return false;
+  }
+}
+
+/**
+ * Performs a single pass of file processing based on the configuration: finds the
+ * YAML files, generates their test files through the pipeline and reports the
+ * outcome with a summary table, a timing summary and, if asked, a report file. The
+ * process exit code tells how the run went (see `EXIT_CODES`).
+ * @param {object} cliConfig - The final configuration object.
+ * @param {object} [options={}] - Options.
+ * @param {string} [options.reportPath] - Where to write the report: JUnit XML if it
+ * ends in `.xml`, JSON otherwise.
+ * @returns {Promise<void>} Settles when all files are processed.
+ */
+async function runSinglePass(cliConfig, options = {}) {
+  const { reportPath } = options;
+  log(
+    `🔍 using effective patterns: ${cliConfig.effectivePatterns.join(", ")}`,
+    LOG_LEVELS.INFO
+  ); // Adjusted for lowercase consistency
+  log(
+    `excluding: ${cliConfig.effectiveIgnorePatterns.join(", ")}`,
+    LOG_LEVELS.INFO
+  ); // Adjusted for lowercase consistency
+
+  const startedAt = Date.now();
+  const { files, failedPatterns } = await findYamlFiles(cliConfig);
+  const foundAt = Date.now();
+
+  const manifest = openManifest(cliConfig);
+  const { results, workers } = await runPipeline(files, cliConfig, {
+    manifest,
+    onResult: logGenerationResult,
+  });
+  reportOrphanedOutputs(manifest);
+  storeManifest(manifest);
+  const finishedAt = Date.now();
+
+  if (files.length > 0) {
+    logRunSummary(results, cliConfig);
+    log(
+      `\n⏱️ finished in ${formatDuration(
+        finishedAt - startedAt
+      )}: finding files ${formatDuration(
+        foundAt - startedAt
+      )}, generating ${formatDuration(finishedAt - foundAt)} (${
+        workers > 0 ? `${workers} worker thread(s)` : "main thread"
+      }).`,
       LOG_LEVELS.INFO
-    ); // Adjusted for lowercase consistency
+    );
   } else {
     log(
       `\n🤷 no yaml files were found or processed based on the provided patterns.`,
       LOG_LEVELS.INFO
     ); // Adjusted for lowercase consistency
   }
+
+  let exitCode = getExitCode(results, failedPatterns);
+  if (reportPath) {
+    const report = createRunReport(results, {
+      exitCode,
+      duration: finishedAt - startedAt,
+      failedPatterns,
+    });
+    if (!storeRunReport(reportPath, report) && exitCode === EXIT_CODES.SUCCESS) {
+      exitCode = EXIT_CODES.WRITE_ERROR;
+    }
+  }
+
+  const filesFailed =
+    results.filter(({ status }) => status === "failed").length + failedPatterns;
+  if (filesFailed > 0) {
+    log(
+      `❌ ${filesFailed} error(s) occurred while generating test files.`,
+      LOG_LEVELS.ERROR
+    );
+  }
+  // Let the process finish normally but signal the outcome to callers such as CI.
+  if (exitCode !== EXIT_CODES.SUCCESS) process.exitCode = exitCode;
 }
 
 /**
@@ -166,7 +448,7 @@ module.exports = (program) => {
   program
     .command("generate", { isDefault: true })
     .alias("g")
-    .description("generate jest test files from yaml definitions") // Changed to lowercase
+    .description("generate test files from yaml definitions") // Changed to lowercase
     .argument(
       "[patterns...]",
       "one or more glob patterns for yaml files. overrides config", // Changed to lowercase
@@ -191,16 +473,66 @@ module.exports = (program) => {
     )
     .option(
       "-k, --test-keyword <keyword>",
-      "specify keyword for test blocks (it or test)", // Changed to lowercase
-      "it"
+      "specify keyword for test blocks (it or test)" // Changed to lowercase
+    )
+    .option(
+      "-f, --framework <name>",
+      "test framework to generate code for (jest, vitest, mocha, node or jasmine)"
+    )
+    .option(
+      "-o, --output-file-name <template>",
+      "file name template for generated test files, e.g. '{name}.spec.ts'. overrides config"
+    )
+    .option(
+      "--module-format <format>",
+      "module format of generated files (auto, esm or cjs). overrides config"
+    )
+    .option(
+      "--out-dir <dir>",
+      "directory to write generated test files to, mirroring the source tree. overrides config"
+    )
+    .option(
+      "--root-dir <dir>",
+      "root directory of the yaml sources mirrored in the output directory. overrides config"
+    )
+    .option(
+      "-m, --merge",
+      "merge into existing test files, preserving implemented test bodies"
+    )
+    .option(
+      "--orphaned-tests <mode>",
+      "in merge mode, keep or comment out tests removed from the yaml (keep or comment)"
+    )
+    .option(
+      "--step-definitions <file>",
+      "step definition file used to turn steps into code. overrides config"
+    )
+    .option(
+      "--template-dir <dir>",
+      "directory with templates overriding the built-in file, suite, test and hook templates. overrides config"
+    )
+    .option(
+      "--force",
+      "overwrite test files that were edited by hand or not generated by testweaver"
+    )
+    .option(
+      "--concurrency <number>",
+      "number of yaml files to generate at once with worker threads (0 for one per cpu core). overrides config"
+    )
+    .option(
+      "--report <file>",
+      "write a report of the run to a file: junit xml if it ends in .xml, json otherwise"
+    )
+    .option(
+      "--no-cache",
+      "regenerate every yaml file instead of skipping those whose test files are up to date"
     )
     .option(
       "--no-cleanup",
-      "do not delete generated .test.js files when source yaml is unlinked in watch mode" // Changed to lowercase
+      "do not delete generated test files when source yaml is unlinked in watch mode" // Changed to lowercase
     )
     .configureHelp({ sortOptions: true })
     .action((cliPatterns, options) => {
-      // Removed 'async' from action as runSinglePass is no longer async
       // Pass __dirname of the main CLI entry point (src/cli.js) to loadConfig
       // This ensures configLoader can correctly find the default.json
       const mainCliDir = path.join(__dirname, "../"); // Go up from src/commands/ to src/
@@ -226,8 +558,8 @@ or define them in a config file (e.g., 'testweaver --config my-patterns.json').`
 
       if (cliConfig.watchMode) {
         runWatchMode(cliConfig);
-      } else {
-        runSinglePass(cliConfig);
+        return;
       }
+      return runSinglePass(cliConfig, { reportPath: options.report });
     });
 };
@@ -109,6 +109,7 @@ module.exports = (program) => {
           "**/*.spec.{yaml,yml}",
           "tests/**/*.{yaml,yml}",
           "features/**/*.{yaml,yml}",
+          "features/**/*.feature",
         ],
         ignore: ["node_modules", ".git", "temp_files/**/*.{yaml,yml}"],
         verbose: false,
@@ -116,7 +117,25 @@ module.exports = (program) => {
         silent: false,
         dryRun: false,
         testKeyword: "it",
+        framework: "jest",
+        outputFileName: "{name}.test.js",
+        moduleFormat: "auto",
+        outDir: "",
+        rootDir: ".",
         noCleanup: false,
+        cache: true,
+        concurrency: 0,
+        merge: false,
+        orphanedTests: "comment",
+        stepDefinitions: "",
+        templateDir: "",
+        plugins: [],
+        lint: {
+          "duplicate-title": "warning",
+          "empty-title": "warning",
+          "similar-title": "warning",
+          "max-depth": ["warning", 5],
+        },
         quick: false,
         force: false,
         "no-defaults": false,
@@ -220,6 +239,45 @@ module.exports = (program) => {
             choices: ["it", "test"],
             default: defaultConfigFileContent.testKeyword,
           },
+          {
+            type: "list",
+            name: "framework",
+            message: "choose the test framework to generate code for:",
+            choices: ["jest", "vitest", "mocha", "node", "jasmine"],
+            default: defaultConfigFileContent.framework,
+          },
+          {
+            type: "input",
+            name: "outputFileName",
+            message:
+              "file name template for generated test files ('{name}' is the yaml file name):",
+            default: defaultConfigFileContent.outputFileName,
+            validate: (input) =>
+              input.includes("{name}") ||
+              "the template must contain the '{name}' placeholder",
+          },
+          {
+            type: "list",
+            name: "moduleFormat",
+            message: "module format of generated files:",
+            choices: ["auto", "esm", "cjs"],
+            default: defaultConfigFileContent.moduleFormat,
+          },
+          {
+            type: "input",
+            name: "outDir",
+            message:
+              "directory for generated test files (leave empty to write them next to the yaml files):",
+            default: defaultConfigFileContent.outDir,
+          },
+          {
+            type: "input",
+            name: "rootDir",
+            message:
+              "root directory of the yaml files, mirrored inside the output directory:",
+            default: defaultConfigFileContent.rootDir,
+            when: (answers) => Boolean(answers.outDir),
+          },
           {
             type: "confirm",
             name: "dryRun",
@@ -234,6 +292,36 @@ module.exports = (program) => {
               "disable automatic cleanup of generated files when source yaml is deleted?", // Changed to lowercase
             default: defaultConfigFileContent.noCleanup,
           },
+          {
+            type: "confirm",
+            name: "merge",
+            message:
+              "merge regenerated output into existing test files, preserving implemented tests?",
+            default: defaultConfigFileContent.merge,
+          },
+          {
+            type: "list",
+            name: "orphanedTests",
+            message:
+              "in merge mode, how should tests removed from the yaml be handled?",
+            choices: ["comment", "keep"],
+            default: defaultConfigFileContent.orphanedTests,
+            when: (answers) => answers.merge,
+          },
+          {
+            type: "input",
+            name: "stepDefinitions",
+            message:
+              "step definition file turning steps into code (leave empty to write steps as comments):",
+            default: defaultConfigFileContent.stepDefinitions,
+          },
+          {
+            type: "input",
+            name: "templateDir",
+            message:
+              "directory with custom templates for generated files (leave empty for the built-in templates):",
+            default: defaultConfigFileContent.templateDir,
+          },
           {
             type: "confirm",
             name: "verbose",
@@ -272,8 +360,21 @@ module.exports = (program) => {
           ...new Set([...answers.ignore, ...answers.customIgnore]),
         ];
         finalConfig.testKeyword = answers.testKeyword;
+        finalConfig.framework = answers.framework;
+        finalConfig.outputFileName = answers.outputFileName;
+        finalConfig.moduleFormat = answers.moduleFormat;
+        finalConfig.outDir = answers.outDir;
+        if (answers.rootDir) {
+          finalConfig.rootDir = answers.rootDir;
+        }
         finalConfig.dryRun = answers.dryRun;
         finalConfig.noCleanup = answers.noCleanup;
+        finalConfig.merge = answers.merge;
+        if (answers.orphanedTests) {
+          finalConfig.orphanedTests = answers.orphanedTests;
+        }
+        finalConfig.stepDefinitions = answers.stepDefinitions;
+        finalConfig.templateDir = answers.templateDir;
         finalConfig.verbose = answers.verbose;
         finalConfig.debug = answers.debug;
         finalConfig.silent = answers.silent;
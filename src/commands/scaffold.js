@@ -0,0 +1,147 @@
+/**
+ * @file src/commands/scaffold.js
+ * @description Defines the 'scaffold' command for the CLI, which writes a starter YAML
+ * test definition for a module, with a suite per exported function or class.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { LOG_LEVELS, setLogLevel, log } = require("../utils/logger");
+const { loadConfig } = require("../config/configLoader");
+const { scaffoldModule } = require("../core/scaffolder");
+
+/**
+ * The directory starter definitions are written to by default. It matches the
+ * `tests/**\/*.{yaml,yml}` pattern of the default configuration.
+ */
+const DEFAULT_SCAFFOLD_DIR = "tests";
+
+/**
+ * Determines where the starter definition for a module is written: below the scaffold
+ * directory, mirroring the module's path relative to the current working directory.
+ * @param {string} modulePath - The absolute path to the module.
+ * @param {string} dir - The scaffold directory.
+ * @returns {string} The absolute path of the YAML file.
+ */
+function getScaffoldFilePath(modulePath, dir) {
+  let relativePath = path.relative(process.cwd(), modulePath);
+  if (relativePath.startsWith("..") || path.isAbsolute(relativePath)) {
+    relativePath = path.basename(modulePath);
+  }
+  const { dir: relativeDir, name } = path.parse(relativePath);
+  return path.resolve(dir, relativeDir, `${name}.yaml`);
+}
+
+/**
+ * Writes the starter definition for a single module.
+ * @param {string} modulePath - The path to the module, as given on the command line.
+ * @param {object} options - Options from the CLI (`dir`, `dryRun`, `force`).
+ * @returns {boolean} False if an error occurred, true otherwise.
+ */
+function scaffoldFile(modulePath, options) {
+  const relative = (file) => path.relative(process.cwd(), file);
+  const absolutePath = path.resolve(modulePath);
+  try {
+    const yamlFilePath = getScaffoldFilePath(absolutePath, options.dir);
+    const subjectPath = path
+      .relative(path.dirname(yamlFilePath), absolutePath)
+      .split(path.sep)
+      .join("/");
+    const { content, exports } = scaffoldModule(
+      fs.readFileSync(absolutePath, "utf8"),
+      relative(absolutePath),
+      subjectPath.startsWith("../") ? subjectPath : `./${subjectPath}`
+    );
+
+    if (!content) {
+      log(
+        `⚠️ no exported functions or classes found in '${relative(absolutePath)}'. skipping.`,
+        LOG_LEVELS.WARN
+      );
+      return true;
+    }
+    log(
+      `${relative(absolutePath)}: found ${exports.length} export(s): ${exports
+        .map((entry) => entry.name)
+        .join(", ")}`,
+      LOG_LEVELS.VERBOSE
+    );
+
+    if (fs.existsSync(yamlFilePath) && !options.force) {
+      log(
+        `⚠️ '${relative(yamlFilePath)}' already exists. use --force to overwrite it. skipping.`,
+        LOG_LEVELS.WARN
+      );
+      return true;
+    }
+
+    if (options.dryRun) {
+      log(
+        `would write yaml file: ${relative(yamlFilePath)} (dry run)\n${content}`,
+        LOG_LEVELS.INFO
+      );
+    } else {
+      fs.mkdirSync(path.dirname(yamlFilePath), { recursive: true });
+      fs.writeFileSync(yamlFilePath, content, "utf8");
+      log(
+        `✅ scaffolded ${relative(absolutePath)} to ${relative(yamlFilePath)}`,
+        LOG_LEVELS.INFO
+      );
+    }
+    return true;
+  } catch (error) {
+    log(
+      `❌ error scaffolding '${relative(absolutePath)}': ${error.message}`,
+      LOG_LEVELS.ERROR
+    );
+    return false;
+  }
+}
+
+/**
+ * Registers the 'scaffold' command with the Commander.js program.
+ * This command statically analyzes the exports of the given modules and writes a
+ * starter YAML definition for each, ready for 'generate', whose `$subject` imports the
+ * module's exports.
+ * @param {Command} program - The Commander.js program instance.
+ */
+module.exports = (program) => {
+  program
+    .command("scaffold")
+    .description("write starter yaml definitions from the exports of modules")
+    .argument("<modules...>", "one or more javascript or typescript modules")
+    .option(
+      "-c, --config <filename>",
+      "specify a custom configuration file to load settings from. overrides default cascade"
+    )
+    .option(
+      "--dir <dir>",
+      "directory to write the yaml files to, mirroring the module paths",
+      DEFAULT_SCAFFOLD_DIR
+    )
+    .option("-n, --dry-run", "show the yaml without writing files")
+    .option("--force", "overwrite existing yaml files")
+    .configureHelp({ sortOptions: true })
+    .action((modules, options) => {
+      const mainCliDir = path.join(__dirname, "../"); // Go up from src/commands/ to src/
+      const { cliConfig } = loadConfig([], options, mainCliDir);
+
+      setLogLevel(cliConfig.logLevel);
+      log(`🏗️ scaffolding yaml definitions...`, LOG_LEVELS.INFO);
+
+      const failed = modules.filter(
+        (modulePath) =>
+          !scaffoldFile(modulePath, { ...options, dryRun: cliConfig.isDryRun })
+      ).length;
+      if (failed > 0) {
+        log(
+          `❌ ${failed} error(s) occurred while scaffolding yaml files.`,
+          LOG_LEVELS.ERROR
+        );
+        process.exitCode = 1;
+      }
+    });
+};
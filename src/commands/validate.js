@@ -0,0 +1,100 @@
+/**
+ * @file src/commands/validate.js
+ * @description Defines the 'validate' command for the CLI, which checks every matched
+ * test definition against the test plan schema and reports each problem with its file,
+ * line and column. Exits with a non-zero code when any definition is invalid.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const path = require("path");
+
+const { LOG_LEVELS, setLogLevel, log } = require("../utils/logger");
+const { loadConfig } = require("../config/configLoader");
+const { findDefinitionFiles } = require("../core/definitionLoader");
+const { formatDiagnostic } = require("../core/diagnostics");
+const { validateDefinitionFile } = require("../core/testPlanSchema");
+
+/**
+ * Registers the 'validate' command with the Commander.js program.
+ * This command parses the matched definition files and validates them against the
+ * test plan schema without generating anything; it exits with code 1 if any file
+ * cannot be parsed or does not match the schema.
+ * @param {Command} program - The Commander.js program instance.
+ */
+module.exports = (program) => {
+  program
+    .command("validate")
+    .description(
+      "check yaml test definitions against the test plan schema without generating test files"
+    )
+    .argument(
+      "[patterns...]",
+      "one or more glob patterns for yaml files. overrides config",
+      []
+    )
+    .option(
+      "-c, --config <filename>",
+      "specify a custom configuration file to load patterns from. overrides default cascade"
+    )
+    .option(
+      "-i, --ignore <patterns...>",
+      "list of glob file patterns to exclude from matched files. overrides config",
+      []
+    )
+    .configureHelp({ sortOptions: true })
+    .action((cliPatterns, options) => {
+      const mainCliDir = path.join(__dirname, "../"); // Go up from src/commands/ to src/
+      const { cliConfig, configSource } = loadConfig(
+        cliPatterns,
+        options,
+        mainCliDir
+      );
+
+      setLogLevel(cliConfig.logLevel);
+      log(`🔎 validating test definitions...`, LOG_LEVELS.INFO);
+      log(
+        `⚙️ effective configuration sourced from: ${configSource}`,
+        LOG_LEVELS.VERBOSE
+      );
+
+      if (cliConfig.effectivePatterns.length === 0) {
+        log(
+          `\n⚠️ no patterns specified via command line or configuration files.`,
+          LOG_LEVELS.WARN
+        );
+        process.exitCode = 1;
+        return;
+      }
+
+      const files = findDefinitionFiles(cliConfig);
+      let errors = 0;
+      files.forEach((file) => {
+        const diagnostics = validateDefinitionFile(file, cliConfig);
+        if (diagnostics.length === 0) {
+          log(`valid: ${path.relative(process.cwd(), file)}`, LOG_LEVELS.VERBOSE);
+        }
+        diagnostics.forEach((diagnostic) => {
+          if (diagnostic.severity === "error") {
+            errors++;
+            log(`❌ ${formatDiagnostic(diagnostic)}`, LOG_LEVELS.ERROR);
+          } else {
+            log(`⚠️ ${formatDiagnostic(diagnostic)}`, LOG_LEVELS.WARN);
+          }
+        });
+      });
+
+      if (errors > 0) {
+        log(
+          `\n${errors} problem(s) found in ${files.length} yaml files.`,
+          LOG_LEVELS.ERROR
+        );
+        process.exitCode = 1;
+      } else {
+        log(
+          `\n✅ all ${files.length} yaml files match the test plan format.`,
+          LOG_LEVELS.INFO
+        );
+      }
+    });
+};
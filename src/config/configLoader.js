@@ -2,7 +2,8 @@
  * @file src/config/configLoader.js
  * @description Handles loading and consolidating CLI configuration from cascaded sources:
  * command-line options, project config file (testweaver.json), and default config file.
- * Includes JSON Schema validation for loaded configuration files.
+ * Includes JSON Schema validation for loaded configuration files. `resolveConfig` reports
+ * problems to its caller; `loadConfig` logs them for the CLI.
  * @author Your Name/AI Assistant
  * @license MIT
  */
@@ -12,15 +13,32 @@ const path = require("path");
 const Ajv = require("ajv"); // Import Ajv
 
 const { log, LOG_LEVELS } = require("../utils/logger");
+const { EXIT_CODES } = require("../utils/exitCodes");
+const { getFramework } = require("../core/frameworks");
+const { getOutputGlob } = require("../core/outputPaths");
+const { resolveLintRules } = require("../core/testPlanLinter");
 
 // Initialize Ajv validator
 const ajv = new Ajv({ allErrors: true });
 let validateSchema; // Will hold the compiled schema validator
 
+/**
+ * Creates the error thrown for an unusable configuration.
+ * @param {string} message - What is wrong.
+ * @param {string[]} [details=[]] - Individual problems, such as schema violations.
+ * @returns {Error} The error, with the problems in its `details` property.
+ */
+function createConfigError(message, details = []) {
+  const error = new Error(message);
+  error.details = details;
+  return error;
+}
+
 /**
  * Loads the JSON schema for the configuration and compiles it.
  * This function should be called once during initialization.
  * @param {string} schemaPath - The full path to the JSON schema file.
+ * @throws {Error} If the schema cannot be read or compiled.
  */
 function loadAndCompileSchema(schemaPath) {
   try {
@@ -31,42 +49,33 @@ function loadAndCompileSchema(schemaPath) {
       LOG_LEVELS.DEBUG
     );
   } catch (error) {
-    log(
-      `❌ Error: Could not load or compile JSON schema from '${schemaPath}'. ${error.message}`,
-      LOG_LEVELS.ERROR
+    throw createConfigError(
+      `could not load or compile JSON schema from '${schemaPath}'. ${error.message}`
     );
-    process.exit(1);
   }
 }
 
 /**
  * Validates a configuration object against the loaded JSON schema.
- * If validation fails, it logs the errors and exits the process.
  * @param {object} config - The configuration object to validate.
- * @param {string} sourceDescription - A description of the config source for logging purposes.
+ * @param {string} sourceDescription - A description of the config source for messages.
+ * @throws {Error} If the configuration is invalid; the schema violations are listed in
+ * its `details`.
  */
 function validateConfig(config, sourceDescription) {
-  if (!validateSchema) {
-    log(
-      `❌ error: json schema validator not initialized. cannot validate configuration.`,
-      LOG_LEVELS.ERROR
-    );
-    process.exit(1);
-  }
-
   const isValid = validateSchema(config);
   if (!isValid) {
-    log(
-      `\n❌ error: configuration from '${sourceDescription}' is invalid according to the schema:`,
-      LOG_LEVELS.ERROR
+    throw createConfigError(
+      `configuration from '${sourceDescription}' is invalid according to the schema:`,
+      validateSchema.errors.map(
+        (err) =>
+          `${err.instancePath || "root"} ${err.message}${
+            err.params && err.params.allowedValues
+              ? `: ${err.params.allowedValues.join(", ")}`
+              : ""
+          }`
+      )
     );
-    validateSchema.errors.forEach((err) => {
-      log(
-        `    - ${err.instancePath || "root"} ${err.message}`,
-        LOG_LEVELS.ERROR
-      );
-    });
-    process.exit(1);
   }
   log(
     `configuration from '${sourceDescription}' successfully validated against schema.`,
@@ -77,9 +86,10 @@ function validateConfig(config, sourceDescription) {
 /**
  * Loads configuration from a specified JSON file.
  * @param {string} configPath - The full path to the configuration file.
+ * @param {Array<object>} diagnostics - Receives a warning if the file cannot be parsed.
  * @returns {object|null} The parsed configuration object, or null if file not found/invalid.
  */
-function loadConfigFile(configPath) {
+function loadConfigFile(configPath, diagnostics) {
   if (!fs.existsSync(configPath)) {
     return null;
   }
@@ -88,10 +98,10 @@ function loadConfigFile(configPath) {
     return config;
   } catch (e) {
     // This catch block handles JSON parsing errors. Schema validation errors are handled by validateConfig.
-    log(
-      `⚠️ warning: could not parse config file '${configPath}'. error: ${e.message}`,
-      LOG_LEVELS.WARN
-    );
+    diagnostics.push({
+      severity: "warning",
+      message: `could not parse config file '${configPath}'. error: ${e.message}`,
+    });
     return null;
   }
 }
@@ -114,18 +124,26 @@ function determineLogLevel(options, loadedConfig) {
 }
 
 /**
- * Loads and consolidates all CLI configuration based on a cascade:
+ * Consolidates configuration based on a cascade:
  * Command-line options > Project config > Default config.
  * It determines the effective patterns, ignore rules, dry run status, test keyword,
- * watch mode, and cleanup preferences.
+ * test framework, watch mode, cleanup and merge preferences. Nothing is logged except
+ * debug messages: warnings are returned and problems are thrown.
  * @param {Array<string>} cliPatterns - Glob patterns provided directly on the command line.
- * @param {object} options - Options object from Commander.js.
- * @param {string} mainModuleDir - The __dirname from the main CLI entry point (e.g., src/cli.js),
+ * @param {object} options - Options object from Commander.js (or the programmatic API).
+ * @param {string} mainModuleDir - The directory of the main entry point (e.g. src/),
  * used for robust pathing to the default config file.
- * @returns {{cliConfig: object, configSource: string}} An object containing the consolidated
- * configuration (`cliConfig`) and a string indicating the source of the configuration.
+ * @param {object} [settings={}] - How to resolve the configuration.
+ * @param {boolean} [settings.projectConfig=true] - Whether to read `testweaver.json`
+ * when no `options.config` file is given.
+ * @returns {{cliConfig: object, configSource: string, diagnostics: Array<{severity: string,
+ * message: string}>}} The consolidated configuration, a string indicating its source,
+ * and warnings about it.
+ * @throws {Error} If the configuration cannot be loaded or is invalid; individual
+ * problems are listed in the error's `details`.
  */
-function loadConfig(cliPatterns, options, mainModuleDir) {
+function resolveConfig(cliPatterns, options, mainModuleDir, settings = {}) {
+  const diagnostics = [];
   const cliConfigFileName = "testweaver.json";
   const defaultConfigFileName = "default.json";
   const defaultConfigPath = path.join(
@@ -144,13 +162,11 @@ function loadConfig(cliPatterns, options, mainModuleDir) {
   }
 
   // 1. Load default config as the base. It must exist and be valid.
-  const defaultConfig = loadConfigFile(defaultConfigPath);
+  const defaultConfig = loadConfigFile(defaultConfigPath, diagnostics);
   if (!defaultConfig) {
-    log(
-      `❌ error: default configuration file '${defaultConfigPath}' not found or is invalid. cannot proceed.`,
-      LOG_LEVELS.ERROR
+    throw createConfigError(
+      `default configuration file '${defaultConfigPath}' not found or is invalid. cannot proceed.`
     );
-    process.exit(1);
   }
   // Validate the default config to ensure it's a sound base.
   validateConfig(defaultConfig, `default config: ${defaultConfigPath}`);
@@ -162,37 +178,54 @@ function loadConfig(cliPatterns, options, mainModuleDir) {
 
   if (options.config) {
     projectConfigPath = path.resolve(process.cwd(), options.config);
-  } else {
+  } else if (settings.projectConfig !== false) {
     projectConfigPath = cliConfigPath;
   }
 
-  const loadedProjectConfig = loadConfigFile(projectConfigPath);
+  const loadedProjectConfig =
+    projectConfigPath && loadConfigFile(projectConfigPath, diagnostics);
   if (loadedProjectConfig) {
     projectConfig = loadedProjectConfig;
     configSource = `project config: ${projectConfigPath}`;
   } else if (options.config) {
     // If a custom config was specified with --config but not found, it's an error.
-    log(
-      `❌ error: custom configuration file specified with --config was not found at '${projectConfigPath}'.`,
-      LOG_LEVELS.ERROR
+    throw createConfigError(
+      `custom configuration file specified with --config was not found at '${projectConfigPath}'.`
     );
-    process.exit(1);
   }
 
-  // 3. Merge default and project configs. Project config values override default values.
-  const mergedConfig = { ...defaultConfig, ...projectConfig };
+  // 3. Merge default and project configs. Project config values override default values;
+  // lint rules are overridden one by one.
+  const mergedConfig = {
+    ...defaultConfig,
+    ...projectConfig,
+    lint: { ...defaultConfig.lint, ...projectConfig.lint },
+  };
 
   // 4. Validate the MERGED configuration. This ensures the final combination is valid
   // and prevents unknown keys from the project config file.
   validateConfig(mergedConfig, configSource);
 
   // 5. Consolidate final config by overriding with command-line options.
+  const outputFileName = options.outputFileName || mergedConfig.outputFileName;
+  if (!outputFileName.includes("{name}")) {
+    throw createConfigError(
+      `output file name template '${outputFileName}' must contain the '{name}' placeholder.`
+    );
+  }
+
   const cliConfig = {
     logLevel: determineLogLevel(options, mergedConfig),
     effectivePatterns:
       cliPatterns.length > 0 ? cliPatterns : mergedConfig.patterns || [],
     effectiveIgnorePatterns: (() => {
-      const baseRequiredIgnores = ["**/*.test.js"];
+      // Never treat generated test files as sources
+      const baseRequiredIgnores = [
+        getOutputGlob({
+          outputFileName,
+          outDir: options.outDir || mergedConfig.outDir,
+        }),
+      ];
       if (options.ignore && options.ignore.length > 0) {
         return [...baseRequiredIgnores, ...options.ignore];
       }
@@ -200,8 +233,25 @@ function loadConfig(cliPatterns, options, mainModuleDir) {
     })(),
     isDryRun: options.dryRun !== undefined ? options.dryRun : mergedConfig.dryRun,
     testKeyword: options.testKeyword || mergedConfig.testKeyword,
+    framework: options.framework || mergedConfig.framework,
+    outputFileName,
+    outDir: options.outDir || mergedConfig.outDir,
+    rootDir: options.rootDir || mergedConfig.rootDir,
+    moduleFormat: options.moduleFormat || mergedConfig.moduleFormat,
     watchMode: options.watch || false,
     noCleanup: options.noCleanup !== undefined ? options.noCleanup : mergedConfig.noCleanup,
+    // Commander sets `cache` to true unless --no-cache is given
+    cache: options.cache === false ? false : mergedConfig.cache,
+    concurrency:
+      options.concurrency !== undefined
+        ? Number(options.concurrency)
+        : mergedConfig.concurrency,
+    merge: options.merge !== undefined ? options.merge : mergedConfig.merge,
+    orphanedTests: options.orphanedTests || mergedConfig.orphanedTests,
+    stepDefinitions: options.stepDefinitions || mergedConfig.stepDefinitions,
+    templateDir: options.templateDir || mergedConfig.templateDir,
+    plugins: options.plugins || mergedConfig.plugins || [],
+    lint: { ...mergedConfig.lint, ...options.lint },
     quick:
       typeof options.quick !== "undefined"
         ? options.quick
@@ -212,14 +262,131 @@ function loadConfig(cliPatterns, options, mainModuleDir) {
         : mergedConfig.force || false,
   };
 
+  // Ensure the selected framework exists and supports the chosen test keyword
+  let framework;
+  try {
+    framework = getFramework(cliConfig.framework);
+  } catch (error) {
+    throw createConfigError(error.message);
+  }
+  if (!framework.testKeywords.includes(cliConfig.testKeyword)) {
+    diagnostics.push({
+      severity: "warning",
+      message: `${framework.displayName} does not support '${cliConfig.testKeyword}' test blocks. using '${framework.testKeywords[0]}' instead.`,
+    });
+    cliConfig.testKeyword = framework.testKeywords[0];
+  }
+
+  if (!Number.isInteger(cliConfig.concurrency) || cliConfig.concurrency < 0) {
+    const concurrency =
+      options.concurrency !== undefined
+        ? options.concurrency
+        : mergedConfig.concurrency;
+    throw createConfigError(
+      `concurrency '${concurrency}' must be a whole number of at least 0.`
+    );
+  }
+
+  // Lint rules given as options bypass the schema
+  try {
+    resolveLintRules(cliConfig.lint);
+  } catch (error) {
+    throw createConfigError(error.message);
+  }
+
+  // 6. Validate the command-line overrides with the same schema as the config files.
+  validateConfig(
+    {
+      ...mergedConfig,
+      dryRun: cliConfig.isDryRun,
+      // Before falling back to a keyword the framework supports
+      testKeyword: options.testKeyword || mergedConfig.testKeyword,
+      outputFileName: cliConfig.outputFileName,
+      outDir: cliConfig.outDir,
+      rootDir: cliConfig.rootDir,
+      moduleFormat: cliConfig.moduleFormat,
+      noCleanup: cliConfig.noCleanup,
+      cache: cliConfig.cache,
+      merge: cliConfig.merge,
+      orphanedTests: cliConfig.orphanedTests,
+      stepDefinitions: cliConfig.stepDefinitions,
+      templateDir: cliConfig.templateDir,
+      plugins: cliConfig.plugins,
+      quick: cliConfig.quick,
+      force: cliConfig.force,
+    },
+    "command line options"
+  );
+
   // Ensure uniqueness of ignore patterns
   cliConfig.effectiveIgnorePatterns = [
     ...new Set(cliConfig.effectiveIgnorePatterns),
   ];
 
-  return { cliConfig, configSource };
+  return { cliConfig, configSource, diagnostics };
+}
+
+/**
+ * Loads and consolidates all CLI configuration based on a cascade:
+ * Command-line options > Project config > Default config (see `resolveConfig`).
+ * Warnings are logged; if the configuration is unusable, the problem is logged and the
+ * process exits with `EXIT_CODES.CONFIG_ERROR`.
+ * @param {Array<string>} cliPatterns - Glob patterns provided directly on the command line.
+ * @param {object} options - Options object from Commander.js.
+ * @param {string} mainModuleDir - The __dirname from the main CLI entry point (e.g., src/cli.js),
+ * used for robust pathing to the default config file.
+ * @returns {{cliConfig: object, configSource: string}} An object containing the consolidated
+ * configuration (`cliConfig`) and a string indicating the source of the configuration.
+ */
+function loadConfig(cliPatterns, options, mainModuleDir) {
+  let resolved;
+  try {
+    resolved = resolveConfig(cliPatterns, options, mainModuleDir);
+  } catch (error) {
+    const details = error.details || [];
+    log(
+      `${details.length > 0 ? "\n" : ""}❌ error: ${error.message}`,
+      LOG_LEVELS.ERROR
+    );
+    details.forEach((detail) => log(`    - ${detail}`, LOG_LEVELS.ERROR));
+    process.exit(EXIT_CODES.CONFIG_ERROR);
+  }
+  resolved.diagnostics.forEach(({ message }) =>
+    log(`⚠️ warning: ${message}`, LOG_LEVELS.WARN)
+  );
+  return { cliConfig: resolved.cliConfig, configSource: resolved.configSource };
+}
+
+/**
+ * Reads the plugins declared in the project configuration (`testweaver.json`, or the file
+ * given with `-c`/`--config` in the arguments), without validating it. The CLI uses this
+ * to register plugin commands before the arguments are parsed; problems with the
+ * configuration are reported when a command loads it.
+ * @param {Array<string>} argv - The command-line arguments.
+ * @returns {Array<string>} The declared plugins, or an empty list.
+ */
+function readConfiguredPlugins(argv) {
+  const flagIndex = argv.findIndex((arg) => arg === "-c" || arg === "--config");
+  const inline = argv.find((arg) => arg.startsWith("--config="));
+  const configFile = inline
+    ? inline.slice("--config=".length)
+    : flagIndex !== -1 && argv[flagIndex + 1]
+    ? argv[flagIndex + 1]
+    : "testweaver.json";
+  const projectConfigPath = path.resolve(process.cwd(), configFile);
+  if (!fs.existsSync(projectConfigPath)) return [];
+  try {
+    const { plugins } = JSON.parse(fs.readFileSync(projectConfigPath, "utf8"));
+    return Array.isArray(plugins)
+      ? plugins.filter((plugin) => typeof plugin === "string")
+      : [];
+  } catch (error) {
+    return [];
+  }
 }
 
 module.exports = {
   loadConfig,
+  resolveConfig,
+  readConfiguredPlugins,
 };
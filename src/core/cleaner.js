@@ -0,0 +1,187 @@
+/**
+ * @file src/core/cleaner.js
+ * @description Finds the test files TestWeaver generated, for the clean command and
+ * the check command's orphan detection. Generated files are recognized by the
+ * generated marker in their header or by their entry in the manifest. A file counts
+ * as edited by hand when it no longer matches the checksum in its header or, for files
+ * without one, matches neither the content recorded in the manifest nor what its
+ * definition file generates now.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const fs = require("fs");
+const glob = require("glob");
+const { renderFile } = require("./fileProcessor");
+const {
+  GENERATED_MARKER,
+  checkGeneratedContent,
+} = require("./generatedHeader");
+const {
+  FEATURE_EXTENSION,
+  findDefinitionFiles,
+  matchesDefinitionPatterns,
+} = require("./definitionLoader");
+const { hashContent, listRecordedOutputs } = require("./manifest");
+const {
+  getDefinitionFilePath,
+  getOutputFilePath,
+  getOutputGlob,
+} = require("./outputPaths");
+
+/** Extensions tried when looking for the definition file of a test file. */
+const DEFINITION_EXTENSIONS = [".yaml", ".yml", FEATURE_EXTENSION];
+
+/**
+ * Finds the files matching the output file name template that carry the generated
+ * marker.
+ * @param {object} cliConfig - The consolidated configuration object.
+ * @returns {string[]} Absolute paths of the generated test files, sorted.
+ */
+function findGeneratedTestFiles(cliConfig) {
+  return glob
+    .sync(getOutputGlob(cliConfig), {
+      absolute: true,
+      nodir: true,
+      ignore: ["**/node_modules/**", "**/.git/**"],
+    })
+    .filter((file) => {
+      try {
+        return fs.readFileSync(file, "utf8").includes(GENERATED_MARKER);
+      } catch (error) {
+        return false;
+      }
+    })
+    .sort();
+}
+
+/**
+ * Finds the generated test files the effective patterns own: the files carrying the
+ * generated marker and the test files recorded in the manifest whose definition file
+ * (as recorded, or as derived from the test file's path) falls under the patterns,
+ * whether or not it still exists. Test files of other definitions are left alone.
+ * @param {object} cliConfig - The consolidated configuration object.
+ * @param {object} manifest - The manifest from `loadManifest`.
+ * @returns {string[]} Absolute paths of the test files, sorted.
+ */
+function findOwnedTestFiles(cliConfig, manifest) {
+  const recordedSources = new Map(
+    listRecordedOutputs(manifest)
+      .filter(({ outputPath }) => fs.existsSync(outputPath))
+      .map(({ sourcePath, outputPath }) => [outputPath, sourcePath])
+  );
+  const outputPaths = new Set([
+    ...findGeneratedTestFiles(cliConfig),
+    ...recordedSources.keys(),
+  ]);
+  return [...outputPaths].sort().filter((outputPath) => {
+    const sourcePaths = recordedSources.has(outputPath)
+      ? [recordedSources.get(outputPath)]
+      : DEFINITION_EXTENSIONS.map((extension) =>
+          getDefinitionFilePath(outputPath, cliConfig, extension)
+        );
+    return sourcePaths.some((sourcePath) =>
+      matchesDefinitionPatterns(sourcePath, cliConfig)
+    );
+  });
+}
+
+/**
+ * Tells whether a generated test file was edited by hand.
+ * @param {string} content - The content of the test file.
+ * @param {string|null} sourcePath - Its existing definition file, if any.
+ * @param {string|null} recordedHash - The hash the manifest recorded for it, if any.
+ * @param {object} cliConfig - The consolidated configuration object.
+ * @returns {boolean} True if the content does not match its checksum or, without
+ * one, matches neither the recorded hash nor the generated output; false if it
+ * matches, or if there is nothing to compare it with.
+ */
+function isEditedByHand(content, sourcePath, recordedHash, cliConfig) {
+  const state = checkGeneratedContent(content);
+  if (state === "intact") return false;
+  if (state === "modified") return true;
+  if (recordedHash && hashContent(content) === recordedHash) return false;
+  if (sourcePath) {
+    try {
+      const rendered = renderFile(sourcePath, cliConfig);
+      if (rendered && rendered.content === content) return false;
+    } catch (error) {
+      // A definition that no longer generates cannot vouch for the file
+    }
+    return true;
+  }
+  return Boolean(recordedHash);
+}
+
+/**
+ * Finds the generated test files to clean up: every file carrying the generated
+ * marker and every test file recorded in the manifest.
+ * @param {object} cliConfig - The consolidated configuration object, whose patterns
+ * identify the definition files of test files not recorded in the manifest.
+ * @param {object} manifest - The manifest from `loadManifest`.
+ * @param {object} [options={}] - Options.
+ * @param {boolean} [options.orphansOnly=false] - Only return the test files whose
+ * definition file no longer exists.
+ * @returns {Array<{outputPath: string, sourcePath: string|null, recordedSourcePath:
+ * string|null, orphaned: boolean, edited: boolean}>} The test files, sorted, with
+ * their existing definition file, the definition file the manifest records them
+ * under, whether they are orphaned, and whether they were edited by hand.
+ */
+function findCleanTargets(cliConfig, manifest, options = {}) {
+  const { orphansOnly = false } = options;
+  const expectedSources = new Map();
+  findDefinitionFiles(cliConfig).forEach((sourcePath) => {
+    try {
+      expectedSources.set(getOutputFilePath(sourcePath, cliConfig), sourcePath);
+    } catch (error) {
+      // Definition files outside rootDir have no test file to clean
+    }
+  });
+  const recorded = new Map(
+    listRecordedOutputs(manifest)
+      .filter(({ outputPath }) => fs.existsSync(outputPath))
+      .map((entry) => [entry.outputPath, entry])
+  );
+  const outputPaths = new Set([
+    ...findGeneratedTestFiles(cliConfig),
+    ...recorded.keys(),
+  ]);
+
+  return [...outputPaths]
+    .sort()
+    .map((outputPath) => {
+      const record = recorded.get(outputPath);
+      const sourcePath =
+        [
+          record && record.sourcePath,
+          expectedSources.get(outputPath),
+          ...DEFINITION_EXTENSIONS.map((extension) =>
+            getDefinitionFilePath(outputPath, cliConfig, extension)
+          ),
+        ].find((candidate) => candidate && fs.existsSync(candidate)) || null;
+      return {
+        outputPath,
+        sourcePath,
+        recordedSourcePath: record ? record.sourcePath : null,
+        orphaned: !sourcePath,
+      };
+    })
+    .filter(({ orphaned }) => !orphansOnly || orphaned)
+    .map((target) => ({
+      ...target,
+      edited: isEditedByHand(
+        fs.readFileSync(target.outputPath, "utf8"),
+        target.sourcePath,
+        recorded.has(target.outputPath)
+          ? recorded.get(target.outputPath).outputHash
+          : null,
+        cliConfig
+      ),
+    }));
+}
+
+module.exports = {
+  findCleanTargets,
+  findGeneratedTestFiles,
+  findOwnedTestFiles,
+};
@@ -0,0 +1,157 @@
+/**
+ * @file src/core/codeEmitter.js
+ * @description Low-level building blocks for emitting JavaScript source: string and
+ * value literals that are valid for any input, and a line writer that remembers which
+ * YAML entry produced each generated line so syntax errors can be traced back to it.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+/** Matches identifiers that can be used as parameter names and unquoted keys. */
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+/** Escapes for characters that cannot appear verbatim inside a string literal. */
+const CHARACTER_ESCAPES = {
+  "\\": "\\\\",
+  "\b": "\\b",
+  "\f": "\\f",
+  "\n": "\\n",
+  "\r": "\\r",
+  "\t": "\\t",
+  "\v": "\\v",
+  "\u2028": "\\u2028",
+  "\u2029": "\\u2029",
+};
+
+/**
+ * Matches characters that must be escaped: backslashes, control characters, line
+ * and paragraph separators, and lone (unpaired) surrogates.
+ */
+const ESCAPE_PATTERN =
+  /[\\\u0000-\u001f\u007f\u2028\u2029]|[\ud800-\udbff](?![\udc00-\udfff])|(?<![\ud800-\udbff])[\udc00-\udfff]/g;
+
+/**
+ * Converts a string into a JavaScript string literal. Single quotes are preferred;
+ * double quotes are used when the text contains fewer of them, so titles such as
+ * `it's broken` stay readable. The result is valid for any Unicode input.
+ * @param {string} value - The text.
+ * @returns {string} The string literal source.
+ */
+function stringLiteral(value) {
+  const text = String(value);
+  const singles = text.split("'").length - 1;
+  const doubles = text.split('"').length - 1;
+  const quote = doubles < singles ? '"' : "'";
+
+  const escaped = text.replace(ESCAPE_PATTERN, (character) => {
+    if (CHARACTER_ESCAPES[character]) return CHARACTER_ESCAPES[character];
+    const code = character.charCodeAt(0);
+    return code < 0x100
+      ? `\\x${code.toString(16).padStart(2, "0")}`
+      : `\\u${code.toString(16).padStart(4, "0")}`;
+  });
+  return `${quote}${escaped.split(quote).join(`\\${quote}`)}${quote}`;
+}
+
+/**
+ * Converts an object key into a property name: bare when it is an identifier,
+ * quoted otherwise.
+ * @param {string} key - The key.
+ * @returns {string} The property name source.
+ */
+function propertyKey(key) {
+  return IDENTIFIER_PATTERN.test(key) ? key : stringLiteral(key);
+}
+
+/**
+ * Converts a YAML value (from a `$cases` table) into a JavaScript literal.
+ * @param {*} value - The value.
+ * @returns {string} The literal source code.
+ */
+function valueLiteral(value) {
+  if (typeof value === "string") return stringLiteral(value);
+  if (value === null || value === undefined) return "null";
+  if (value instanceof Date) return stringLiteral(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(valueLiteral).join(", ")}]`;
+  if (typeof value === "object") {
+    const properties = Object.entries(value).map(
+      ([key, item]) => `${propertyKey(key)}: ${valueLiteral(item)}`
+    );
+    return properties.length > 0 ? `{ ${properties.join(", ")} }` : "{}";
+  }
+  if (typeof value === "number" && !Number.isFinite(value)) {
+    return Number.isNaN(value) ? "NaN" : value > 0 ? "Infinity" : "-Infinity";
+  }
+  return String(value);
+}
+
+/**
+ * Creates a writer that accumulates generated code line by line. Each line is
+ * attributed to an origin (the key path of the YAML entry that produced it): the
+ * origin of the innermost enclosing `withOrigin` call.
+ * @returns {{line: function(string=): object, withOrigin: function(Array<string>|null, function(): void): object,
+ * originOf: function(number): (Array<string>|null), toString: function(): string}} The writer.
+ */
+function createCodeWriter() {
+  const lines = [];
+  const origins = [];
+  let currentOrigin = null;
+
+  const writer = {
+    /**
+     * Appends text, which may span several lines. Empty text appends a blank line.
+     * @param {string} [text=''] - The text to append, without a trailing newline.
+     * @returns {object} The writer, for chaining.
+     */
+    line(text = "") {
+      text.split("\n").forEach((line) => {
+        lines.push(line);
+        origins.push(currentOrigin);
+      });
+      return writer;
+    },
+
+    /**
+     * Attributes everything written by `write` to an origin.
+     * @param {Array<string>|null} origin - The key path of the YAML entry.
+     * @param {function(): void} write - Writes the lines.
+     * @returns {object} The writer, for chaining.
+     */
+    withOrigin(origin, write) {
+      const previous = currentOrigin;
+      currentOrigin = origin;
+      try {
+        write();
+      } finally {
+        currentOrigin = previous;
+      }
+      return writer;
+    },
+
+    /**
+     * Returns the origin of a line.
+     * @param {number} lineNumber - The one-based line number in `toString()`.
+     * @returns {Array<string>|null} The key path, or null if the line has none.
+     */
+    originOf(lineNumber) {
+      return origins[lineNumber - 1] || null;
+    },
+
+    /**
+     * Returns the accumulated code. Every line, including the last, ends with a newline.
+     * @returns {string} The code.
+     */
+    toString() {
+      return lines.map((line) => `${line}\n`).join("");
+    },
+  };
+  return writer;
+}
+
+module.exports = {
+  IDENTIFIER_PATTERN,
+  createCodeWriter,
+  propertyKey,
+  stringLiteral,
+  valueLiteral,
+};
@@ -0,0 +1,148 @@
+/**
+ * @file src/core/definitionLoader.js
+ * @description Loads test definition files. YAML files are parsed as they are; Gherkin
+ * `.feature` files are converted into the same structure. Each loaded definition can
+ * locate the source line of its entries for error reporting.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const fs = require("fs");
+const glob = require("glob");
+const path = require("path");
+const yaml = require("js-yaml");
+const { minimatch } = require("minimatch");
+const { parseGherkin, gherkinToDefinition } = require("./gherkin");
+const { locateYamlKey, locateYamlPointer } = require("./yamlLocator");
+const { createDiagnosticError } = require("./diagnostics");
+
+/** Extension of Gherkin feature files. */
+const FEATURE_EXTENSION = ".feature";
+
+/**
+ * Parses the content of a test definition file. Files with an extension registered by
+ * a plugin are read by the plugin's parser; their entries cannot be located.
+ * @param {string} source - The file content.
+ * @param {string} filePath - The path to the YAML or `.feature` file; its extension
+ * selects the parser.
+ * @param {Map<string, function(string, string): *>} [parsers] - Plugin parsers by
+ * lowercase extension.
+ * @returns {{content: *, locate: function(Array<string>, number=): (number|null),
+ * locatePosition: function(Array<string>): ({line: number, column: number}|null)}} The
+ * parsed definition (null or a scalar if the file holds no structure), a function
+ * returning the one-based source line of the entry at a key path (or of its later
+ * declarations, by occurrence, when the path is declared more than once), and one returning
+ * the one-based line and column of a value from the keys and indexes leading to it.
+ * @throws {Error} If the content cannot be parsed; YAML syntax errors carry a
+ * diagnostic with their position.
+ */
+function parseTestDefinition(source, filePath, parsers = new Map()) {
+  const fileName = path.basename(filePath);
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (parsers.has(extension)) {
+    return {
+      content: parsers.get(extension)(source, filePath),
+      locate: () => null,
+      locatePosition: () => null,
+    };
+  }
+
+  if (extension === FEATURE_EXTENSION) {
+    const { content, lines } = gherkinToDefinition(
+      parseGherkin(source, fileName),
+      fileName
+    );
+    const locate = (keyPath) => {
+      for (let length = keyPath.length; length > 0; length--) {
+        const line = lines.get(JSON.stringify(keyPath.slice(0, length)));
+        if (line) return line;
+      }
+      return null;
+    };
+    return { content, locate, locatePosition: () => null };
+  }
+
+  let content;
+  try {
+    content = yaml.load(source);
+  } catch (error) {
+    if (!error.mark) throw error;
+    throw createDiagnosticError(`could not parse '${fileName}':`, [
+      {
+        severity: "error",
+        message: error.reason,
+        file: filePath,
+        line: error.mark.line + 1,
+        column: error.mark.column + 1,
+      },
+    ]);
+  }
+  return {
+    content,
+    locate: (keyPath, occurrence) => locateYamlKey(source, keyPath, occurrence),
+    locatePosition: (segments) => locateYamlPointer(source, segments),
+  };
+}
+
+/**
+ * Reads and parses a test definition file with `parseTestDefinition`.
+ * @param {string} filePath - The path to a YAML or `.feature` file.
+ * @param {Map<string, function(string, string): *>} [parsers] - Plugin parsers by
+ * lowercase extension.
+ * @returns {object} The parsed definition and its locators.
+ * @throws {Error} If the file cannot be read or parsed.
+ */
+function loadTestDefinition(filePath, parsers = new Map()) {
+  return parseTestDefinition(fs.readFileSync(filePath, "utf8"), filePath, parsers);
+}
+
+/**
+ * Collects the unique definition files matched by the effective patterns.
+ * @param {object} cliConfig - The consolidated configuration object, containing
+ * `effectivePatterns` and `effectiveIgnorePatterns`.
+ * @returns {string[]} Absolute paths of the matched files, sorted.
+ */
+function findDefinitionFiles(cliConfig) {
+  const files = new Set();
+  for (const pattern of cliConfig.effectivePatterns) {
+    glob
+      .sync(pattern, {
+        absolute: true,
+        nodir: true,
+        ignore: cliConfig.effectiveIgnorePatterns,
+      })
+      .forEach((file) => files.add(file));
+  }
+  return [...files].sort();
+}
+
+/**
+ * Tells whether a definition file falls under the effective patterns, whether or not
+ * it exists.
+ * @param {string} filePath - The path to the definition file.
+ * @param {object} cliConfig - The consolidated configuration object, containing
+ * `effectivePatterns` and `effectiveIgnorePatterns`.
+ * @returns {boolean} True if a pattern matches the file and no ignore pattern does.
+ */
+function matchesDefinitionPatterns(filePath, cliConfig) {
+  const absolutePath = path.resolve(filePath);
+  const relativePath = path.relative(process.cwd(), absolutePath);
+  const matches = (pattern) =>
+    minimatch(
+      path.isAbsolute(pattern) ? absolutePath : relativePath,
+      pattern.replace(/^\.\//, "")
+    );
+  return (
+    cliConfig.effectivePatterns.some(matches) &&
+    !(cliConfig.effectiveIgnorePatterns || []).some(matches)
+  );
+}
+
+module.exports = {
+  FEATURE_EXTENSION,
+  findDefinitionFiles,
+  matchesDefinitionPatterns,
+  loadTestDefinition,
+  parseTestDefinition,
+};
@@ -0,0 +1,53 @@
+/**
+ * @file src/core/diagnostics.js
+ * @description Helpers for diagnostics: the `{ severity, message }` objects reported for
+ * definition files, optionally with the `file`, one-based `line` and `column` they
+ * refer to, the key `path` of the entry and the lint `rule` that reported them.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const path = require("path");
+
+/**
+ * Formats a diagnostic as `file:line:column: message`, with the file relative to the
+ * working directory, or as `line 3, column 5: message` when it names no file. The lint
+ * rule that reported it, if any, follows in brackets.
+ * @param {{message: string, file?: string, line?: number, column?: number,
+ * rule?: string}} diagnostic - The diagnostic.
+ * @returns {string} The formatted diagnostic.
+ */
+function formatDiagnostic({ message: text, file, line, column, rule }) {
+  const message = rule ? `${text} [${rule}]` : text;
+  if (!file) {
+    if (!line) return message;
+    return column
+      ? `line ${line}, column ${column}: ${message}`
+      : `line ${line}: ${message}`;
+  }
+  const location = [path.relative(process.cwd(), file) || file, line, line && column]
+    .filter(Boolean)
+    .join(":");
+  return `${location}: ${message}`;
+}
+
+/**
+ * Creates an error carrying diagnostics, for problems found in a definition file. The
+ * message lists the formatted diagnostics below the summary.
+ * @param {string} message - The summary.
+ * @param {Array<object>} diagnostics - The diagnostics.
+ * @returns {Error} The error, with the diagnostics in its `diagnostics` property.
+ */
+function createDiagnosticError(message, diagnostics) {
+  const lines = diagnostics.map(
+    (diagnostic) => `    - ${formatDiagnostic(diagnostic)}`
+  );
+  const error = new Error([message, ...lines].join("\n"));
+  error.diagnostics = diagnostics;
+  return error;
+}
+
+module.exports = {
+  createDiagnosticError,
+  formatDiagnostic,
+};
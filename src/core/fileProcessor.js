@@ -1,82 +1,748 @@
 /**
  * @file src/core/fileProcessor.js
- * @description Handles the processing of a single YAML file: reading, parsing,
- * generating test code, and writing (or simulating) the .test.js output.
+ * @description Handles the processing of a single YAML (or Gherkin `.feature`) file:
+ * reading, parsing, generating test code, and writing (or simulating) the test file output.
  * @author Your Name/AI Assistant
  * @license MIT
  */
 
 const fs = require("fs");
 const path = require("path");
-const yaml = require("js-yaml");
 const { log, LOG_LEVELS } = require("../utils/logger"); // Import logger
-const { generateTestCode } = require("./testGenerator"); // Import test generator
+const { generateTestSource } = require("./testGenerator"); // Import test generator
+const { mergeTestCode } = require("./testMerger"); // Import test merger
+const { parseSource } = require("./testParser");
+const {
+  loadTestDefinition,
+  parseTestDefinition,
+} = require("./definitionLoader");
+const { getFramework } = require("./frameworks");
+const { loadStepLibrary } = require("./stepLibrary");
+const { loadPlugins, runPluginHandlers } = require("./plugins");
+const { createSourceMap } = require("./sourceMap");
+const {
+  forgetSource,
+  getRecordedDiagnostics,
+  isUpToDate,
+  recordOutput,
+} = require("./manifest");
+const {
+  GENERATED_MARKER,
+  addChecksum,
+  checkGeneratedContent,
+} = require("./generatedHeader");
+const { validateTestPlan } = require("./testPlanSchema");
+const { lintDefinition } = require("./testPlanLinter");
+const { createDiagnosticError, formatDiagnostic } = require("./diagnostics");
+const {
+  getOutputFilePath,
+  getOutputFileNameTemplate,
+  resolveModuleFormat,
+} = require("./outputPaths");
+const {
+  createTemplateValues,
+  loadTemplates,
+  renderFileTemplate,
+} = require("./templates");
 
 /**
- * Processes a single YAML file.
- * Reads the YAML content, parses it, generates Jest-compatible test code,
- * and then writes the generated code to a `.test.js` file in the same directory
- * as the source YAML. Supports dry run mode.
+ * Tags an error with the stage of generation that failed, so the outcome can tell
+ * parse errors from lint and write errors. A reason already set is kept.
+ * @param {Error} error - The error.
+ * @param {string} reason - 'parse', 'lint' or 'write'.
+ * @returns {Error} The error.
+ */
+function withReason(error, reason) {
+  if (!error.reason) error.reason = reason;
+  return error;
+}
+
+/**
+ * Parses generated code to make sure it is valid JavaScript (or TypeScript). A syntax
+ * error is reported with the YAML entry that produced the offending line, which
+ * usually points at hook code or an unusual title.
+ * @param {string} content - The generated file content.
+ * @param {object} source - Where the content came from.
+ * @param {string} source.fileName - The output file name (selects the parser plugins).
+ * @param {number} source.lineOffset - The number of lines before the generated code.
+ * @param {function(number): (Array<string>|null)} source.originOf - Maps a line of the
+ * generated code to the YAML key path behind it.
+ * @param {string|null} source.yamlFilePath - The path to the YAML file, if any.
+ * @param {function(Array<string>): (number|null)} source.locate - Finds the source line
+ * of a YAML key path.
+ * @throws {Error} If the content cannot be parsed.
+ */
+function checkGeneratedSyntax(content, source) {
+  try {
+    parseSource(content, source.fileName);
+  } catch (error) {
+    if (!error.loc) throw error;
+    const reason = error.message.replace(/\s*\(\d+:\d+\)$/, "");
+    let origin = null;
+    for (let line = error.loc.line - source.lineOffset; line > 0 && !origin; line--) {
+      origin = source.originOf(line);
+    }
+    const yamlLine = origin ? source.locate(origin) : null;
+    const where = source.yamlFilePath
+      ? path.basename(source.yamlFilePath)
+      : "the definition";
+    const cause = origin
+      ? ` The code comes from '${origin.join(" > ")}' in ${where}${
+          yamlLine ? ` (line ${yamlLine})` : ""
+        }.`
+      : "";
+    throw new Error(
+      `generated code is not valid: ${reason} at ${source.fileName}:${error.loc.line}:${
+        error.loc.column + 1
+      }.${cause}`
+    );
+  }
+}
+
+/**
+ * Generates the content of a test file from a parsed definition: validates it against
+ * the test plan schema, lints it, generates the test code, wraps it in the file
+ * template and checks that it parses.
+ *
+ * @param {object|Array} definition - The parsed YAML content.
+ * @param {object} cliConfig - The consolidated configuration object.
+ * @param {object} [source={}] - Where the definition comes from.
+ * @param {string|null} [source.sourcePath] - The path to the YAML file, if any.
+ * @param {string|null} [source.outputPath] - The path to the test file, if any.
+ * @param {function(Array<string>): (number|null)} [source.locate] - Finds the source line
+ * of a YAML key path.
+ * @param {function(Array<string>): ({line: number, column: number}|null)}
+ * [source.locatePosition] - Finds the position of a value from its path.
+ * @returns {{code: string, content: string, fileName: string, lineOffset: number,
+ * originOf: function(number): (Array<string>|null), unmatchedSteps: Array<{step: string,
+ * path: Array<string>}>, warnings: Array<object>}} The generated code, the complete file
+ * content and its file name, the position of the code in the file and the key path
+ * behind each of its lines (for source maps), the steps no step definition matched, and
+ * the lint warnings and the modifiers unimplemented tests leave out.
+ * @throws {Error} If the definition does not match the test plan schema or breaks a
+ * lint rule set to 'error' (the error carries the problems as `diagnostics` and the
+ * `reason` 'parse' or 'lint'), the step
+ * definitions, the templates or the plugins cannot be read or parsed, or the generated
+ * code has a syntax error.
+ */
+function renderDefinition(definition, cliConfig, source = {}) {
+  const {
+    sourcePath = null,
+    outputPath = null,
+    locate = () => null,
+    locatePosition = () => null,
+  } = source;
+  const plugins = loadPlugins(cliConfig.plugins);
+  const problems = validateTestPlan(definition, {
+    keys: plugins.keys,
+    file: sourcePath || undefined,
+    locate: locatePosition,
+  });
+  const name = sourcePath ? `'${path.basename(sourcePath)}'` : "the definition";
+  if (problems.length > 0) {
+    throw withReason(
+      createDiagnosticError(
+        `${name} does not match the test plan format:`,
+        problems
+      ),
+      "parse"
+    );
+  }
+  const lintProblems = lintDefinition(definition, {
+    rules: cliConfig.lint,
+    keys: plugins.keys,
+    file: sourcePath || undefined,
+    locate,
+  });
+  if (lintProblems.some(({ severity }) => severity === "error")) {
+    throw withReason(
+      createDiagnosticError(`${name} breaks lint rules:`, lintProblems),
+      "lint"
+    );
+  }
+  const framework = getFramework(cliConfig.framework);
+  const stepLibrary = cliConfig.stepDefinitions
+    ? loadStepLibrary(path.resolve(process.cwd(), cliConfig.stepDefinitions))
+    : null;
+  const templates = loadTemplates(
+    cliConfig.templateDir && path.resolve(process.cwd(), cliConfig.templateDir)
+  );
+  const {
+    code: generatedCode,
+    originOf,
+    unmatchedSteps,
+    droppedModifiers,
+  } = generateTestSource(definition, {
+    testKeyword: cliConfig.testKeyword,
+    framework: framework.name,
+    moduleFormat: resolveModuleFormat(cliConfig, framework),
+    stepLibrary,
+    templates,
+    config: cliConfig,
+    plugins,
+    sourcePath,
+    outputPath,
+  });
+
+  const outputFileName = outputPath
+    ? path.basename(outputPath)
+    : getOutputFileNameTemplate(cliConfig).replace("{name}", "generated");
+  const rendered = renderFileTemplate(
+    templates.file,
+    {
+      ...createTemplateValues({
+        framework,
+        config: cliConfig,
+        sourcePath,
+        outputPath: outputPath || outputFileName,
+      }),
+      generatedMarker: GENERATED_MARKER,
+    },
+    generatedCode
+  );
+  if (!rendered.content.includes(GENERATED_MARKER)) {
+    throw new Error(
+      "the file template must include '{{generatedMarker}}', by which generated test files are recognized."
+    );
+  }
+
+  checkGeneratedSyntax(rendered.content, {
+    fileName: outputFileName,
+    lineOffset: rendered.lineOffset,
+    originOf,
+    yamlFilePath: sourcePath,
+    locate,
+  });
+  return {
+    code: generatedCode,
+    content: rendered.content,
+    fileName: outputFileName,
+    lineOffset: rendered.lineOffset,
+    originOf,
+    unmatchedSteps,
+    warnings: [
+      ...lintProblems,
+      ...createModifierDiagnostics(droppedModifiers, { file: sourcePath, locate }),
+    ],
+  };
+}
+
+/**
+ * Reports the modifiers that unimplemented tests leave out as warnings.
+ * @param {Array<{path: Array<string>, names: Array<string>, form: string}>}
+ * droppedModifiers - The modifiers, per test.
+ * @param {object} source - Where the definition comes from.
+ * @param {string|null} source.file - The path to the YAML file, if any.
+ * @param {function(Array<string>): (number|null)} source.locate - Finds the source line
+ * of a YAML key path.
+ * @returns {Array<object>} The warnings, with the file and line they refer to.
+ */
+function createModifierDiagnostics(droppedModifiers, { file, locate }) {
+  return droppedModifiers.map(({ path: keyPath, names, form }) => {
+    const list = names.map((name) => `'$${name}'`).join(", ");
+    const diagnostic = {
+      severity: "warning",
+      message: `${list} ${
+        names.length === 1 ? "is" : "are"
+      } ignored: '${keyPath.join(" > ")}' is not implemented, so it is generated as ${
+        form === "todo" ? "a todo" : "a skipped test"
+      }.`,
+      path: keyPath,
+    };
+    if (file) diagnostic.file = file;
+    const line = locate(keyPath);
+    if (line) diagnostic.line = line;
+    return diagnostic;
+  });
+}
+
+/**
+ * Reports the steps no step definition matched as warnings.
+ * @param {Array<{step: string, path: Array<string>}>} unmatchedSteps - The steps.
+ * @param {string|null} yamlFilePath - The path to the YAML file, if any.
+ * @returns {Array<{severity: string, message: string, path: Array<string>}>} The warnings.
+ */
+function createStepDiagnostics(unmatchedSteps, yamlFilePath) {
+  const where = yamlFilePath ? ` (${path.basename(yamlFilePath)})` : "";
+  return unmatchedSteps.map(({ step, path: keyPath }) => ({
+    severity: "warning",
+    message: `no step definition matches '${step}' in '${keyPath.join(
+      " > "
+    )}'${where}. The test is skipped.`,
+    path: keyPath,
+  }));
+}
+
+/**
+ * Renders the test file for a single YAML file without writing anything.
+ * Reads and parses the YAML (or converts the Gherkin feature, or uses a plugin's parser),
+ * renders it with `renderDefinition`, lets the plugins' `afterFile` handlers adjust it
+ * and, in merge mode, merges it with the existing test file on disk. The checksum of
+ * the generated code is added to its generated marker, so a merged file that kept
+ * hand-written code does not match it and is protected like a file edited by hand.
+ *
+ * @param {string} yamlFilePath - The full path to the YAML file to render.
+ * @param {object} cliConfig - The consolidated configuration object for the CLI.
+ * @returns {{outputFilePath: string, content: string, merged: boolean, orphans: Array<string>,
+ * preserved: number, unmatchedSteps: Array<{step: string, path: Array<string>}>,
+ * warnings: Array<object>}|null} The rendered output, whether an existing test file was
+ * merged into it, and its lint warnings; or null if the YAML file is empty or not an
+ * object structure.
+ * @throws {Error} If the YAML, the step definitions, the templates or the plugins cannot
+ * be read or parsed, the generated code has a syntax error, or the existing file cannot
+ * be merged. Errors reading or validating the YAML carry the `reason` 'parse'.
+ */
+function renderFile(yamlFilePath, cliConfig) {
+  const plugins = loadPlugins(cliConfig.plugins);
+  runPluginHandlers(plugins, "beforeFile", {
+    sourcePath: yamlFilePath,
+    config: cliConfig,
+  });
+  let loaded;
+  try {
+    loaded = loadTestDefinition(yamlFilePath, plugins.parsers);
+  } catch (error) {
+    throw withReason(error, "parse");
+  }
+  const { content: parsedYaml, locate, locatePosition } = loaded;
+
+  if (typeof parsedYaml !== "object" || parsedYaml === null) {
+    return null;
+  }
+
+  const outputFilePath = getOutputFilePath(yamlFilePath, cliConfig);
+  const rendered = renderDefinition(parsedYaml, cliConfig, {
+    sourcePath: yamlFilePath,
+    outputPath: outputFilePath,
+    locate,
+    locatePosition,
+  });
+  const generatedContent = runPluginHandlers(plugins, "afterFile", {
+    sourcePath: yamlFilePath,
+    outputPath: outputFilePath,
+    content: rendered.content,
+    config: cliConfig,
+  });
+  let content = generatedContent;
+  let orphans = [];
+  let preserved = 0;
+  const merged = cliConfig.merge && fs.existsSync(outputFilePath);
+  if (merged) {
+    const existingContent = fs.readFileSync(outputFilePath, "utf8");
+    const result = mergeTestCode(content, existingContent, {
+      fileName: path.basename(outputFilePath),
+      orphanedTests: cliConfig.orphanedTests,
+    });
+    content = result.code;
+    orphans = result.orphans;
+    preserved = result.preserved;
+  }
+
+  const { unmatchedSteps, warnings } = rendered;
+  return {
+    outputFilePath,
+    content: addChecksum(content, generatedContent),
+    merged,
+    orphans,
+    preserved,
+    unmatchedSteps,
+    warnings,
+  };
+}
+
+/**
+ * Compiles the content of a definition file into test code in memory, for test runner
+ * integrations that run definition files directly. The code is generated as if the
+ * test file lay next to the definition file (ignoring `outDir` and merge mode), and
+ * comes with a source map back to the definition.
+ *
+ * @param {string} source - The content of the definition file.
+ * @param {string} sourcePath - The full path to the definition file.
+ * @param {object} cliConfig - The consolidated configuration object.
+ * @returns {{code: string, map: object, unmatchedSteps: Array<{step: string,
+ * path: Array<string>}>, warnings: Array<object>}} The test code, its source map, the
+ * steps no step definition matched, and the lint warnings.
+ * @throws {Error} If the definition holds no structure or cannot be parsed, or
+ * generation fails as in `renderDefinition`.
+ */
+function compileSource(source, sourcePath, cliConfig) {
+  const plugins = loadPlugins(cliConfig.plugins);
+  runPluginHandlers(plugins, "beforeFile", { sourcePath, config: cliConfig });
+  const {
+    content: definition,
+    locate,
+    locatePosition,
+  } = parseTestDefinition(source, sourcePath, plugins.parsers);
+  if (typeof definition !== "object" || definition === null) {
+    throw new Error(
+      `'${sourcePath}' is empty or does not contain a valid object structure.`
+    );
+  }
+
+  const outputPath = getOutputFilePath(sourcePath, { ...cliConfig, outDir: "" });
+  const rendered = renderDefinition(definition, cliConfig, {
+    sourcePath,
+    outputPath,
+    locate,
+    locatePosition,
+  });
+  const code = runPluginHandlers(plugins, "afterFile", {
+    sourcePath,
+    outputPath,
+    content: rendered.content,
+    config: cliConfig,
+  });
+  const map = createSourceMap(
+    { ...rendered, content: code },
+    { path: sourcePath, content: source, locate }
+  );
+  const { unmatchedSteps, warnings } = rendered;
+  return { code, map, unmatchedSteps, warnings };
+}
+
+/**
+ * Explains why an existing test file must not be overwritten unless forced.
+ * @param {string} existingContent - The content of the file.
+ * @returns {string|null} The reason, or null if the file may be overwritten: it is
+ * unchanged since it was generated, or was generated before checksums were added.
+ */
+function getOverwriteConflict(existingContent) {
+  const state = checkGeneratedContent(existingContent);
+  if (state === "modified") {
+    return "it was edited by hand since it was generated";
+  }
+  if (state === "foreign") return "it was not generated by testweaver";
+  return null;
+}
+
+/**
+ * Creates the outcome of generating a test file, before anything is known about it.
+ * @param {string} yamlFilePath - The full path to the YAML file.
+ * @returns {object} The outcome, with the status 'failed' until generation succeeds.
+ */
+function createResult(yamlFilePath) {
+  return {
+    sourcePath: yamlFilePath,
+    outputPath: null,
+    status: "failed",
+    content: null,
+    merged: false,
+    preserved: 0,
+    diagnostics: [],
+  };
+}
+
+/**
+ * Marks the outcome as 'unchanged' if the manifest shows the test file is up to date,
+ * so it need not be generated again. The warnings recorded for it are reported again.
+ * @param {object} result - The outcome.
+ * @param {object} cliConfig - The consolidated configuration object.
+ * @param {object} [manifest] - The manifest, if generation is incremental.
+ * @returns {boolean} True if generation can be skipped.
+ */
+function isCached(result, cliConfig, manifest) {
+  if (!manifest || cliConfig.isDryRun) return false;
+  const outputPath = getOutputFilePath(result.sourcePath, cliConfig);
+  if (!isUpToDate(manifest, result.sourcePath, outputPath)) return false;
+  Object.assign(result, { outputPath, status: "unchanged" });
+  result.diagnostics.push(...getRecordedDiagnostics(manifest, result.sourcePath));
+  return true;
+}
+
+/**
+ * Takes the rendered test file into the outcome, with its warnings.
+ * @param {object} result - The outcome.
+ * @param {object|null} rendered - The result of `renderFile`.
+ * @param {object} cliConfig - The consolidated configuration object.
+ * @param {object} [manifest] - The manifest, if generation is incremental.
+ * @returns {boolean} False if the YAML file holds no structure, so there is nothing
+ * to write.
+ */
+function acceptRendered(result, rendered, cliConfig, manifest) {
+  const yamlFilePath = result.sourcePath;
+  if (!rendered) {
+    if (manifest) forgetSource(manifest, yamlFilePath);
+    result.status = "skipped";
+    result.diagnostics.push({
+      severity: "warning",
+      message: `YAML file '${yamlFilePath}' is empty or does not contain a valid object structure. Skipping.`,
+    });
+    return false;
+  }
+
+  const {
+    outputFilePath,
+    content,
+    merged,
+    orphans,
+    preserved,
+    unmatchedSteps,
+    warnings,
+  } = rendered;
+  Object.assign(result, {
+    outputPath: outputFilePath,
+    content,
+    merged,
+    preserved,
+  });
+
+  result.diagnostics.push(
+    ...warnings,
+    ...createStepDiagnostics(unmatchedSteps, yamlFilePath)
+  );
+  orphans.forEach((orphan) => {
+    result.diagnostics.push({
+      severity: "warning",
+      message: `'${orphan}' in ${outputFilePath} no longer exists in ${path.basename(
+        yamlFilePath
+      )}. ${
+        cliConfig.orphanedTests === "keep" ? "Keeping" : "Commenting out"
+      } the orphaned test.`,
+    });
+  });
+  return true;
+}
+
+/**
+ * Decides what happens to the test file: nothing in dry run mode or if it already has
+ * the generated content, otherwise it is written.
+ * @param {object} result - The outcome, with the rendered content.
+ * @param {string|null} existingContent - The content of the existing test file, if any.
+ * @param {object} cliConfig - The consolidated configuration object.
+ * @returns {boolean} True if the test file must be written.
+ * @throws {Error} If the existing test file must not be overwritten.
+ */
+function planWrite(result, existingContent, cliConfig) {
+  const { outputPath, content } = result;
+  const conflict =
+    existingContent !== null &&
+    existingContent !== content &&
+    !cliConfig.merge &&
+    !cliConfig.force &&
+    getOverwriteConflict(existingContent);
+  if (conflict) {
+    throw withReason(
+      new Error(
+        `refusing to overwrite '${outputPath}': ${conflict}. use --merge to merge into it or --force to overwrite it.`
+      ),
+      "write"
+    );
+  }
+
+  if (cliConfig.isDryRun) {
+    result.status = "dry-run";
+  } else if (existingContent === content) {
+    result.status = "unchanged";
+  } else {
+    result.status = "written";
+  }
+  return result.status === "written";
+}
+
+/**
+ * Records a test file that was written or found up to date in the manifest, with its
+ * warnings.
+ * @param {object} result - The outcome.
+ * @param {object} [manifest] - The manifest, if generation is incremental.
+ */
+function finishResult(result, manifest) {
+  if (manifest && result.status !== "dry-run") {
+    recordOutput(
+      manifest,
+      result.sourcePath,
+      result.outputPath,
+      result.content,
+      result.diagnostics
+    );
+  }
+}
+
+/**
+ * Marks the outcome as failed, with the error's reason and diagnostics.
+ * @param {object} result - The outcome.
+ * @param {Error} error - The error.
+ */
+function recordFailure(result, error) {
+  result.status = "failed";
+  result.reason = error.reason || "generate";
+  result.diagnostics.push(
+    ...(error.diagnostics || [{ severity: "error", message: error.message }])
+  );
+}
+
+/**
+ * Generates the test file for a single YAML file and reports the outcome instead of
+ * logging it. The test file is named after the `outputFileName` template
+ * (`{name}.test.js` by default) and written next to the source YAML, or in the mirrored
+ * directory below `outDir`, creating missing directories. Nothing is written in dry run
+ * mode, and a test file that already has the generated content is left untouched. In
+ * merge mode, an existing test file is merged with the generated code so implemented
+ * test bodies are preserved. Otherwise, an existing test file that was edited by hand
+ * since it was generated (its checksum no longer matches) or was not generated at all
+ * is only overwritten with the `force` option.
+ *
+ * With a manifest, a YAML file whose test file the manifest shows to be up to date is
+ * not generated again, and the manifest is updated with every test file written.
  *
  * @param {string} yamlFilePath - The full path to the YAML file to process.
- * @param {object} cliConfig - The consolidated configuration object for the CLI,
- * containing properties like `testKeyword`, `isDryRun`.
+ * @param {object} cliConfig - The consolidated configuration object.
+ * @param {object} [manifest] - The manifest from `loadManifest`, if generation is
+ * incremental.
+ * @returns {{sourcePath: string, outputPath: string|null, status: string,
+ * content: string|null, merged: boolean, preserved: number,
+ * diagnostics: Array<{severity: string, message: string, path?: Array<string>,
+ * file?: string, line?: number, column?: number}>}} The outcome. `status` is 'written', 'unchanged' (the test file
+ * already had the generated content; `content` is null if generation was skipped),
+ * 'dry-run', 'skipped' (the YAML holds no structure) or 'failed' (the errors are the
+ * last diagnostics, and `reason` tells what failed: 'parse' if the YAML cannot be read,
+ * parsed or validated, 'lint' if it breaks a lint rule set to 'error', 'write' if the
+ * test file cannot or may not be written, or 'generate' otherwise); `merged` tells
+ * whether an existing test file was merged into the output, and `preserved` counts
+ * the hand-written items kept in merge mode.
  */
-function processFile(yamlFilePath, cliConfig) {
+function generateFile(yamlFilePath, cliConfig, manifest) {
+  const result = createResult(yamlFilePath);
   try {
-    log(`Processing file: ${yamlFilePath}`, LOG_LEVELS.DEBUG);
-    const fileContent = fs.readFileSync(yamlFilePath, "utf8");
-    const parsedYaml = yaml.load(fileContent);
+    if (isCached(result, cliConfig, manifest)) return result;
+    const rendered = renderFile(yamlFilePath, cliConfig);
+    if (!acceptRendered(result, rendered, cliConfig, manifest)) return result;
 
-    if (typeof parsedYaml !== "object" || parsedYaml === null) {
-      log(
-        `⚠️ Warning: YAML file '${yamlFilePath}' is empty or does not contain a valid object structure. Skipping.`,
-        LOG_LEVELS.WARN
-      );
-      return;
+    const { outputPath, content } = result;
+    try {
+      const existingContent = fs.existsSync(outputPath)
+        ? fs.readFileSync(outputPath, "utf8")
+        : null;
+      if (planWrite(result, existingContent, cliConfig)) {
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        fs.writeFileSync(outputPath, content, "utf8");
+      }
+    } catch (error) {
+      throw withReason(error, "write");
     }
+    finishResult(result, manifest);
+  } catch (error) {
+    recordFailure(result, error);
+  }
+  return result;
+}
 
-    const generatedCode = generateTestCode(parsedYaml, cliConfig.testKeyword);
+/**
+ * Generates the test file for a single YAML file like `generateFile`, with
+ * asynchronous file I/O and a replaceable render step, so that several files can be
+ * generated at once and rendered in worker threads.
+ *
+ * @param {string} yamlFilePath - The full path to the YAML file to process.
+ * @param {object} cliConfig - The consolidated configuration object.
+ * @param {object} [options={}] - Options.
+ * @param {object} [options.manifest] - The manifest, if generation is incremental.
+ * @param {function(string, object): (object|null|Promise<object|null>)} [options.render]
+ * - Renders the file as `renderFile` does. Defaults to `renderFile`.
+ * @returns {Promise<object>} The outcome, as from `generateFile`.
+ */
+async function generateFileAsync(yamlFilePath, cliConfig, options = {}) {
+  const { manifest, render = renderFile } = options;
+  const result = createResult(yamlFilePath);
+  try {
+    if (isCached(result, cliConfig, manifest)) return result;
+    const rendered = await render(yamlFilePath, cliConfig);
+    if (!acceptRendered(result, rendered, cliConfig, manifest)) return result;
 
-    const dirName = path.dirname(yamlFilePath);
-    const baseName = path.basename(yamlFilePath, path.extname(yamlFilePath));
-    const outputFileName = `${baseName}.test.js`;
-    const outputFilePath = path.join(dirName, outputFileName);
+    const { outputPath, content } = result;
+    try {
+      let existingContent = null;
+      try {
+        existingContent = await fs.promises.readFile(outputPath, "utf8");
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+      }
+      if (planWrite(result, existingContent, cliConfig)) {
+        await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+        await fs.promises.writeFile(outputPath, content, "utf8");
+      }
+    } catch (error) {
+      throw withReason(error, "write");
+    }
+    finishResult(result, manifest);
+  } catch (error) {
+    recordFailure(result, error);
+  }
+  return result;
+}
 
-    const fileHeader = `/**
- * @file ${outputFileName}
- * @description Generated test file from ${path.basename(yamlFilePath)}.
- * This file contains Jest 'describe' and '${
-   cliConfig.testKeyword
- }' blocks based on your YAML structure.
- * Please fill in the actual test logic.
- * @generated by yaml-to-test-cli
- */\n\n`;
+/**
+ * Logs the outcome of generating a test file.
+ *
+ * @param {object} result - The outcome, as from `generateFile`.
+ * @returns {boolean} False if an error occurred while processing the file, true otherwise.
+ */
+function logGenerationResult(result) {
+  const {
+    sourcePath,
+    status,
+    outputPath,
+    content,
+    merged,
+    preserved,
+    diagnostics,
+  } = result;
 
-    if (cliConfig.isDryRun) {
-      log(
-        `Would generate test file: ${outputFilePath} (Dry Run)`,
-        LOG_LEVELS.INFO
-      );
+  if (merged) {
+    log(
+      `merged with existing test file: ${outputPath} (${preserved} hand-written item(s) preserved)`,
+      LOG_LEVELS.VERBOSE
+    );
+  }
+  diagnostics.forEach((diagnostic) => {
+    if (diagnostic.severity === "error") {
+      // Positioned problems name their file; others need it spelled out
       log(
-        `--- Content Preview for ${outputFilePath} ---\n${fileHeader}${generatedCode}\n--- End Preview ---`,
-        LOG_LEVELS.DEBUG
+        diagnostic.file
+          ? `❌ Error: ${formatDiagnostic(diagnostic)}`
+          : `❌ Error processing file '${sourcePath}': ${diagnostic.message}`,
+        LOG_LEVELS.ERROR
       );
     } else {
-      fs.writeFileSync(outputFilePath, fileHeader + generatedCode, "utf8");
-      log(
-        `✅ Successfully generated test file: ${outputFilePath}`,
-        LOG_LEVELS.INFO
-      );
+      log(`⚠️ Warning: ${formatDiagnostic(diagnostic)}`, LOG_LEVELS.WARN);
     }
-  } catch (error) {
+  });
+
+  if (status === "dry-run") {
+    log(`Would generate test file: ${outputPath} (Dry Run)`, LOG_LEVELS.INFO);
     log(
-      `❌ Error processing file '${yamlFilePath}': ${error.message}`,
-      LOG_LEVELS.ERROR
+      `--- Content Preview for ${outputPath} ---\n${content}\n--- End Preview ---`,
+      LOG_LEVELS.DEBUG
     );
+  } else if (status === "written") {
+    log(`✅ Successfully generated test file: ${outputPath}`, LOG_LEVELS.INFO);
+  } else if (status === "unchanged") {
+    log(`up to date: ${outputPath}`, LOG_LEVELS.VERBOSE);
   }
+  return status !== "failed";
+}
+
+/**
+ * Processes a single YAML file with `generateFile` and logs the outcome.
+ *
+ * @param {string} yamlFilePath - The full path to the YAML file to process.
+ * @param {object} cliConfig - The consolidated configuration object for the CLI,
+ * containing properties like `testKeyword`, `framework`, `isDryRun`, `merge`, `orphanedTests`,
+ * `stepDefinitions`, `templateDir` and `plugins`.
+ * @param {object} [manifest] - The manifest, if generation is incremental.
+ * @returns {boolean} False if an error occurred while processing the file, true otherwise.
+ */
+function processFile(yamlFilePath, cliConfig, manifest) {
+  log(`Processing file: ${yamlFilePath}`, LOG_LEVELS.DEBUG);
+  return logGenerationResult(generateFile(yamlFilePath, cliConfig, manifest));
 }
 
 module.exports = {
+  GENERATED_MARKER,
+  createStepDiagnostics,
+  renderDefinition,
+  renderFile,
+  compileSource,
+  generateFile,
+  generateFileAsync,
+  logGenerationResult,
   processFile,
 };
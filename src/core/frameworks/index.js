@@ -0,0 +1,68 @@
+/**
+ * @file src/core/frameworks/index.js
+ * @description Registry of the supported test framework emitters. Each emitter
+ * knows how to import the framework API and how to express suites and tests.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+/**
+ * @typedef {object} FrameworkEmitter
+ * @property {string} name - The framework name used in configuration.
+ * @property {string} displayName - The human-readable framework name.
+ * @property {string|null} importSource - The module the test API is imported from, if any.
+ * @property {boolean} alwaysImport - Whether the API must be imported even in CommonJS output.
+ * @property {string} defaultModuleFormat - The module format ('esm' or 'cjs') used for `.js` output.
+ * @property {string[]} testKeywords - The supported test keywords; the first is the fallback.
+ * @property {boolean} supportsEach - Whether `.each` tables are supported; otherwise rows are unrolled.
+ * @property {Object<string, string>} hooks - The framework's name for each lifecycle hook
+ * ('beforeAll', 'beforeEach', 'afterEach', 'afterAll').
+ * @property {{test: Object<string, object>, suite: Object<string, object>}} modifiers - How each
+ * supported modifier ('concurrent', 'skip', 'only', 'failing', 'timeout', 'retry') is expressed
+ * on tests and suites: as a callee `chain` (`it.skip`), a callee `prefix` (`xit`), an `option`
+ * property, a trailing timeout `argument`, or a `call` statement at the top of the callback
+ * (with the API identifier it `uses`, if any). `async` requires an async callback and `ignore`
+ * marks a modifier the runner has no use for. Modifiers missing for a suite but supported on
+ * tests are applied to the suite's tests instead.
+ * @property {{call: string, uses: string}|null} mock - The function declaring a module mock
+ * (`jest.mock`) and the API identifier it uses, or null if the framework has no module mocks.
+ * @property {function(string, string): string} todo - Builds a placeholder test from a keyword and a quoted title.
+ */
+
+/**
+ * Emitters by framework name. They are required in place: a `jest` binding would
+ * clash with the one Jest injects when these modules are loaded in its tests.
+ */
+const FRAMEWORKS = {
+  jest: require("./jest"),
+  vitest: require("./vitest"),
+  mocha: require("./mocha"),
+  node: require("./node"),
+  jasmine: require("./jasmine"),
+};
+
+/** Names of all supported frameworks. */
+const FRAMEWORK_NAMES = Object.keys(FRAMEWORKS);
+
+/**
+ * Returns the emitter for a test framework.
+ * @param {string} [name='jest'] - The framework name.
+ * @returns {FrameworkEmitter} The framework emitter.
+ * @throws {Error} If the framework is not supported.
+ */
+function getFramework(name = "jest") {
+  const framework = FRAMEWORKS[name];
+  if (!framework) {
+    throw new Error(
+      `unsupported test framework '${name}'. supported frameworks: ${FRAMEWORK_NAMES.join(
+        ", "
+      )}`
+    );
+  }
+  return framework;
+}
+
+module.exports = {
+  FRAMEWORK_NAMES,
+  getFramework,
+};
@@ -0,0 +1,49 @@
+/**
+ * @file src/core/frameworks/jasmine.js
+ * @description Code emitter for Jasmine. Jasmine has no `.todo`; specs declared
+ * without a function body are reported as pending.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+module.exports = {
+  name: "jasmine",
+  displayName: "Jasmine",
+  importSource: null,
+  alwaysImport: false,
+  defaultModuleFormat: "cjs",
+  testKeywords: ["it"],
+  supportsEach: false,
+  hooks: {
+    beforeAll: "beforeAll",
+    beforeEach: "beforeEach",
+    afterEach: "afterEach",
+    afterAll: "afterAll",
+  },
+
+  mock: null,
+
+  modifiers: {
+    test: {
+      concurrent: { ignore: true },
+      skip: { prefix: "x" },
+      only: { prefix: "f" },
+      timeout: { argument: true },
+    },
+    suite: {
+      concurrent: { ignore: true },
+      skip: { prefix: "x" },
+      only: { prefix: "f" },
+    },
+  },
+
+  /**
+   * Builds a placeholder (pending) spec.
+   * @param {string} keyword - The test keyword ('it').
+   * @param {string} title - The quoted spec title.
+   * @returns {string} The pending spec statement.
+   */
+  todo(keyword, title) {
+    return `${keyword}(${title});`;
+  },
+};
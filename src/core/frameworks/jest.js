@@ -0,0 +1,50 @@
+/**
+ * @file src/core/frameworks/jest.js
+ * @description Code emitter for Jest. Jest exposes its API as globals; ES module and
+ * TypeScript output imports it from '@jest/globals' instead.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+module.exports = {
+  name: "jest",
+  displayName: "Jest",
+  importSource: "@jest/globals",
+  alwaysImport: false,
+  defaultModuleFormat: "cjs",
+  testKeywords: ["it", "test"],
+  supportsEach: true,
+  hooks: {
+    beforeAll: "beforeAll",
+    beforeEach: "beforeEach",
+    afterEach: "afterEach",
+    afterAll: "afterAll",
+  },
+
+  mock: { call: "jest.mock", uses: "jest" },
+
+  modifiers: {
+    test: {
+      concurrent: { chain: "concurrent", async: true },
+      skip: { chain: "skip" },
+      only: { chain: "only" },
+      failing: { chain: "failing" },
+      timeout: { argument: true },
+    },
+    suite: {
+      skip: { chain: "skip" },
+      only: { chain: "only" },
+      retry: { call: "jest.retryTimes", uses: "jest" },
+    },
+  },
+
+  /**
+   * Builds a placeholder test.
+   * @param {string} keyword - The test keyword ('it' or 'test').
+   * @param {string} title - The quoted test title.
+   * @returns {string} The placeholder test statement.
+   */
+  todo(keyword, title) {
+    return `${keyword}.todo(${title});`;
+  },
+};
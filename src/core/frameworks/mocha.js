@@ -0,0 +1,53 @@
+/**
+ * @file src/core/frameworks/mocha.js
+ * @description Code emitter for Mocha (BDD interface). The API is global (imported from
+ * 'mocha' in ES module and TypeScript output). Mocha has no `.todo`, so
+ * placeholders are emitted as pending tests, i.e. `it()` calls without a callback.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+module.exports = {
+  name: "mocha",
+  displayName: "Mocha",
+  importSource: "mocha",
+  alwaysImport: false,
+  defaultModuleFormat: "cjs",
+  testKeywords: ["it"],
+  supportsEach: false,
+  hooks: {
+    beforeAll: "before",
+    beforeEach: "beforeEach",
+    afterEach: "afterEach",
+    afterAll: "after",
+  },
+
+  mock: null,
+
+  modifiers: {
+    test: {
+      concurrent: { ignore: true },
+      skip: { chain: "skip" },
+      only: { chain: "only" },
+      timeout: { call: "this.timeout" },
+      retry: { call: "this.retries" },
+    },
+    suite: {
+      concurrent: { ignore: true },
+      skip: { chain: "skip" },
+      only: { chain: "only" },
+      timeout: { call: "this.timeout" },
+      retry: { call: "this.retries" },
+    },
+  },
+
+  /**
+   * Builds a placeholder (pending) test.
+   * @param {string} keyword - The test keyword ('it').
+   * @param {string} title - The quoted test title.
+   * @returns {string} The pending test statement.
+   */
+  todo(keyword, title) {
+    return `${keyword}(${title});`;
+  },
+};
@@ -0,0 +1,50 @@
+/**
+ * @file src/core/frameworks/node.js
+ * @description Code emitter for the built-in `node:test` runner. The test API is
+ * imported from 'node:test' and placeholders use the `{ todo: true }` option.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+module.exports = {
+  name: "node",
+  displayName: "node:test",
+  importSource: "node:test",
+  alwaysImport: true,
+  defaultModuleFormat: "cjs",
+  testKeywords: ["it", "test"],
+  supportsEach: false,
+  hooks: {
+    beforeAll: "before",
+    beforeEach: "beforeEach",
+    afterEach: "afterEach",
+    afterAll: "after",
+  },
+
+  mock: null,
+
+  modifiers: {
+    test: {
+      concurrent: { ignore: true },
+      skip: { option: "skip" },
+      only: { option: "only" },
+      timeout: { option: "timeout" },
+    },
+    suite: {
+      concurrent: { option: "concurrency" },
+      skip: { option: "skip" },
+      only: { option: "only" },
+      timeout: { option: "timeout" },
+    },
+  },
+
+  /**
+   * Builds a placeholder test.
+   * @param {string} keyword - The test keyword ('it' or 'test').
+   * @param {string} title - The quoted test title.
+   * @returns {string} The placeholder test statement.
+   */
+  todo(keyword, title) {
+    return `${keyword}(${title}, { todo: true });`;
+  },
+};
@@ -0,0 +1,53 @@
+/**
+ * @file src/core/frameworks/vitest.js
+ * @description Code emitter for Vitest. The test API is imported explicitly from 'vitest'
+ * so generated files work without the `globals` option.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+module.exports = {
+  name: "vitest",
+  displayName: "Vitest",
+  importSource: "vitest",
+  alwaysImport: true,
+  defaultModuleFormat: "esm",
+  testKeywords: ["it", "test"],
+  supportsEach: true,
+  hooks: {
+    beforeAll: "beforeAll",
+    beforeEach: "beforeEach",
+    afterEach: "afterEach",
+    afterAll: "afterAll",
+  },
+
+  mock: { call: "vi.mock", uses: "vi" },
+
+  modifiers: {
+    test: {
+      concurrent: { chain: "concurrent" },
+      skip: { chain: "skip" },
+      only: { chain: "only" },
+      failing: { chain: "fails" },
+      timeout: { option: "timeout" },
+      retry: { option: "retry" },
+    },
+    suite: {
+      concurrent: { chain: "concurrent" },
+      skip: { chain: "skip" },
+      only: { chain: "only" },
+      timeout: { option: "timeout" },
+      retry: { option: "retry" },
+    },
+  },
+
+  /**
+   * Builds a placeholder test.
+   * @param {string} keyword - The test keyword ('it' or 'test').
+   * @param {string} title - The quoted test title.
+   * @returns {string} The placeholder test statement.
+   */
+  todo(keyword, title) {
+    return `${keyword}.todo(${title});`;
+  },
+};
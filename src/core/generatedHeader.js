@@ -0,0 +1,76 @@
+/**
+ * @file src/core/generatedHeader.js
+ * @description The generated marker by which test files written by TestWeaver are
+ * recognized, and the checksum that follows it. The checksum covers the whole file
+ * (with the checksum itself left out), so a later run can tell whether the file was
+ * edited by hand before overwriting or deleting it.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const crypto = require("crypto");
+
+/** Marker embedded in the header of every generated test file. */
+const GENERATED_MARKER = "@generated by yaml-to-test-cli";
+
+/** Matches the marker with its checksum. */
+const CHECKSUM_PATTERN = new RegExp(
+  `${GENERATED_MARKER} \\(checksum: ([0-9a-f]+)\\)`
+);
+
+/**
+ * Computes the checksum of generated content.
+ * @param {string} content - The content, with the bare marker.
+ * @returns {string} The first 16 hex digits of its SHA-256 hash.
+ */
+function computeChecksum(content) {
+  return crypto.createHash("sha256").update(content).digest("hex").slice(0, 16);
+}
+
+/**
+ * Removes the checksum after the marker.
+ * @param {string} content - The content of a test file.
+ * @returns {string} The content with the bare marker.
+ */
+function stripChecksum(content) {
+  return content.replace(CHECKSUM_PATTERN, GENERATED_MARKER);
+}
+
+/**
+ * Appends the checksum of generated content to its marker, replacing any previous one.
+ * @param {string} content - The content, containing the marker.
+ * @param {string} [generatedContent=content] - The content the checksum covers. Merged
+ * files pass the generated code alone, so that the hand-written code they keep makes
+ * them read as 'modified' instead of purely generated.
+ * @returns {string} The content with the checksum.
+ */
+function addChecksum(content, generatedContent = content) {
+  const checksum = computeChecksum(stripChecksum(generatedContent));
+  return stripChecksum(content).replace(
+    GENERATED_MARKER,
+    `${GENERATED_MARKER} (checksum: ${checksum})`
+  );
+}
+
+/**
+ * Checks whether the content of an existing test file is as it was generated.
+ * @param {string} content - The content of the file.
+ * @returns {string} 'intact' if it matches its checksum, 'modified' if it does not,
+ * 'unverified' if it has the marker but no checksum (as files generated by earlier
+ * versions), or 'foreign' if it has no marker at all.
+ */
+function checkGeneratedContent(content) {
+  const match = content.match(CHECKSUM_PATTERN);
+  if (!match) {
+    return content.includes(GENERATED_MARKER) ? "unverified" : "foreign";
+  }
+  return computeChecksum(stripChecksum(content)) === match[1]
+    ? "intact"
+    : "modified";
+}
+
+module.exports = {
+  GENERATED_MARKER,
+  addChecksum,
+  checkGeneratedContent,
+};
@@ -0,0 +1,357 @@
+/**
+ * @file src/core/gherkin.js
+ * @description Reads Gherkin `.feature` files and converts them into the YAML test
+ * definition structure: Feature and Rule become suites, Scenarios become tests with
+ * their steps, Scenario Outline Examples become `$cases` rows and a Background
+ * becomes a `beforeEach` hook. Tags such as `@skip` map to test modifiers. Scenarios
+ * whose steps no step library implements are generated as skipped tests.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+/** Keywords starting a scenario. */
+const SCENARIO_KEYWORDS = [
+  "Scenario Outline",
+  "Scenario Template",
+  "Scenario",
+  "Example",
+];
+
+/** Keywords starting an examples table of a scenario outline. */
+const EXAMPLES_KEYWORDS = ["Examples", "Scenarios"];
+
+/** Keywords starting a step. */
+const STEP_KEYWORDS = ["Given", "When", "Then", "And", "But", "*"];
+
+/** Tags that map to test/suite modifiers. */
+const TAG_MODIFIERS = {
+  "@skip": "$skip",
+  "@only": "$only",
+  "@concurrent": "$concurrent",
+  "@failing": "$failing",
+};
+
+/**
+ * Splits a Gherkin table row into its cells, honouring the `\|`, `\\` and `\n` escapes.
+ * @param {string} line - The trimmed row, starting and ending with `|`.
+ * @returns {string[]} The trimmed cell values.
+ */
+function parseTableRow(line) {
+  const cells = [];
+  let cell = "";
+  for (let index = 1; index < line.length; index++) {
+    const character = line[index];
+    if (character === "\\" && index + 1 < line.length) {
+      const next = line[++index];
+      cell += next === "n" ? "\n" : next;
+    } else if (character === "|") {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += character;
+    }
+  }
+  return cells;
+}
+
+/**
+ * Matches a line against a keyword followed by a colon (e.g. `Feature: Login`).
+ * @param {string} line - The trimmed line.
+ * @param {string[]} keywords - The candidate keywords.
+ * @returns {{keyword: string, name: string}|null} The match, or null.
+ */
+function matchHeader(line, keywords) {
+  const keyword = keywords.find((candidate) =>
+    line.startsWith(`${candidate}:`)
+  );
+  return keyword
+    ? { keyword, name: line.slice(keyword.length + 1).trim() }
+    : null;
+}
+
+/**
+ * Matches a step line (e.g. `Given a registered user`).
+ * @param {string} line - The trimmed line.
+ * @returns {{keyword: string, text: string}|null} The step, or null.
+ */
+function matchStep(line) {
+  const keyword = STEP_KEYWORDS.find(
+    (candidate) => line === candidate || line.startsWith(`${candidate} `)
+  );
+  return keyword
+    ? { keyword, text: line.slice(keyword.length).trim() }
+    : null;
+}
+
+/**
+ * Parses Gherkin source (English keywords) into a document tree.
+ * Free-form descriptions and comments are ignored.
+ * @param {string} source - The `.feature` file content.
+ * @param {string} [fileName='feature'] - The file name, used in error messages.
+ * @returns {{feature: object|null}} The document. The feature has `name`, `tags`, `line`,
+ * `background` and `children` (scenarios and rules); scenarios have `name`, `tags`,
+ * `line`, `steps` and `examples`; steps have `keyword`, `text`, `line` and optional
+ * `dataTable` (rows of cells) or `docString` (text).
+ * @throws {Error} If the document is not valid Gherkin.
+ */
+function parseGherkin(source, fileName = "feature") {
+  const lines = source.split(/\r?\n/);
+  const document = { feature: null };
+  let tags = [];
+  let rule = null;
+  let current = null; // The background or scenario receiving steps
+  let step = null; // The last step, receiving a data table or doc string
+  let examples = null; // The examples table being read
+
+  const fail = (lineNumber, message) => {
+    throw new Error(`${fileName}:${lineNumber}: ${message}`);
+  };
+  const container = () => rule || document.feature;
+
+  for (let index = 0; index < lines.length; index++) {
+    const lineNumber = index + 1;
+    const line = lines[index].trim();
+    if (line === "" || line.startsWith("#")) continue;
+
+    if (line.startsWith('"""') || line.startsWith("```")) {
+      if (!step) fail(lineNumber, "doc string without a step.");
+      const delimiter = line.slice(0, 3);
+      const indent = lines[index].indexOf(delimiter);
+      const content = [];
+      index++;
+      while (index < lines.length && lines[index].trim() !== delimiter) {
+        const text = lines[index];
+        content.push(text.slice(Math.min(indent, text.search(/\S|$/))));
+        index++;
+      }
+      if (index >= lines.length) fail(lineNumber, "unterminated doc string.");
+      step.docString = content.join("\n");
+      continue;
+    }
+
+    if (line.startsWith("|")) {
+      const cells = parseTableRow(line);
+      if (examples) {
+        if (!examples.header) {
+          examples.header = cells;
+        } else if (cells.length !== examples.header.length) {
+          fail(
+            lineNumber,
+            `examples row has ${cells.length} cells but the header has ${examples.header.length}.`
+          );
+        } else {
+          examples.rows.push(cells);
+        }
+      } else if (step) {
+        step.dataTable = step.dataTable || [];
+        step.dataTable.push(cells);
+      } else {
+        fail(lineNumber, "table without a step or examples.");
+      }
+      continue;
+    }
+
+    if (line.startsWith("@")) {
+      tags.push(...line.replace(/\s#.*$/, "").split(/\s+/).filter(Boolean));
+      continue;
+    }
+
+    const feature = matchHeader(line, ["Feature"]);
+    if (feature) {
+      if (document.feature) {
+        fail(lineNumber, "only one Feature is allowed per file.");
+      }
+      document.feature = {
+        ...feature,
+        tags,
+        line: lineNumber,
+        background: null,
+        children: [],
+      };
+      tags = [];
+      current = step = examples = null;
+      continue;
+    }
+
+    const ruleHeader = matchHeader(line, ["Rule"]);
+    const background = matchHeader(line, ["Background"]);
+    const scenario = matchHeader(line, SCENARIO_KEYWORDS);
+    const examplesHeader = matchHeader(line, EXAMPLES_KEYWORDS);
+    if ((ruleHeader || background || scenario) && !document.feature) {
+      fail(lineNumber, "expected a Feature first.");
+    }
+
+    if (ruleHeader) {
+      rule = {
+        type: "rule",
+        ...ruleHeader,
+        tags,
+        line: lineNumber,
+        background: null,
+        children: [],
+      };
+      document.feature.children.push(rule);
+      tags = [];
+      current = step = examples = null;
+    } else if (background) {
+      current = { ...background, tags: [], line: lineNumber, steps: [] };
+      container().background = current;
+      step = examples = null;
+    } else if (scenario) {
+      current = {
+        type: "scenario",
+        ...scenario,
+        tags,
+        line: lineNumber,
+        steps: [],
+        examples: [],
+      };
+      container().children.push(current);
+      tags = [];
+      step = examples = null;
+    } else if (examplesHeader) {
+      if (!current || !current.examples) {
+        fail(lineNumber, "Examples outside a Scenario Outline.");
+      }
+      examples = {
+        ...examplesHeader,
+        tags,
+        line: lineNumber,
+        header: null,
+        rows: [],
+      };
+      current.examples.push(examples);
+      tags = [];
+      step = null;
+    } else {
+      const stepMatch = matchStep(line);
+      if (stepMatch && current && !examples) {
+        step = { ...stepMatch, line: lineNumber };
+        current.steps.push(step);
+      }
+      // Anything else is a free-form description.
+    }
+  }
+
+  return document;
+}
+
+/**
+ * Formats a step, with its data table or doc string, as the text of a `$steps` entry.
+ * @param {object} step - The parsed step.
+ * @returns {string} The step text; arguments follow on indented lines.
+ */
+function formatStep(step) {
+  const lines = [`${step.keyword} ${step.text}`.trim()];
+  if (step.dataTable) {
+    step.dataTable.forEach((cells) =>
+      lines.push(
+        `  | ${cells.map((cell) => cell.replace(/\|/g, "\\|")).join(" | ")} |`
+      )
+    );
+  }
+  if (step.docString !== undefined) {
+    lines.push(
+      '  """',
+      ...step.docString.split("\n").map((line) => `  ${line}`),
+      '  """'
+    );
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Converts tags into modifier entries.
+ * @param {string[]} tags - The tags of a feature, rule or scenario.
+ * @returns {Array<object>} `{ $skip: true }`-style entries.
+ */
+function tagEntries(tags) {
+  return tags
+    .filter((tag) => TAG_MODIFIERS[tag])
+    .map((tag) => ({ [TAG_MODIFIERS[tag]]: true }));
+}
+
+/**
+ * Converts the examples of a scenario outline into `$cases` rows. `<name>` placeholders
+ * in the title become `$name` so that each row gets its own title.
+ * @param {object} scenario - The parsed scenario outline.
+ * @param {string} fileName - The file name, used in error messages.
+ * @returns {{title: string, cases: Array<object>}|null} The title and rows, or null.
+ * @throws {Error} If the Examples tables have different columns.
+ */
+function convertExamples(scenario, fileName) {
+  const tables = scenario.examples.filter((table) => table.header);
+  if (tables.length === 0) return null;
+  const header = tables[0].header;
+  const cases = [];
+  tables.forEach((table) => {
+    if (table.header.join("|") !== header.join("|")) {
+      throw new Error(
+        `${fileName}:${table.line}: all Examples of '${scenario.name}' must have the same columns.`
+      );
+    }
+    table.rows.forEach((row) =>
+      cases.push(
+        Object.fromEntries(header.map((column, index) => [column, row[index]]))
+      )
+    );
+  });
+  if (cases.length === 0) return null;
+
+  const title = scenario.name.replace(/<([A-Za-z_][\w]*)>/g, (match, name) =>
+    header.includes(name) ? `$${name}` : match
+  );
+  return { title, cases };
+}
+
+/**
+ * Converts a parsed Gherkin document into the YAML test definition structure,
+ * and records the source line of every entry.
+ * @param {{feature: object|null}} document - The document from `parseGherkin`.
+ * @param {string} [fileName='feature'] - The file name, used in error messages.
+ * @returns {{content: object|null, lines: Map<string, number>}} The definition, and the
+ * line of each entry keyed by its JSON-encoded key path.
+ */
+function gherkinToDefinition(document, fileName = "feature") {
+  const lines = new Map();
+  if (!document.feature) return { content: null, lines };
+
+  const convertContainer = (node, keyPath) => {
+    lines.set(JSON.stringify(keyPath), node.line);
+    const entries = [...tagEntries(node.tags)];
+    if (node.background && node.background.steps.length > 0) {
+      lines.set(JSON.stringify([...keyPath, "$beforeEach"]), node.background.line);
+      entries.push({
+        $beforeEach: { $steps: node.background.steps.map(formatStep) },
+      });
+    }
+    node.children.forEach((child) => {
+      if (child.type === "rule") {
+        entries.push({
+          [child.name]: convertContainer(child, [...keyPath, child.name]),
+        });
+        return;
+      }
+      const outline = convertExamples(child, fileName);
+      const title = outline ? outline.title : child.name;
+      lines.set(JSON.stringify([...keyPath, title]), child.line);
+      const value = Object.assign({}, ...tagEntries(child.tags));
+      if (child.steps.length > 0) value.$steps = child.steps.map(formatStep);
+      if (outline) value.$cases = outline.cases;
+      entries.push({ [title]: Object.keys(value).length > 0 ? value : null });
+    });
+    return entries;
+  };
+
+  const { feature } = document;
+  return {
+    content: { [feature.name]: convertContainer(feature, [feature.name]) },
+    lines,
+  };
+}
+
+module.exports = {
+  parseTableRow,
+  parseGherkin,
+  gherkinToDefinition,
+};
@@ -0,0 +1,293 @@
+/**
+ * @file src/core/manifest.js
+ * @description Keeps the generated-file manifest (`.testweaver/manifest.json` in the
+ * working directory), which records for every definition file the hashes of its
+ * content and of the configuration it was generated with, the tool version, the test
+ * file written for it and the warnings generating it produced. Generation uses it to skip definition files that have not
+ * changed since their test file was written, and to find test files whose definition
+ * was deleted while nothing was watching.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { resolvePlugin } = require("./plugins");
+const { loadTemplates } = require("./templates");
+const { version } = require("../../package.json");
+
+/** Path of the manifest, relative to the project directory. */
+const MANIFEST_PATH = path.join(".testweaver", "manifest.json");
+
+/** Version of the manifest format; manifests of other versions are discarded. */
+const MANIFEST_VERSION = 2;
+
+/** Configuration options that affect the content or location of generated files. */
+const GENERATION_OPTIONS = [
+  "testKeyword",
+  "framework",
+  "outputFileName",
+  "moduleFormat",
+  "outDir",
+  "rootDir",
+  "merge",
+  "orphanedTests",
+  "stepDefinitions",
+  "templateDir",
+  "plugins",
+  "lint",
+];
+
+/**
+ * Hashes text content.
+ * @param {string} content - The content.
+ * @returns {string} The SHA-256 hash, hex encoded.
+ */
+function hashContent(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Hashes the content of a file.
+ * @param {string} filePath - The path to the file.
+ * @returns {string|null} The hash, or null if the file cannot be read.
+ */
+function hashFile(filePath) {
+  try {
+    return hashContent(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Hashes the parts of the configuration generated files depend on: the generation
+ * options, the step definition file, the templates and the plugin modules. Only the
+ * main file of a plugin is hashed, not the modules it requires.
+ * @param {object} cliConfig - The consolidated configuration object.
+ * @returns {string} The hash.
+ */
+function hashConfig(cliConfig) {
+  let templates;
+  try {
+    templates = loadTemplates(cliConfig.templateDir);
+  } catch (error) {
+    templates = null;
+  }
+  const options = Object.fromEntries(
+    GENERATION_OPTIONS.map((name) => [name, cliConfig[name]])
+  );
+  return hashContent(
+    JSON.stringify({
+      options,
+      stepDefinitions: cliConfig.stepDefinitions
+        ? hashFile(cliConfig.stepDefinitions)
+        : null,
+      templates,
+      plugins: (cliConfig.plugins || []).map((specifier) => {
+        try {
+          return hashFile(resolvePlugin(specifier, process.cwd()));
+        } catch (error) {
+          return null;
+        }
+      }),
+    })
+  );
+}
+
+/**
+ * Converts a path to its key in the manifest: relative to the project directory,
+ * with forward slashes.
+ * @param {object} manifest - The manifest.
+ * @param {string} filePath - The path.
+ * @returns {string} The key.
+ */
+function toManifestPath(manifest, filePath) {
+  return path
+    .relative(manifest.rootDir, path.resolve(filePath))
+    .split(path.sep)
+    .join("/");
+}
+
+/**
+ * Loads the manifest of a project. A missing, unreadable or outdated manifest yields
+ * an empty one.
+ * @param {object} cliConfig - The consolidated configuration object, whose hash is
+ * compared with the recorded ones.
+ * @param {string} [rootDir=process.cwd()] - The project directory.
+ * @returns {{rootDir: string, configHash: string, files: Object<string, object>}} The
+ * manifest, with the entries by definition file.
+ */
+function loadManifest(cliConfig, rootDir = process.cwd()) {
+  const manifest = { rootDir, configHash: hashConfig(cliConfig), files: {} };
+  try {
+    const stored = JSON.parse(
+      fs.readFileSync(path.join(rootDir, MANIFEST_PATH), "utf8")
+    );
+    if (stored.version === MANIFEST_VERSION && stored.files) {
+      manifest.files = stored.files;
+    }
+  } catch (error) {
+    // Start over without a manifest
+  }
+  return manifest;
+}
+
+/**
+ * Writes the manifest, if its content changed.
+ * @param {object} manifest - The manifest from `loadManifest`.
+ * @throws {Error} If the manifest cannot be written.
+ */
+function saveManifest(manifest) {
+  const manifestPath = path.join(manifest.rootDir, MANIFEST_PATH);
+  const files = Object.fromEntries(
+    Object.keys(manifest.files)
+      .sort()
+      .map((key) => [key, manifest.files[key]])
+  );
+  const content = `${JSON.stringify(
+    { version: MANIFEST_VERSION, files },
+    null,
+    2
+  )}\n`;
+  if (
+    fs.existsSync(manifestPath) &&
+    fs.readFileSync(manifestPath, "utf8") === content
+  ) {
+    return;
+  }
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+  fs.writeFileSync(manifestPath, content, "utf8");
+}
+
+/**
+ * Tells whether the test file of a definition file is up to date according to the
+ * manifest: the definition, the configuration and the tool version are the ones it
+ * was generated with, and the test file still has the content written then.
+ * @param {object} manifest - The manifest.
+ * @param {string} sourcePath - The path to the definition file.
+ * @param {string} outputPath - The path of its test file.
+ * @returns {boolean} True if generating the file again can be skipped.
+ */
+function isUpToDate(manifest, sourcePath, outputPath) {
+  const entry = manifest.files[toManifestPath(manifest, sourcePath)];
+  return Boolean(
+    entry &&
+      entry.toolVersion === version &&
+      entry.configHash === manifest.configHash &&
+      entry.outputPath === toManifestPath(manifest, outputPath) &&
+      entry.sourceHash === hashFile(sourcePath) &&
+      entry.outputHash === hashFile(outputPath)
+  );
+}
+
+/**
+ * Records the test file generated for a definition file.
+ * @param {object} manifest - The manifest.
+ * @param {string} sourcePath - The path to the definition file.
+ * @param {string} outputPath - The path of its test file.
+ * @param {string} content - The content of the test file.
+ * @param {Array<object>} [diagnostics=[]] - The warnings generating it produced, to be
+ * reported again while it is up to date.
+ */
+function recordOutput(
+  manifest,
+  sourcePath,
+  outputPath,
+  content,
+  diagnostics = []
+) {
+  manifest.files[toManifestPath(manifest, sourcePath)] = {
+    sourceHash: hashFile(sourcePath),
+    configHash: manifest.configHash,
+    toolVersion: version,
+    outputPath: toManifestPath(manifest, outputPath),
+    outputHash: hashContent(content),
+    diagnostics: diagnostics.map((diagnostic) =>
+      diagnostic.file
+        ? { ...diagnostic, file: toManifestPath(manifest, diagnostic.file) }
+        : diagnostic
+    ),
+  };
+}
+
+/**
+ * Returns the warnings recorded for a definition file.
+ * @param {object} manifest - The manifest.
+ * @param {string} sourcePath - The path to the definition file.
+ * @returns {Array<object>} The warnings, with absolute file paths; empty if nothing
+ * is recorded.
+ */
+function getRecordedDiagnostics(manifest, sourcePath) {
+  const entry = manifest.files[toManifestPath(manifest, sourcePath)];
+  return ((entry && entry.diagnostics) || []).map((diagnostic) =>
+    diagnostic.file
+      ? { ...diagnostic, file: path.resolve(manifest.rootDir, diagnostic.file) }
+      : diagnostic
+  );
+}
+
+/**
+ * Removes the entry of a definition file from the manifest.
+ * @param {object} manifest - The manifest.
+ * @param {string} sourcePath - The path to the definition file.
+ */
+function forgetSource(manifest, sourcePath) {
+  delete manifest.files[toManifestPath(manifest, sourcePath)];
+}
+
+/**
+ * Lists the test files recorded in the manifest.
+ * @param {object} manifest - The manifest.
+ * @returns {Array<{sourcePath: string, outputPath: string, outputHash: string}>}
+ * Absolute paths of the definition files and their test files, with the hash of the
+ * content each test file was written with.
+ */
+function listRecordedOutputs(manifest) {
+  return Object.keys(manifest.files)
+    .sort()
+    .map((key) => {
+      const entry = manifest.files[key];
+      return {
+        sourcePath: path.resolve(manifest.rootDir, key),
+        outputPath: path.resolve(manifest.rootDir, entry.outputPath),
+        outputHash: entry.outputHash,
+      };
+    });
+}
+
+/**
+ * Finds the test files recorded for definition files that no longer exist.
+ * @param {object} manifest - The manifest.
+ * @returns {Array<{sourcePath: string, outputPath: string, exists: boolean,
+ * modified: boolean}>} Absolute paths of the deleted definition files and their test
+ * files, whether each test file still exists, and whether it was changed since it
+ * was generated.
+ */
+function findOrphanedOutputs(manifest) {
+  return listRecordedOutputs(manifest)
+    .filter(({ sourcePath }) => !fs.existsSync(sourcePath))
+    .map(({ sourcePath, outputPath, outputHash }) => {
+      const currentHash = hashFile(outputPath);
+      return {
+        sourcePath,
+        outputPath,
+        exists: currentHash !== null,
+        modified: currentHash !== null && currentHash !== outputHash,
+      };
+    });
+}
+
+module.exports = {
+  MANIFEST_PATH,
+  findOrphanedOutputs,
+  forgetSource,
+  getRecordedDiagnostics,
+  hashContent,
+  isUpToDate,
+  listRecordedOutputs,
+  loadManifest,
+  recordOutput,
+  saveManifest,
+};
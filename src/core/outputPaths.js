@@ -0,0 +1,176 @@
+/**
+ * @file src/core/outputPaths.js
+ * @description Resolves where generated test files are written and which module
+ * format they use, based on the output file name template and the optional output
+ * directory (`outDir`, mirroring the tree below `rootDir`) in the configuration.
+ * Shared by generation, the check command and watch-mode cleanup.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const path = require("path");
+
+/** The default output file name template. */
+const DEFAULT_OUTPUT_FILE_NAME = "{name}.test.js";
+
+/** Extensions whose files are always written as ES modules. */
+const ESM_EXTENSIONS = [".mjs", ".mts", ".ts", ".tsx"];
+
+/** Extensions whose files are always written as CommonJS modules. */
+const CJS_EXTENSIONS = [".cjs", ".cts"];
+
+/**
+ * Returns the output file name template from the configuration.
+ * @param {object} cliConfig - The consolidated configuration object.
+ * @returns {string} The template, e.g. `{name}.spec.ts`.
+ */
+function getOutputFileNameTemplate(cliConfig) {
+  return (cliConfig && cliConfig.outputFileName) || DEFAULT_OUTPUT_FILE_NAME;
+}
+
+/**
+ * Determines the directory generated files are written to for a YAML file.
+ * Without an `outDir`, files are written next to their YAML source. With one, the
+ * YAML file's directory relative to `rootDir` is mirrored below `outDir`.
+ * @param {string} yamlFilePath - The path to the YAML file.
+ * @param {object} cliConfig - The consolidated configuration object.
+ * @returns {string} The output directory.
+ * @throws {Error} If an `outDir` is set and the YAML file lies outside `rootDir`.
+ */
+function getOutputDir(yamlFilePath, cliConfig) {
+  const dirName = path.dirname(yamlFilePath);
+  if (!cliConfig || !cliConfig.outDir) {
+    return dirName;
+  }
+
+  const rootDir = path.resolve(cliConfig.rootDir || ".");
+  const relativeDir = path.relative(rootDir, path.resolve(dirName));
+  if (relativeDir.startsWith("..") || path.isAbsolute(relativeDir)) {
+    throw new Error(
+      `'${yamlFilePath}' is outside the root directory '${rootDir}', so its location below '${cliConfig.outDir}' cannot be determined.`
+    );
+  }
+  return path.join(path.resolve(cliConfig.outDir), relativeDir);
+}
+
+/**
+ * Determines the path of the test file generated for a YAML file.
+ * The `{name}` placeholder of the output file name template is replaced with the
+ * YAML file name without its extension.
+ * @param {string} yamlFilePath - The path to the YAML file.
+ * @param {object} cliConfig - The consolidated configuration object.
+ * @returns {string} The path of the corresponding test file.
+ * @throws {Error} If an `outDir` is set and the YAML file lies outside `rootDir`.
+ */
+function getOutputFilePath(yamlFilePath, cliConfig) {
+  const baseName = path.basename(yamlFilePath, path.extname(yamlFilePath));
+  const fileName = getOutputFileNameTemplate(cliConfig).replace(
+    /\{name\}/g,
+    baseName
+  );
+  return path.join(getOutputDir(yamlFilePath, cliConfig), fileName);
+}
+
+/**
+ * Determines where the YAML definition of an existing test file belongs, so that
+ * generating it writes back to that test file: the inverse of `getOutputFilePath`.
+ * Test files not named after the output file name template keep their base name,
+ * and files outside `outDir` stay in their own directory.
+ * @param {string} testFilePath - The path to the test file.
+ * @param {object} cliConfig - The consolidated configuration object.
+ * @param {string} [extension='.yaml'] - The extension of the definition file.
+ * @returns {string} The path of the corresponding YAML file.
+ */
+function getDefinitionFilePath(testFilePath, cliConfig, extension = ".yaml") {
+  const fileName = path.basename(testFilePath);
+  const [before, after] = getOutputFileNameTemplate(cliConfig).split("{name}");
+  const name =
+    after !== undefined &&
+    fileName.length > before.length + after.length &&
+    fileName.startsWith(before) &&
+    fileName.endsWith(after)
+      ? fileName.slice(before.length, fileName.length - after.length)
+      : path.basename(fileName, path.extname(fileName));
+
+  let dirName = path.resolve(path.dirname(testFilePath));
+  if (cliConfig && cliConfig.outDir) {
+    const relativeDir = path.relative(path.resolve(cliConfig.outDir), dirName);
+    if (!relativeDir.startsWith("..") && !path.isAbsolute(relativeDir)) {
+      dirName = path.join(path.resolve(cliConfig.rootDir || "."), relativeDir);
+    }
+  }
+  return path.join(dirName, `${name}${extension}`);
+}
+
+/**
+ * Rewrites a relative module specifier written in a YAML file so that it resolves to
+ * the same module from the generated test file. Package names and absolute
+ * specifiers are returned unchanged.
+ * @param {string} specifier - The specifier, relative to the YAML file (e.g. `../src/foo`).
+ * @param {string|null} sourceFilePath - The path to the YAML file.
+ * @param {string|null} outputFilePath - The path to the generated test file.
+ * @returns {string} The specifier relative to the test file (e.g. `../../src/foo`).
+ */
+function resolveModuleSpecifier(specifier, sourceFilePath, outputFilePath) {
+  if (!/^\.\.?(\/|$)/.test(specifier) || !sourceFilePath || !outputFilePath) {
+    return specifier;
+  }
+  const target = path.resolve(path.dirname(sourceFilePath), specifier);
+  const relative = path
+    .relative(path.dirname(path.resolve(outputFilePath)), target)
+    .split(path.sep)
+    .join("/");
+  if (relative === "" || relative === "..") return relative || ".";
+  return relative.startsWith("../") ? relative : `./${relative}`;
+}
+
+/**
+ * Builds a glob pattern matching every file the output template can produce,
+ * limited to the output directory when an `outDir` is configured.
+ * @param {object} cliConfig - The consolidated configuration object.
+ * @returns {string} The glob pattern, e.g. `**\/*.spec.ts` or `test/**\/*.test.js`.
+ */
+function getOutputGlob(cliConfig) {
+  const fileGlob = `**/${getOutputFileNameTemplate(cliConfig).replace(
+    /\{name\}/g,
+    "*"
+  )}`;
+  if (!cliConfig || !cliConfig.outDir) {
+    return fileGlob;
+  }
+  const outDir = path
+    .relative(process.cwd(), path.resolve(cliConfig.outDir))
+    .split(path.sep)
+    .join("/");
+  return outDir ? `${outDir}/${fileGlob}` : fileGlob;
+}
+
+/**
+ * Resolves the module format of generated files. An explicit `moduleFormat` of
+ * 'esm' or 'cjs' wins; with 'auto', the output extension decides (`.mjs` and
+ * TypeScript files use `import`, `.cjs` uses `require`) and plain `.js` files fall
+ * back to the framework's preferred format.
+ * @param {object} cliConfig - The consolidated configuration object.
+ * @param {object} framework - The framework emitter.
+ * @returns {string} 'esm' or 'cjs'.
+ */
+function resolveModuleFormat(cliConfig, framework) {
+  const moduleFormat = cliConfig && cliConfig.moduleFormat;
+  if (moduleFormat === "esm" || moduleFormat === "cjs") {
+    return moduleFormat;
+  }
+  const ext = path.extname(getOutputFileNameTemplate(cliConfig)).toLowerCase();
+  if (ESM_EXTENSIONS.includes(ext)) return "esm";
+  if (CJS_EXTENSIONS.includes(ext)) return "cjs";
+  return framework.defaultModuleFormat;
+}
+
+module.exports = {
+  DEFAULT_OUTPUT_FILE_NAME,
+  getDefinitionFilePath,
+  getOutputFileNameTemplate,
+  getOutputFilePath,
+  getOutputGlob,
+  resolveModuleFormat,
+  resolveModuleSpecifier,
+};
@@ -0,0 +1,165 @@
+/**
+ * @file src/core/pipeline.js
+ * @description The generation pipeline of `testweaver generate`: it generates the test
+ * files of many YAML files at once, up to the configured concurrency. Parsing and
+ * code generation run in a pool of worker threads; reading and writing test files is
+ * asynchronous. With a concurrency of 1, files are rendered in the main thread.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { generateFileAsync, renderFile } = require("./fileProcessor");
+
+/** Path of the worker thread script. */
+const RENDER_WORKER_PATH = path.join(__dirname, "renderWorker.js");
+
+/**
+ * Resolves the `concurrency` option.
+ * @param {number} [concurrency=0] - The configured concurrency; 0 for one per CPU.
+ * @returns {number} The number of files to generate at once.
+ */
+function resolveConcurrency(concurrency = 0) {
+  if (concurrency > 0) return concurrency;
+  return typeof os.availableParallelism === "function"
+    ? os.availableParallelism()
+    : os.cpus().length;
+}
+
+/**
+ * Creates a pool of worker threads rendering test files. Workers are started as
+ * tasks arrive, up to the pool size; a worker that crashes or exits fails the task it
+ * was running and is replaced.
+ * @param {number} size - The maximum number of workers.
+ * @returns {{render: function(string, object): Promise<object|null>, close: function():
+ * Promise<void>, size: function(): number}} `render` renders a YAML file like
+ * `renderFile`; `close` stops the workers; `size` tells how many were started in all.
+ */
+function createRenderPool(size) {
+  const workers = [];
+  const idle = [];
+  const queue = [];
+  const pending = new Map();
+  let started = 0;
+  let nextId = 0;
+  let closed = false;
+
+  const dispatch = () => {
+    while (queue.length > 0 && (idle.length > 0 || workers.length < size)) {
+      const worker = idle.pop() || startWorker();
+      const task = queue.shift();
+      pending.set(task.id, { ...task, worker });
+      worker.postMessage({
+        id: task.id,
+        yamlFilePath: task.yamlFilePath,
+        cliConfig: task.cliConfig,
+      });
+    }
+  };
+
+  const startWorker = () => {
+    started++;
+    const worker = new Worker(RENDER_WORKER_PATH);
+    workers.push(worker);
+    worker.on("message", ({ id, rendered, error }) => {
+      const task = pending.get(id);
+      pending.delete(id);
+      idle.push(worker);
+      if (error) {
+        task.reject(Object.assign(new Error(error.message), error));
+      } else {
+        task.resolve(rendered);
+      }
+      dispatch();
+    });
+    worker.on("error", (error) => retire(worker, error));
+    worker.on("exit", (code) => {
+      if (code !== 0) {
+        retire(worker, new Error(`worker thread stopped with exit code ${code}.`));
+      }
+    });
+    return worker;
+  };
+
+  // Drops a worker that crashed or exited, failing the tasks it was running
+  const retire = (worker, error) => {
+    if (!workers.includes(worker)) return;
+    workers.splice(workers.indexOf(worker), 1);
+    if (idle.includes(worker)) idle.splice(idle.indexOf(worker), 1);
+    [...pending.values()]
+      .filter((task) => task.worker === worker)
+      .forEach((task) => {
+        pending.delete(task.id);
+        task.reject(error);
+      });
+    if (!closed) dispatch();
+  };
+
+  return {
+    render(yamlFilePath, cliConfig) {
+      return new Promise((resolve, reject) => {
+        queue.push({ id: nextId++, yamlFilePath, cliConfig, resolve, reject });
+        dispatch();
+      });
+    },
+    async close() {
+      closed = true;
+      await Promise.all(workers.map((worker) => worker.terminate()));
+    },
+    size: () => started,
+  };
+}
+
+/**
+ * Generates the test files of YAML files, several at once.
+ * @param {string[]} files - Absolute paths of the YAML files; each is generated once.
+ * @param {object} cliConfig - The consolidated configuration object, including
+ * `concurrency`.
+ * @param {object} [options={}] - Options.
+ * @param {object} [options.manifest] - The manifest, if generation is incremental.
+ * @param {function(object): void} [options.onResult] - Receives each outcome as soon
+ * as the file is done.
+ * @returns {Promise<{results: Array<object>, workers: number}>} The outcomes (as from
+ * `generateFile`, with the milliseconds each file took as `duration`), in the order of
+ * the files, and the number of worker threads used.
+ */
+async function runPipeline(files, cliConfig, options = {}) {
+  const { manifest, onResult = () => {} } = options;
+  const uniqueFiles = [...new Set(files)];
+  const concurrency = Math.min(
+    resolveConcurrency(cliConfig.concurrency),
+    Math.max(uniqueFiles.length, 1)
+  );
+  const pool = concurrency > 1 ? createRenderPool(concurrency) : null;
+  const render = pool ? pool.render : renderFile;
+  const results = new Array(uniqueFiles.length);
+  let next = 0;
+
+  const lane = async () => {
+    while (next < uniqueFiles.length) {
+      const index = next++;
+      const fileStartedAt = Date.now();
+      const result = await generateFileAsync(uniqueFiles[index], cliConfig, {
+        manifest,
+        render,
+      });
+      result.duration = Date.now() - fileStartedAt;
+      results[index] = result;
+      onResult(result);
+    }
+  };
+
+  try {
+    await Promise.all(Array.from({ length: concurrency }, lane));
+  } finally {
+    if (pool) await pool.close();
+  }
+  return { results, workers: pool ? pool.size() : 0 };
+}
+
+module.exports = {
+  resolveConcurrency,
+  runPipeline,
+};
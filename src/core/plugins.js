@@ -0,0 +1,213 @@
+/**
+ * @file src/core/plugins.js
+ * @description Loads the plugins declared in the `plugins` configuration option. A
+ * plugin is a module (a path relative to the working directory, or a package name)
+ * exporting a function that receives the plugin API and registers commands, reserved
+ * YAML keys with their code emitters, parsers for other definition file types and
+ * handlers for the `beforeFile`/`afterFile` lifecycle events.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const path = require("path");
+const { log, LOG_LEVELS } = require("../utils/logger");
+const { RESERVED_KEYS } = require("./testPlan");
+
+/** The lifecycle events plugins can handle. */
+const PLUGIN_EVENTS = ["beforeFile", "afterFile"];
+
+/** Matches the keys plugins can reserve: '$' followed by an identifier. */
+const PLUGIN_KEY_PATTERN = /^\$[A-Za-z_]\w*$/;
+
+/** Loaded plugin registries, by working directory and plugin list. */
+const registryCache = new Map();
+
+/**
+ * Creates an empty plugin registry.
+ * @returns {{plugins: string[], commands: Array<function>, keys: Map<string, object>,
+ * parsers: Map<string, function>, handlers: Object<string, Array<function>>}} The
+ * registry.
+ */
+function createPluginRegistry() {
+  return {
+    plugins: [],
+    commands: [],
+    keys: new Map(),
+    parsers: new Map(),
+    handlers: Object.fromEntries(PLUGIN_EVENTS.map((event) => [event, []])),
+  };
+}
+
+/**
+ * Creates the API handed to a plugin, which records its registrations.
+ * @param {object} registry - The registry receiving the registrations.
+ * @param {string} specifier - The plugin, as declared in the configuration (for errors).
+ * @returns {object} The plugin API.
+ */
+function createPluginApi(registry, specifier) {
+  const fail = (message) => {
+    throw new Error(`plugin '${specifier}': ${message}`);
+  };
+
+  return {
+    log,
+    LOG_LEVELS,
+
+    /**
+     * Registers a command, like the modules in `src/commands`.
+     * @param {function(Command): void} register - Adds the command to the Commander.js program.
+     */
+    addCommand(register) {
+      if (typeof register !== "function") {
+        fail("addCommand expects a function receiving the program.");
+      }
+      registry.commands.push(register);
+    },
+
+    /**
+     * Reserves a YAML key. Wherever the key appears (at the top level, in a suite or
+     * in a test), `emit` produces code that is placed at the start of the body of
+     * the node declaring it, or after the imports at the top level.
+     * @param {string} key - The key, e.g. `$fixtures`.
+     * @param {object} definition - The key's emitter.
+     * @param {function(*, Array<string>): *} [definition.parse] - Validates and
+     * normalizes the value, given the key path for error messages.
+     * @param {function(*, object): (string|string[]|null)} definition.emit - Returns
+     * the code for a value. It receives the value and `{ node, framework, testKeyword,
+     * use }`, where `use(name)` adds a framework API name (e.g. 'vi') to the import.
+     */
+    addKey(key, definition) {
+      if (typeof key !== "string" || !PLUGIN_KEY_PATTERN.test(key)) {
+        fail(`key '${key}' must be '$' followed by an identifier.`);
+      }
+      if (RESERVED_KEYS.has(key) || registry.keys.has(key)) {
+        fail(`key '${key}' is already reserved.`);
+      }
+      if (!definition || typeof definition.emit !== "function") {
+        fail(`key '${key}' needs an 'emit' function.`);
+      }
+      if (definition.parse !== undefined && typeof definition.parse !== "function") {
+        fail(`the 'parse' option of key '${key}' must be a function.`);
+      }
+      registry.keys.set(key, { ...definition, plugin: specifier });
+    },
+
+    /**
+     * Registers a parser for definition files with an extension other than YAML and
+     * `.feature`. Such files are found through the `patterns` configuration option.
+     * @param {string} extension - The file extension, e.g. '.json5'.
+     * @param {function(string, string): *} parse - Returns the definition (in the shape
+     * of parsed YAML) for a file's content and path.
+     */
+    addParser(extension, parse) {
+      if (typeof extension !== "string" || !extension) {
+        fail("addParser expects a file extension.");
+      }
+      if (typeof parse !== "function") {
+        fail(`the parser for '${extension}' must be a function.`);
+      }
+      const normalized = extension.startsWith(".") ? extension : `.${extension}`;
+      registry.parsers.set(normalized.toLowerCase(), parse);
+    },
+
+    /**
+     * Handles a lifecycle event. `beforeFile` handlers receive `{ sourcePath, config }`
+     * before a definition file is read; `afterFile` handlers receive `{ sourcePath,
+     * outputPath, content, config }` once the test file is rendered, and may return a
+     * string that replaces its content.
+     * @param {string} event - 'beforeFile' or 'afterFile'.
+     * @param {function(object): (string|void)} handler - The handler.
+     */
+    on(event, handler) {
+      if (!PLUGIN_EVENTS.includes(event)) {
+        fail(
+          `unknown event '${event}'. expected one of: ${PLUGIN_EVENTS.join(", ")}.`
+        );
+      }
+      if (typeof handler !== "function") {
+        fail(`the '${event}' handler must be a function.`);
+      }
+      registry.handlers[event].push(handler);
+    },
+  };
+}
+
+/**
+ * Resolves a plugin specifier to a module path. Paths starting with '.' are relative
+ * to the base directory; other specifiers are packages installed there.
+ * @param {string} specifier - The plugin, as declared in the configuration.
+ * @param {string} baseDir - The directory plugins are resolved from.
+ * @returns {string} The module path.
+ * @throws {Error} If the plugin cannot be found.
+ */
+function resolvePlugin(specifier, baseDir) {
+  const request =
+    specifier.startsWith(".") || path.isAbsolute(specifier)
+      ? path.resolve(baseDir, specifier)
+      : specifier;
+  try {
+    return require.resolve(request, { paths: [baseDir] });
+  } catch (error) {
+    throw new Error(`plugin '${specifier}' could not be found from '${baseDir}'.`);
+  }
+}
+
+/**
+ * Loads plugins and collects their registrations. Registries are cached, so that
+ * each plugin is set up once per process however many files are generated.
+ * @param {string[]} [specifiers=[]] - The plugins, as declared in the configuration.
+ * @param {string} [baseDir=process.cwd()] - The directory plugins are resolved from.
+ * @returns {object} The registry from `createPluginRegistry`, filled in.
+ * @throws {Error} If a plugin cannot be found, does not export a function or makes an
+ * invalid registration.
+ */
+function loadPlugins(specifiers = [], baseDir = process.cwd()) {
+  const cacheKey = JSON.stringify([baseDir, specifiers]);
+  if (registryCache.has(cacheKey)) return registryCache.get(cacheKey);
+
+  const registry = createPluginRegistry();
+  specifiers.forEach((specifier) => {
+    const exported = require(resolvePlugin(specifier, baseDir));
+    const register =
+      typeof exported === "function"
+        ? exported
+        : exported && typeof exported.default === "function"
+        ? exported.default
+        : null;
+    if (!register) {
+      throw new Error(
+        `plugin '${specifier}' must export a function receiving the plugin API.`
+      );
+    }
+    register(createPluginApi(registry, specifier));
+    registry.plugins.push(specifier);
+    log(`Loaded plugin: ${specifier}`, LOG_LEVELS.DEBUG);
+  });
+
+  registryCache.set(cacheKey, registry);
+  return registry;
+}
+
+/**
+ * Runs the handlers of a lifecycle event in registration order.
+ * @param {object} registry - The plugin registry.
+ * @param {string} event - The event.
+ * @param {object} payload - The event payload.
+ * @returns {string|undefined} The payload's `content`, as replaced by the handlers.
+ */
+function runPluginHandlers(registry, event, payload) {
+  let { content } = payload;
+  registry.handlers[event].forEach((handler) => {
+    const result = handler({ ...payload, content });
+    if (typeof result === "string") content = result;
+  });
+  return content;
+}
+
+module.exports = {
+  PLUGIN_EVENTS,
+  createPluginRegistry,
+  loadPlugins,
+  resolvePlugin,
+  runPluginHandlers,
+};
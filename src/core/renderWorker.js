@@ -0,0 +1,28 @@
+/**
+ * @file src/core/renderWorker.js
+ * @description Worker thread entry point of the generation pipeline. It renders the
+ * test files of the YAML files it is sent with `renderFile` and posts back the
+ * results; errors are posted with their message, diagnostics and reason.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const { parentPort } = require("worker_threads");
+const { setLogLevel } = require("../utils/logger");
+const { renderFile } = require("./fileProcessor");
+
+parentPort.on("message", ({ id, yamlFilePath, cliConfig }) => {
+  setLogLevel(cliConfig.logLevel);
+  try {
+    parentPort.postMessage({ id, rendered: renderFile(yamlFilePath, cliConfig) });
+  } catch (error) {
+    parentPort.postMessage({
+      id,
+      error: {
+        message: error.message,
+        diagnostics: error.diagnostics,
+        reason: error.reason,
+      },
+    });
+  }
+});
@@ -0,0 +1,216 @@
+/**
+ * @file src/core/runReport.js
+ * @description The outcome of a `testweaver generate` run as a whole: the count of files
+ * per status, the exit code it ends with, and the report written with `--report`, as
+ * JSON or as JUnit XML for CI servers.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { version } = require("../../package.json");
+const { EXIT_CODES } = require("../utils/exitCodes");
+const { formatDiagnostic } = require("./diagnostics");
+
+/** Keys of the summary counts, by outcome status. */
+const SUMMARY_KEYS = {
+  written: "written",
+  unchanged: "unchanged",
+  "dry-run": "dryRun",
+  skipped: "skipped",
+  failed: "failed",
+};
+
+/** Exit codes of failed files, by failure reason. The first match wins. */
+const REASON_EXIT_CODES = [
+  ["write", EXIT_CODES.WRITE_ERROR],
+  ["parse", EXIT_CODES.PARSE_ERROR],
+  ["lint", EXIT_CODES.LINT_ERROR],
+];
+
+/**
+ * Counts the outcomes of a run per status.
+ * @param {Array<object>} results - The outcomes, as from `generateFile`.
+ * @returns {{total: number, written: number, unchanged: number, dryRun: number,
+ * skipped: number, failed: number}} The counts.
+ */
+function summarizeResults(results) {
+  const summary = { total: results.length };
+  Object.values(SUMMARY_KEYS).forEach((key) => {
+    summary[key] = 0;
+  });
+  results.forEach(({ status }) => {
+    summary[SUMMARY_KEYS[status]]++;
+  });
+  return summary;
+}
+
+/**
+ * Chooses the exit code of a run. Write errors take precedence over parse errors,
+ * parse errors over lint errors, and lint errors over any other failure.
+ * @param {Array<object>} results - The outcomes, as from `generateFile`.
+ * @param {number} [failedPatterns=0] - The number of patterns that could not be
+ * searched.
+ * @returns {number} A value of `EXIT_CODES`.
+ */
+function getExitCode(results, failedPatterns = 0) {
+  const reasons = new Set(
+    results
+      .filter(({ status }) => status === "failed")
+      .map(({ reason }) => reason)
+  );
+  const match = REASON_EXIT_CODES.find(([reason]) => reasons.has(reason));
+  if (match) return match[1];
+  return reasons.size > 0 || failedPatterns > 0
+    ? EXIT_CODES.GENERATION_FAILED
+    : EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Creates the report of a run. Paths are relative to the working directory.
+ * @param {Array<object>} results - The outcomes, as from `runPipeline`.
+ * @param {object} run - The run.
+ * @param {number} run.exitCode - The exit code it ends with.
+ * @param {number} run.duration - The milliseconds it took.
+ * @param {number} [run.failedPatterns=0] - The number of patterns that could not be
+ * searched.
+ * @returns {object} The report: the tool and its version, when the run finished, its
+ * duration and exit code, the summary counts and, per YAML file, its test file,
+ * status, failure reason, duration and diagnostics.
+ */
+function createRunReport(results, run) {
+  const { exitCode, duration, failedPatterns = 0 } = run;
+  const relative = (file) => file && (path.relative(process.cwd(), file) || file);
+  return {
+    tool: "testweaver",
+    version,
+    finishedAt: new Date().toISOString(),
+    duration,
+    exitCode,
+    summary: { ...summarizeResults(results), failedPatterns },
+    files: results.map((result) => ({
+      source: relative(result.sourcePath),
+      output: relative(result.outputPath),
+      status: result.status,
+      reason: result.reason || null,
+      duration: result.duration,
+      diagnostics: result.diagnostics.map((diagnostic) => ({
+        ...diagnostic,
+        ...(diagnostic.file && { file: relative(diagnostic.file) }),
+      })),
+    })),
+  };
+}
+
+/**
+ * Escapes text for an XML attribute or element.
+ * @param {*} value - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Formats milliseconds as JUnit seconds.
+ * @param {number} [milliseconds=0] - The duration.
+ * @returns {string} The seconds, e.g. '0.042'.
+ */
+function toSeconds(milliseconds = 0) {
+  return (milliseconds / 1000).toFixed(3);
+}
+
+/**
+ * Formats a report as JUnit XML: one test suite with a test case per YAML file. Failed
+ * files are failures whose type is their reason, skipped files are skipped, and
+ * warnings go to the test case's output.
+ * @param {object} report - The report from `createRunReport`.
+ * @returns {string} The XML document.
+ */
+function formatJUnitReport(report) {
+  const { summary } = report;
+  const counts = [
+    `tests="${summary.total}"`,
+    `failures="${summary.failed}"`,
+    'errors="0"',
+    `skipped="${summary.skipped}"`,
+    `time="${toSeconds(report.duration)}"`,
+  ].join(" ");
+  const testCases = report.files.map((file) => {
+    const attributes = `classname="testweaver.generate" name="${escapeXml(
+      file.source
+    )}" time="${toSeconds(file.duration)}"`;
+    const errors = file.diagnostics.filter(({ severity }) => severity === "error");
+    const warnings = file.diagnostics.filter(({ severity }) => severity !== "error");
+    const children = [];
+    if (file.status === "failed") {
+      const message = errors.length > 0 ? errors[0].message : "generation failed";
+      children.push(
+        `      <failure type="${escapeXml(file.reason)}" message="${escapeXml(
+          message.split("\n")[0]
+        )}">${escapeXml(errors.map(formatDiagnostic).join("\n"))}</failure>`
+      );
+    } else if (file.status === "skipped") {
+      const message = warnings.length > 0 ? warnings[0].message : "";
+      children.push(`      <skipped message="${escapeXml(message)}"/>`);
+    }
+    if (warnings.length > 0 && file.status !== "skipped") {
+      children.push(
+        `      <system-out>${escapeXml(
+          warnings
+            .map((warning) => `warning: ${formatDiagnostic(warning)}`)
+            .join("\n")
+        )}</system-out>`
+      );
+    }
+    return children.length > 0
+      ? [`    <testcase ${attributes}>`, ...children, "    </testcase>"].join("\n")
+      : `    <testcase ${attributes}/>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="testweaver" ${counts}>`,
+    `  <testsuite name="testweaver generate" ${counts} timestamp="${
+      report.finishedAt
+    }">`,
+    ...testCases,
+    "  </testsuite>",
+    "</testsuites>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Writes a report, as JUnit XML if the file name ends in `.xml` and as JSON otherwise,
+ * creating missing directories.
+ * @param {string} reportPath - The path of the report file.
+ * @param {object} report - The report from `createRunReport`.
+ * @returns {string} The format written: 'junit' or 'json'.
+ * @throws {Error} If the file cannot be written.
+ */
+function writeRunReport(reportPath, report) {
+  const format =
+    path.extname(reportPath).toLowerCase() === ".xml" ? "junit" : "json";
+  const content =
+    format === "junit"
+      ? formatJUnitReport(report)
+      : `${JSON.stringify(report, null, 2)}\n`;
+  fs.mkdirSync(path.dirname(path.resolve(reportPath)), { recursive: true });
+  fs.writeFileSync(reportPath, content, "utf8");
+  return format;
+}
+
+module.exports = {
+  createRunReport,
+  formatJUnitReport,
+  getExitCode,
+  summarizeResults,
+  writeRunReport,
+};
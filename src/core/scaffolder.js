@@ -0,0 +1,300 @@
+/**
+ * @file src/core/scaffolder.js
+ * @description Builds starter YAML test definitions from a module's source. The
+ * module's exported functions and classes are found by static analysis (ES module
+ * `export` declarations and CommonJS `module.exports`/`exports` assignments); each
+ * export gets a suite with placeholder tests, and classes a nested suite per method.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const path = require("path");
+const yaml = require("js-yaml");
+const { parseSource } = require("./testParser");
+const { IDENTIFIER_PATTERN } = require("./codeEmitter");
+const { SUBJECT_KEY } = require("./testPlan");
+
+/** Placeholder tests for exported functions, by whether they are async. */
+const FUNCTION_CASES = {
+  sync: ["returns the expected result", "handles invalid input"],
+  async: ["resolves with the expected result", "rejects on failure"],
+};
+
+/** Placeholder test for the constructor of an exported class. */
+const CONSTRUCTOR_CASE = "creates an instance";
+
+/**
+ * Describes a function or class expression/declaration.
+ * @param {object|null} node - The node.
+ * @returns {{kind: string, async: boolean, methods: Array<object>}} The export shape;
+ * `kind` is 'function', 'class' or 'value'.
+ */
+function describeValue(node) {
+  if (!node) return { kind: "value", async: false, methods: [] };
+  if (
+    node.type === "FunctionDeclaration" ||
+    node.type === "FunctionExpression" ||
+    node.type === "ArrowFunctionExpression"
+  ) {
+    return { kind: "function", async: Boolean(node.async), methods: [] };
+  }
+  if (node.type === "ClassDeclaration" || node.type === "ClassExpression") {
+    const methods = node.body.body
+      .filter(
+        (member) =>
+          (member.type === "ClassMethod" ||
+            (member.type === "ClassProperty" &&
+              member.value &&
+              /Function/.test(member.value.type))) &&
+          member.kind !== "constructor" &&
+          member.kind !== "get" &&
+          member.kind !== "set" &&
+          !member.computed &&
+          member.key.type === "Identifier" &&
+          member.accessibility !== "private" &&
+          member.accessibility !== "protected"
+      )
+      .map((member) => ({
+        name: member.static ? `static ${member.key.name}` : member.key.name,
+        async: Boolean(member.async || (member.value && member.value.async)),
+      }));
+    return { kind: "class", async: false, methods };
+  }
+  return { kind: "value", async: false, methods: [] };
+}
+
+/**
+ * Collects the top-level declarations of a program by name, so that exports that
+ * refer to them (`export { foo }`, `module.exports = { foo }`) can be described.
+ * @param {Array<object>} body - The program body.
+ * @returns {Map<string, object>} The declared function, class or initializer node by name.
+ */
+function collectDeclarations(body) {
+  const declarations = new Map();
+  body.forEach((statement) => {
+    const declaration =
+      statement.type === "ExportNamedDeclaration" ||
+      statement.type === "ExportDefaultDeclaration"
+        ? statement.declaration
+        : statement;
+    if (!declaration) return;
+    if (
+      (declaration.type === "FunctionDeclaration" ||
+        declaration.type === "ClassDeclaration") &&
+      declaration.id
+    ) {
+      declarations.set(declaration.id.name, declaration);
+    } else if (declaration.type === "VariableDeclaration") {
+      declaration.declarations.forEach((declarator) => {
+        if (declarator.id.type === "Identifier") {
+          declarations.set(declarator.id.name, declarator.init);
+        }
+      });
+    }
+  });
+  return declarations;
+}
+
+/**
+ * Checks whether an expression is `module.exports` or `exports`, optionally followed
+ * by a property (`module.exports.foo`, `exports.foo`).
+ * @param {object} node - The assignment target.
+ * @returns {{name: string|null}|null} The exported property name (null for the whole
+ * `module.exports`), or null if the target is not an export.
+ */
+function matchCommonJsTarget(node) {
+  const isModuleExports = (candidate) =>
+    candidate.type === "MemberExpression" &&
+    !candidate.computed &&
+    candidate.object.type === "Identifier" &&
+    candidate.object.name === "module" &&
+    candidate.property.name === "exports";
+
+  if (isModuleExports(node)) return { name: null };
+  if (
+    node.type === "MemberExpression" &&
+    !node.computed &&
+    (isModuleExports(node.object) ||
+      (node.object.type === "Identifier" && node.object.name === "exports"))
+  ) {
+    return { name: node.property.name };
+  }
+  return null;
+}
+
+/**
+ * Finds the exported functions, classes and values of a module.
+ * @param {string} code - The module source.
+ * @param {string} fileName - The file name, used to select parser plugins and to name
+ * default exports.
+ * @returns {Array<{name: string, isDefault: boolean, kind: string, async: boolean,
+ * methods: Array<{name: string, async: boolean}>}>} The exports in source order. Default
+ * exports (and whole `module.exports` values) are named after their declaration, or
+ * after the file when anonymous.
+ * @throws {SyntaxError} If the code cannot be parsed.
+ */
+function collectModuleExports(code, fileName) {
+  const { body } = parseSource(code, fileName).program;
+  const declarations = collectDeclarations(body);
+  const moduleName = path
+    .basename(fileName, path.extname(fileName))
+    .replace(/[^\w$]+(.)?/g, (match, next) => (next ? next.toUpperCase() : ""));
+  const exports = new Map();
+
+  const add = (name, node, isDefault = false) => {
+    if (!exports.has(name)) {
+      exports.set(name, { name, isDefault, ...describeValue(node) });
+    }
+  };
+  const resolve = (node) =>
+    node && node.type === "Identifier" && declarations.has(node.name)
+      ? declarations.get(node.name)
+      : node;
+
+  body.forEach((statement) => {
+    if (statement.type === "ExportNamedDeclaration") {
+      const { declaration } = statement;
+      if (declaration && declaration.id) {
+        add(declaration.id.name, declaration);
+      } else if (declaration && declaration.type === "VariableDeclaration") {
+        declaration.declarations
+          .filter((declarator) => declarator.id.type === "Identifier")
+          .forEach((declarator) =>
+            add(declarator.id.name, resolve(declarator.init))
+          );
+      }
+      if (!statement.source) {
+        statement.specifiers.forEach((specifier) =>
+          add(
+            specifier.exported.name || specifier.exported.value,
+            declarations.get(specifier.local.name) || null
+          )
+        );
+      }
+    } else if (statement.type === "ExportDefaultDeclaration") {
+      const { declaration } = statement;
+      add(
+        (declaration.id && declaration.id.name) ||
+          (declaration.type === "Identifier" && declaration.name) ||
+          moduleName,
+        resolve(declaration),
+        true
+      );
+    } else if (
+      statement.type === "ExpressionStatement" &&
+      statement.expression.type === "AssignmentExpression"
+    ) {
+      const { left, right } = statement.expression;
+      const target = matchCommonJsTarget(left);
+      if (!target) return;
+      if (target.name) {
+        add(target.name, resolve(right));
+      } else if (right.type === "ObjectExpression") {
+        right.properties
+          .filter(
+            (property) =>
+              (property.type === "ObjectProperty" ||
+                property.type === "ObjectMethod") &&
+              !property.computed
+          )
+          .forEach((property) => {
+            const name = property.key.name || property.key.value;
+            add(
+              name,
+              property.type === "ObjectMethod"
+                ? { ...property, type: "FunctionExpression" }
+                : resolve(property.value)
+            );
+          });
+      } else {
+        const value = resolve(right);
+        add((value && value.id && value.id.name) || moduleName, value, true);
+      }
+    }
+  });
+
+  return [...exports.values()];
+}
+
+/**
+ * Builds the `$subject` declaration importing a module's exports by name.
+ * @param {Array<object>} moduleExports - The exports from `collectModuleExports`.
+ * @param {string} subjectPath - The module path, relative to the YAML file.
+ * @returns {object|string} The declaration.
+ */
+function buildSubject(moduleExports, subjectPath) {
+  const subject = { from: subjectPath };
+  const defaultExport = moduleExports.find((entry) => entry.isDefault);
+  const named = moduleExports
+    .filter((entry) => !entry.isDefault && IDENTIFIER_PATTERN.test(entry.name))
+    .map((entry) => entry.name);
+  if (defaultExport && IDENTIFIER_PATTERN.test(defaultExport.name)) {
+    subject.default = defaultExport.name;
+  }
+  if (named.length > 0) subject.named = named;
+  return Object.keys(subject).length > 1 ? subject : subjectPath;
+}
+
+/**
+ * Builds the starter definition for a module's exports: one suite per function or
+ * class with placeholder tests, and a nested suite per public class method. Exported
+ * values that are neither get a single placeholder test.
+ * @param {Array<object>} moduleExports - The exports from `collectModuleExports`.
+ * @param {string} [subjectPath] - The module path relative to the YAML file; when given,
+ * a `$subject` key imports the exports.
+ * @returns {object} The definition, keyed by export name.
+ */
+function buildScaffoldDefinition(moduleExports, subjectPath) {
+  const definition = subjectPath
+    ? { [SUBJECT_KEY]: buildSubject(moduleExports, subjectPath) }
+    : {};
+  moduleExports.forEach((entry) => {
+    if (entry.kind === "function") {
+      definition[entry.name] = [...FUNCTION_CASES[entry.async ? "async" : "sync"]];
+    } else if (entry.kind === "class") {
+      definition[entry.name] = [
+        CONSTRUCTOR_CASE,
+        ...entry.methods.map((method) => ({
+          [method.name]: [...FUNCTION_CASES[method.async ? "async" : "sync"]],
+        })),
+      ];
+    } else {
+      definition[entry.name] = ["has the expected value"];
+    }
+  });
+  return definition;
+}
+
+/**
+ * Renders the starter YAML for a module.
+ * @param {string} code - The module source.
+ * @param {string} filePath - The path to the module, mentioned in the YAML header.
+ * @param {string} [subjectPath] - The module path relative to the YAML file, imported
+ * through `$subject`.
+ * @returns {{content: string|null, exports: Array<object>}} The YAML document (null if
+ * the module exports nothing) and the exports it was built from.
+ * @throws {SyntaxError} If the code cannot be parsed.
+ */
+function scaffoldModule(code, filePath, subjectPath) {
+  const moduleExports = collectModuleExports(code, filePath);
+  if (moduleExports.length === 0) return { content: null, exports: [] };
+
+  const header = `# Starter test plan for ${filePath.split(path.sep).join("/")}.
+# Replace the placeholder tests with the cases this module should cover.
+`;
+  return {
+    content:
+      header +
+      yaml.dump(buildScaffoldDefinition(moduleExports, subjectPath), {
+        lineWidth: -1,
+        noRefs: true,
+      }),
+    exports: moduleExports,
+  };
+}
+
+module.exports = {
+  collectModuleExports,
+  buildScaffoldDefinition,
+  scaffoldModule,
+};
@@ -0,0 +1,88 @@
+/**
+ * @file src/core/sourceMap.js
+ * @description Builds source maps from generated test files back to their definition
+ * files, so that stack traces and failures of tests compiled in memory point at the
+ * YAML (or `.feature`) entry behind each line. Mappings are line-level: every generated
+ * line maps to the first column of the entry it was generated from.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+/** The digits of Base64 VLQ encoding. */
+const BASE64_DIGITS =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+/**
+ * Encodes a number as a Base64 VLQ, as used in the `mappings` of a source map.
+ * @param {number} value - The number.
+ * @returns {string} The encoded number.
+ */
+function encodeVlq(value) {
+  let remaining = value < 0 ? (-value << 1) | 1 : value << 1;
+  let encoded = "";
+  do {
+    let digit = remaining & 31;
+    remaining >>>= 5;
+    if (remaining > 0) digit |= 32;
+    encoded += BASE64_DIGITS[digit];
+  } while (remaining > 0);
+  return encoded;
+}
+
+/**
+ * Builds a version 3 source map for generated test code.
+ * @param {object} generated - The generated file.
+ * @param {string} generated.fileName - The file name of the generated code.
+ * @param {string} generated.content - The complete file content.
+ * @param {number} generated.lineOffset - The number of lines in front of the generated
+ * code (the file template's header).
+ * @param {function(number): (Array<string>|null)} generated.originOf - Maps a line of
+ * the generated code to the key path of the entry behind it.
+ * @param {object} source - The definition file.
+ * @param {string} source.path - The path to the file.
+ * @param {string} source.content - The file content.
+ * @param {function(Array<string>): (number|null)} source.locate - Finds the one-based
+ * line of the entry at a key path.
+ * @returns {object} The source map. Lines without an origin (such as the header) are
+ * not mapped; closing lines inherit the origin of the nearest line above them.
+ */
+function createSourceMap(generated, source) {
+  const sourceLines = source.content.split(/\r?\n/);
+  const lineCount = generated.content.split("\n").length;
+  const segments = [];
+  let previousLine = 0;
+  let previousColumn = 0;
+  let origin = null;
+
+  for (let line = 1; line <= lineCount; line++) {
+    const codeLine = line - generated.lineOffset;
+    if (codeLine > 0) origin = generated.originOf(codeLine) || origin;
+    const sourceLine = origin ? source.locate(origin) : null;
+    if (!sourceLine) {
+      segments.push("");
+      continue;
+    }
+    const sourceColumn = (sourceLines[sourceLine - 1] || "").search(/\S|$/);
+    segments.push(
+      encodeVlq(0) +
+        encodeVlq(0) +
+        encodeVlq(sourceLine - 1 - previousLine) +
+        encodeVlq(sourceColumn - previousColumn)
+    );
+    previousLine = sourceLine - 1;
+    previousColumn = sourceColumn;
+  }
+
+  return {
+    version: 3,
+    file: generated.fileName,
+    sources: [source.path],
+    sourcesContent: [source.content],
+    names: [],
+    mappings: segments.join(";"),
+  };
+}
+
+module.exports = {
+  createSourceMap,
+};
@@ -0,0 +1,249 @@
+/**
+ * @file src/core/stepLibrary.js
+ * @description Loads a project's step definitions and turns step texts such as
+ * `Given a user named "alice"` into code. Each definition maps a pattern (a cucumber
+ * expression like `a user named {string}`, or a regular expression) to a code template
+ * in which `{{1}}`, `{{2}}`, ... stand for the captured parameters and `{{argument}}`
+ * for the step's data table or doc string.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const fs = require("fs");
+const yaml = require("js-yaml");
+const { stringLiteral, valueLiteral } = require("./codeEmitter");
+const { parseTableRow } = require("./gherkin");
+
+/** Matches the Gherkin keyword at the start of a step. */
+const STEP_KEYWORD_PATTERN = /^(?:Given|When|Then|And|But|\*)\s+/;
+
+/** Matches the placeholders of a code template. */
+const TEMPLATE_PLACEHOLDER_PATTERN = /\{\{\s*(\d+|argument)\s*\}\}/g;
+
+/** Matches a `<name>` placeholder of a scenario outline in place of a parameter value. */
+const PLACEHOLDER_SOURCE = "<[^<>]+>";
+
+/** Regular expressions and value converters for the cucumber expression parameter types. */
+const PARAMETER_TYPES = {
+  int: {
+    pattern: `(-?\\d+|${PLACEHOLDER_SOURCE})`,
+    groups: 1,
+    toCode: (value) => String(Number(value)),
+  },
+  float: {
+    pattern: `(-?\\d*\\.?\\d+(?:[eE][-+]?\\d+)?|${PLACEHOLDER_SOURCE})`,
+    groups: 1,
+    toCode: (value) => String(Number(value)),
+  },
+  word: { pattern: "([^\\s]+)", groups: 1, toCode: stringLiteral },
+  string: {
+    pattern: `(?:"((?:[^"\\\\]|\\\\.)*)"|'((?:[^'\\\\]|\\\\.)*)'|(${PLACEHOLDER_SOURCE}))`,
+    groups: 3,
+    toCode: (value) => stringLiteral(value.replace(/\\(.)/g, "$1")),
+  },
+  "": { pattern: "(.*)", groups: 1, toCode: stringLiteral },
+};
+
+/**
+ * Escapes text for use inside a regular expression.
+ * @param {string} text - The literal text.
+ * @returns {string} The escaped text.
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+}
+
+/**
+ * Compiles the literal part of a cucumber expression, supporting optional text
+ * (`cucumber(s)`), alternatives (`color/colour`) and `\` escapes.
+ * @param {string} text - The literal part.
+ * @returns {string} The regular expression source.
+ */
+function compileLiteral(text) {
+  return text
+    .split(/(\s+)/)
+    .map((word) => {
+      if (/^\s+$/.test(word)) return word.replace(/\s+/g, "\\s+");
+      const alternatives = word.split(/(?<!\\)\//);
+      const compiled = alternatives.map((alternative) =>
+        alternative
+          .split(/((?<!\\)\([^)]*\))/)
+          .map((part) =>
+            /^\(.*\)$/.test(part)
+              ? `(?:${escapeRegExp(part.slice(1, -1))})?`
+              : escapeRegExp(part.replace(/\\(.)/g, "$1"))
+          )
+          .join("")
+      );
+      return compiled.length > 1 ? `(?:${compiled.join("|")})` : compiled[0];
+    })
+    .join("");
+}
+
+/**
+ * Compiles a step pattern. Patterns written as `/.../flags`, or starting with `^` or
+ * ending with `$`, are regular expressions; anything else is a cucumber expression.
+ * @param {string} pattern - The pattern.
+ * @returns {{regex: RegExp, parameters: Array<object>}} The anchored regular expression and,
+ * per parameter, the number of capture groups it spans and how its value becomes code.
+ * @throws {Error} If the pattern is invalid or uses an unknown parameter type.
+ */
+function compilePattern(pattern) {
+  const literal = pattern.match(/^\/(.*)\/([a-z]*)$/s);
+  if (literal || pattern.startsWith("^") || pattern.endsWith("$")) {
+    const source = literal ? literal[1] : pattern;
+    const flags = literal ? literal[2].replace(/[gy]/g, "") : "";
+    const regex = new RegExp(source, flags);
+    const groups = new RegExp(`${source}|`, flags).exec("").length - 1;
+    return {
+      regex,
+      parameters: Array.from({ length: groups }, () => ({
+        groups: 1,
+        toCode: stringLiteral,
+      })),
+    };
+  }
+
+  const parameters = [];
+  let source = "";
+  let last = 0;
+  const parameterPattern = /(?<!\\)\{([^}]*)\}/g;
+  let match;
+  while ((match = parameterPattern.exec(pattern)) !== null) {
+    const type = PARAMETER_TYPES[match[1]];
+    if (!type) {
+      throw new Error(`unknown parameter type '{${match[1]}}'.`);
+    }
+    source += compileLiteral(pattern.slice(last, match.index)) + type.pattern;
+    parameters.push(type);
+    last = match.index + match[0].length;
+  }
+  source += compileLiteral(pattern.slice(last));
+  return { regex: new RegExp(`^${source}$`), parameters };
+}
+
+/**
+ * Loads and compiles a step definition file (YAML or JSON). The file holds a list of
+ * definitions, or an object with a `steps` list; each definition has a `pattern` and
+ * its `code` (a string or a list of lines).
+ * @param {string} filePath - The path to the step definition file.
+ * @returns {Array<{pattern: string, regex: RegExp, parameters: Array<object>, code: string}>}
+ * The compiled definitions, in the order they are tried.
+ * @throws {Error} If the file cannot be read or a definition is invalid.
+ */
+function loadStepLibrary(filePath) {
+  const content = yaml.load(fs.readFileSync(filePath, "utf8"));
+  const definitions = Array.isArray(content) ? content : content && content.steps;
+  if (!Array.isArray(definitions)) {
+    throw new Error(
+      `step definition file '${filePath}' must contain a list of steps.`
+    );
+  }
+
+  return definitions.map((definition, index) => {
+    const where = `step definition ${index + 1} in '${filePath}'`;
+    if (!definition || typeof definition.pattern !== "string") {
+      throw new Error(`${where} must have a 'pattern'.`);
+    }
+    const code = Array.isArray(definition.code)
+      ? definition.code.join("\n")
+      : definition.code;
+    if (typeof code !== "string") {
+      throw new Error(`${where} must have 'code' (a string or a list of lines).`);
+    }
+
+    let compiled;
+    try {
+      compiled = compilePattern(definition.pattern);
+    } catch (error) {
+      throw new Error(`${where} has an invalid pattern: ${error.message}`);
+    }
+    for (const [, placeholder] of code.matchAll(TEMPLATE_PLACEHOLDER_PATTERN)) {
+      if (placeholder !== "argument" && Number(placeholder) > compiled.parameters.length) {
+        throw new Error(
+          `${where} uses '{{${placeholder}}}' but its pattern has ${compiled.parameters.length} parameter(s).`
+        );
+      }
+    }
+    return { pattern: definition.pattern, ...compiled, code };
+  });
+}
+
+/**
+ * Converts the lines following a step (a data table or a doc string, as written in
+ * `$steps`) into a JavaScript literal.
+ * @param {string[]} lines - The argument lines.
+ * @returns {string} An array of rows, a string, or `undefined` if there is no argument.
+ */
+function argumentLiteral(lines) {
+  const trimmed = lines.map((line) => line.trim()).filter(Boolean);
+  if (trimmed.length === 0) return "undefined";
+  if (trimmed.every((line) => line.startsWith("|"))) {
+    return valueLiteral(trimmed.map(parseTableRow));
+  }
+  const delimiter = trimmed[0];
+  const isDocString = ['"""', "```"].includes(delimiter);
+  const body = isDocString
+    ? lines.slice(lines.findIndex((line) => line.trim() === delimiter) + 1)
+    : lines;
+  const end = isDocString
+    ? body.findIndex((line) => line.trim() === delimiter)
+    : -1;
+  const content = end >= 0 ? body.slice(0, end) : body;
+  const indent = Math.min(
+    ...content.filter((line) => line.trim()).map((line) => line.search(/\S/)),
+    Infinity
+  );
+  return stringLiteral(
+    content.map((line) => line.slice(Number.isFinite(indent) ? indent : 0)).join("\n")
+  );
+}
+
+/**
+ * Renders a step into code using the first matching definition.
+ * @param {Array<object>} library - The definitions from `loadStepLibrary`.
+ * @param {string} step - The step text (keyword optional), possibly followed by argument lines.
+ * @param {Object<string, string>} [placeholders={}] - Code for `<name>` placeholders of a
+ * scenario outline; a parameter whose whole value is such a placeholder is replaced
+ * with its code instead of a literal.
+ * @returns {string|null} The code, or null if no definition matches.
+ */
+function renderStep(library, step, placeholders = {}) {
+  const [firstLine, ...argumentLines] = step.split("\n");
+  const text = firstLine.trim().replace(STEP_KEYWORD_PATTERN, "");
+
+  for (const definition of library) {
+    const match = definition.regex.exec(text);
+    if (!match) continue;
+
+    const values = [];
+    let group = 1;
+    definition.parameters.forEach((parameter) => {
+      const captured = match
+        .slice(group, group + parameter.groups)
+        .find((value) => value !== undefined);
+      group += parameter.groups;
+      if (captured === undefined) {
+        values.push("undefined");
+      } else if (Object.prototype.hasOwnProperty.call(placeholders, captured)) {
+        values.push(placeholders[captured]);
+      } else if (new RegExp(`^${PLACEHOLDER_SOURCE}$`).test(captured)) {
+        // A placeholder without an examples column stays as text.
+        values.push(stringLiteral(captured));
+      } else {
+        values.push(parameter.toCode(captured));
+      }
+    });
+
+    return definition.code.replace(TEMPLATE_PLACEHOLDER_PATTERN, (_, name) =>
+      name === "argument" ? argumentLiteral(argumentLines) : values[Number(name) - 1]
+    );
+  }
+  return null;
+}
+
+module.exports = {
+  compilePattern,
+  loadStepLibrary,
+  renderStep,
+};
@@ -0,0 +1,231 @@
+/**
+ * @file src/core/templates.js
+ * @description Loads and renders the templates that shape generated test files: the
+ * file wrapper and the suite, test and hook nodes. Templates use a small subset of
+ * Mustache: `{{name}}` (and dotted `{{source.fileName}}`) inserts a value,
+ * `{{#name}}...{{/name}}` keeps its content when the value is truthy (a non-empty
+ * list), `{{^name}}...{{/name}}` when it is not, and `{{! ...}}` is a comment. Lines
+ * holding only a section tag or comment are dropped. The built-in templates in
+ * `config/templates` reproduce the default output; a project's template directory
+ * overrides them file by file.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { FEATURE_EXTENSION } = require("./definitionLoader");
+
+/** The templates, by name; each is read from `<name>.tpl`. */
+const TEMPLATE_NAMES = ["file", "suite", "test", "hook"];
+
+/** Extension of template files. */
+const TEMPLATE_EXTENSION = ".tpl";
+
+/** Directory of the built-in templates. */
+const DEFAULT_TEMPLATE_DIR = path.join(__dirname, "../../config/templates");
+
+/** Matches a line holding nothing but a section tag or a comment, with its line break. */
+const STANDALONE_TAG_PATTERN =
+  /^[ \t]*(\{\{[#^/][^}]*\}\}|\{\{![\s\S]*?\}\})[ \t]*(?:\r?\n|$)/gm;
+
+/** Matches a comment. */
+const COMMENT_PATTERN = /\{\{![\s\S]*?\}\}/g;
+
+/** Matches a section and its content. */
+const SECTION_PATTERN =
+  /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+
+/** Matches a value tag. */
+const VALUE_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+/** Stands in for the body of a node while its template is rendered. */
+const BODY_PLACEHOLDER = "\u0000body\u0000";
+
+/** Stands in for the generated code while the file template is rendered. */
+const CODE_PLACEHOLDER = "\u0000code\u0000";
+
+/** The built-in templates, read on first use. */
+let defaultTemplates = null;
+
+/**
+ * Reads the templates of a directory.
+ * @param {string} dir - The directory.
+ * @param {boolean} required - Whether every template must exist.
+ * @returns {Object<string, string>} The templates found, by name.
+ */
+function readTemplates(dir, required) {
+  const templates = {};
+  TEMPLATE_NAMES.forEach((name) => {
+    const file = path.join(dir, `${name}${TEMPLATE_EXTENSION}`);
+    if (required || fs.existsSync(file)) {
+      templates[name] = fs.readFileSync(file, "utf8");
+    }
+  });
+  return templates;
+}
+
+/**
+ * Loads the templates for generating test files: the built-in ones, overridden by
+ * the `file.tpl`, `suite.tpl`, `test.tpl` and `hook.tpl` files of a template
+ * directory.
+ * @param {string} [templateDir] - The project's template directory, if any.
+ * @returns {{file: string, suite: string, test: string, hook: string}} The templates.
+ * @throws {Error} If the template directory does not exist or cannot be read.
+ */
+function loadTemplates(templateDir) {
+  if (!defaultTemplates) {
+    defaultTemplates = readTemplates(DEFAULT_TEMPLATE_DIR, true);
+  }
+  if (!templateDir) return defaultTemplates;
+  if (!fs.existsSync(templateDir) || !fs.statSync(templateDir).isDirectory()) {
+    throw new Error(`template directory '${templateDir}' does not exist.`);
+  }
+  return { ...defaultTemplates, ...readTemplates(templateDir, false) };
+}
+
+/**
+ * Looks up a dotted name in the template values.
+ * @param {object} values - The values.
+ * @param {string} name - The name, e.g. `source.fileName`.
+ * @returns {*} The value, or undefined if there is none.
+ */
+function lookup(values, name) {
+  return name
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value !== null && value !== undefined ? value[key] : undefined,
+      values
+    );
+}
+
+/**
+ * Formats a value for insertion into the output.
+ * @param {*} value - The value.
+ * @returns {string} The text: empty for null, undefined and false, lists joined with
+ * commas and objects as JSON.
+ */
+function formatValue(value) {
+  if (value === null || value === undefined || value === false) return "";
+  if (Array.isArray(value)) return value.join(", ");
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Renders a template. The line break ending the template is not part of the output,
+ * so that a template file ending with a newline renders without one.
+ * @param {string} template - The template.
+ * @param {object} values - The values the template refers to.
+ * @returns {string} The rendered text.
+ */
+function renderTemplate(template, values) {
+  const expand = (text) =>
+    text
+      .replace(SECTION_PATTERN, (match, type, name, content) => {
+        const value = lookup(values, name);
+        const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+        return truthy === (type === "#") ? expand(content) : "";
+      })
+      .replace(VALUE_PATTERN, (match, name) => formatValue(lookup(values, name)));
+
+  const rendered = expand(
+    template
+      .replace(STANDALONE_TAG_PATTERN, (match, tag) =>
+        tag.startsWith("{{!") ? "" : tag
+      )
+      .replace(COMMENT_PATTERN, "")
+  );
+  return rendered.replace(/\r?\n$/, "");
+}
+
+/**
+ * Writes a suite, test or hook through its template. Every line is indented to the
+ * node's level; the `{{body}}` line is replaced by the node's body, indented by the
+ * whitespace in front of the tag.
+ * @param {object} writer - The code writer.
+ * @param {string} template - The node template.
+ * @param {object} values - The values the template refers to.
+ * @param {string} indentLevel - The indentation of the node.
+ * @param {function(string): void} writeBody - Writes the body at the given indentation.
+ * @throws {Error} If `{{body}}` shares its line with other text.
+ */
+function writeNodeTemplate(writer, template, values, indentLevel, writeBody) {
+  renderTemplate(template, { ...values, body: BODY_PLACEHOLDER })
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const bodyIndex = line.indexOf(BODY_PLACEHOLDER);
+      if (bodyIndex === -1) {
+        writer.line(line.trim() ? `${indentLevel}${line}` : "");
+        return;
+      }
+      if (line.trim() !== BODY_PLACEHOLDER) {
+        throw new Error(
+          `'{{body}}' must stand on a line of its own in the ${values.kind} template.`
+        );
+      }
+      writeBody(`${indentLevel}${line.slice(0, bodyIndex)}`);
+    });
+}
+
+/**
+ * Wraps generated code in the file template.
+ * @param {string} template - The file template.
+ * @param {object} values - The values the template refers to (besides `code`).
+ * @param {string} code - The generated code.
+ * @returns {{content: string, lineOffset: number}} The file content, and the number of
+ * lines in front of the code.
+ * @throws {Error} If the template does not include `{{code}}`.
+ */
+function renderFileTemplate(template, values, code) {
+  const rendered = renderTemplate(template, { ...values, code: CODE_PLACEHOLDER });
+  const codeIndex = rendered.indexOf(CODE_PLACEHOLDER);
+  if (codeIndex === -1) {
+    throw new Error("the file template must include '{{code}}'.");
+  }
+  return {
+    content: rendered.replace(CODE_PLACEHOLDER, () => code),
+    lineOffset: rendered.slice(0, codeIndex).split("\n").length - 1,
+  };
+}
+
+/**
+ * Builds the values available to every template.
+ * @param {object} options - Where the output comes from.
+ * @param {object} options.framework - The framework emitter.
+ * @param {object} [options.config] - The configuration values.
+ * @param {string} [options.sourcePath] - The path to the YAML file.
+ * @param {string} [options.outputPath] - The path to the generated test file.
+ * @returns {{framework: object, config: object, source: object, output: object}} The
+ * values. `source` and `output` have `path` (relative to the working directory) and
+ * `fileName`; `source.description` names the kind of definition ('YAML structure' or
+ * 'Gherkin scenarios').
+ */
+function createTemplateValues({ framework, config, sourcePath, outputPath }) {
+  const describeFile = (file) => ({
+    path: file ? path.relative(process.cwd(), file).split(path.sep).join("/") : "",
+    fileName: file ? path.basename(file) : "",
+  });
+  return {
+    framework: { name: framework.name, displayName: framework.displayName },
+    config: config || {},
+    source: {
+      ...describeFile(sourcePath),
+      description:
+        sourcePath && path.extname(sourcePath).toLowerCase() === FEATURE_EXTENSION
+          ? "Gherkin scenarios"
+          : "YAML structure",
+    },
+    output: describeFile(outputPath),
+  };
+}
+
+module.exports = {
+  TEMPLATE_NAMES,
+  loadTemplates,
+  renderTemplate,
+  writeNodeTemplate,
+  renderFileTemplate,
+  createTemplateValues,
+};
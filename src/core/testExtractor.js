@@ -0,0 +1,569 @@
+/**
+ * @file src/core/testExtractor.js
+ * @description Reverse generation: reads an existing test file and rebuilds the YAML
+ * test definition describing its structure. Suites become nested lists, tests become
+ * titles, and `.each` tables, modifiers such as `.skip`, hook bodies and step comments
+ * map back to their reserved keys, so that the result generates the same outline.
+ * Implemented test bodies are not part of the definition.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const yaml = require("js-yaml");
+const { getTestOutline } = require("./testParser");
+const { CASES_KEY, IMPORTS_KEY, MOCKS_KEY, STEPS_KEY } = require("./testPlan");
+const { FRAMEWORK_NAMES, getFramework } = require("./frameworks");
+const { resolveModuleSpecifier } = require("./outputPaths");
+
+/** Reserved hook keys for each recognized hook function name. */
+const HOOK_KEY_BY_NAME = {
+  beforeAll: "$beforeAll",
+  before: "$beforeAll",
+  beforeEach: "$beforeEach",
+  afterEach: "$afterEach",
+  afterAll: "$afterAll",
+  after: "$afterAll",
+};
+
+/** Reserved modifier keys for callee chain members (`it.skip`, `test.fails`). */
+const CHAIN_MODIFIERS = {
+  concurrent: "$concurrent",
+  skip: "$skip",
+  only: "$only",
+  failing: "$failing",
+  fails: "$failing",
+};
+
+/** Reserved modifier keys for options objects (`test('x', { timeout: 100 }, ...)`). */
+const OPTION_MODIFIERS = {
+  concurrent: "$concurrent",
+  concurrency: "$concurrent",
+  skip: "$skip",
+  only: "$only",
+  timeout: "$timeout",
+  retry: "$retry",
+};
+
+/** Reserved modifier keys for calls configuring a test or suite from its body. */
+const CALL_MODIFIERS = {
+  "jest.retryTimes": "$retry",
+  "this.timeout": "$timeout",
+  "this.retries": "$retry",
+};
+
+/** Modules the test framework APIs are imported from; these imports are not extracted. */
+const FRAMEWORK_SOURCES = new Set(
+  FRAMEWORK_NAMES.map((name) => getFramework(name).importSource).filter(Boolean)
+);
+
+/** Functions declaring module mocks. */
+const MOCK_CALLS = new Set(["jest.mock", "vi.mock"]);
+
+/** Comments the generator writes into unimplemented bodies. */
+const STUB_COMMENT_PATTERN = /^TODO: implement( \w+ hook| test)?$/;
+
+/** Result of `evaluateLiteral` for expressions that are not literals. */
+const NOT_STATIC = Symbol("not static");
+
+/**
+ * Evaluates a literal expression (strings, numbers, booleans, null, arrays and plain
+ * objects of those) without running any code.
+ * @param {object} node - The expression node.
+ * @returns {*} The value, or `NOT_STATIC` if the expression is not a literal.
+ */
+function evaluateLiteral(node) {
+  switch (node.type) {
+    case "StringLiteral":
+    case "NumericLiteral":
+    case "BooleanLiteral":
+      return node.value;
+    case "NullLiteral":
+      return null;
+    case "TemplateLiteral":
+      return node.expressions.length === 0 ? node.quasis[0].value.cooked : NOT_STATIC;
+    case "UnaryExpression": {
+      if (node.operator !== "-" && node.operator !== "+") return NOT_STATIC;
+      const value = evaluateLiteral(node.argument);
+      if (typeof value !== "number") return NOT_STATIC;
+      return node.operator === "-" ? -value : value;
+    }
+    case "ArrayExpression": {
+      const values = node.elements.map((element) =>
+        element ? evaluateLiteral(element) : NOT_STATIC
+      );
+      return values.includes(NOT_STATIC) ? NOT_STATIC : values;
+    }
+    case "ObjectExpression": {
+      const result = {};
+      for (const property of node.properties) {
+        if (property.type !== "ObjectProperty" || property.computed) {
+          return NOT_STATIC;
+        }
+        const key =
+          property.key.type === "Identifier" ? property.key.name : property.key.value;
+        const value = evaluateLiteral(property.value);
+        if (key === undefined || value === NOT_STATIC) return NOT_STATIC;
+        result[key] = value;
+      }
+      return result;
+    }
+    default:
+      return NOT_STATIC;
+  }
+}
+
+/**
+ * Finds the callback of a test, suite or hook call.
+ * @param {object} call - The CallExpression node.
+ * @returns {object|null} The function node, or null.
+ */
+function findCallback(call) {
+  return (
+    call.arguments.find(
+      (arg) =>
+        arg.type === "ArrowFunctionExpression" ||
+        arg.type === "FunctionExpression"
+    ) || null
+  );
+}
+
+/**
+ * Names the callee of a call statement such as `jest.retryTimes(2)`.
+ * @param {object} statement - The statement node.
+ * @returns {{name: string, args: Array<object>}|null} The dotted callee name and the
+ * arguments, or null if the statement is not such a call.
+ */
+function describeCallStatement(statement) {
+  if (
+    statement.type !== "ExpressionStatement" ||
+    statement.expression.type !== "CallExpression"
+  ) {
+    return null;
+  }
+  const { callee, arguments: args } = statement.expression;
+  if (callee.type !== "MemberExpression" || callee.computed) return null;
+  const object =
+    callee.object.type === "ThisExpression"
+      ? "this"
+      : callee.object.type === "Identifier"
+      ? callee.object.name
+      : null;
+  return object ? { name: `${object}.${callee.property.name}`, args } : null;
+}
+
+/**
+ * Collects the modifiers of a test or suite call: `x`/`f` prefixes, chained members,
+ * an options object, a trailing timeout argument and configuration calls at the start
+ * of the callback (`jest.retryTimes`, `this.timeout`).
+ * @param {object} entry - The outline entry.
+ * @param {object|null} callback - The callback node.
+ * @returns {object} The reserved modifier keys and their values.
+ */
+function collectModifiers(entry, callback) {
+  const modifiers = {};
+  const call = entry.node.expression;
+
+  if (/^x/.test(entry.name)) modifiers.$skip = true;
+  if (/^f/.test(entry.name)) modifiers.$only = true;
+  entry.modifiers.forEach((member) => {
+    if (CHAIN_MODIFIERS[member]) modifiers[CHAIN_MODIFIERS[member]] = true;
+  });
+
+  const callbackIndex = call.arguments.indexOf(callback);
+  call.arguments.forEach((arg, index) => {
+    if (index === 0) return;
+    const value = evaluateLiteral(arg);
+    if (arg.type === "ObjectExpression" && value !== NOT_STATIC) {
+      Object.entries(value).forEach(([name, option]) => {
+        const key = OPTION_MODIFIERS[name];
+        if (!key) return;
+        if (key === "$timeout" || key === "$retry") {
+          if (Number.isInteger(option)) modifiers[key] = option;
+        } else if (option) {
+          modifiers[key] = true;
+        }
+      });
+    } else if (
+      callbackIndex >= 0 &&
+      index > callbackIndex &&
+      Number.isInteger(value)
+    ) {
+      modifiers.$timeout = value;
+    }
+  });
+
+  if (callback && callback.body.type === "BlockStatement") {
+    for (const statement of callback.body.body) {
+      const configuration = describeCallStatement(statement);
+      const key = configuration && CALL_MODIFIERS[configuration.name];
+      if (!key) break;
+      const value = configuration.args[0] && evaluateLiteral(configuration.args[0]);
+      if (Number.isInteger(value)) modifiers[key] = value;
+    }
+  }
+  return modifiers;
+}
+
+/**
+ * Rebuilds the `$cases` table of an `.each` call. Array rows become a header/rows
+ * table named after the callback parameters; object rows and tagged template tables
+ * become a list of objects.
+ * @param {object} each - The `.each` description from `describeCallee`.
+ * @param {object|null} callback - The callback node.
+ * @returns {Array<object>|{header: Array<string>, rows: Array<Array>}|null} The table,
+ * or null if it is not made of literals.
+ */
+function extractCases(each, callback) {
+  if (each.type === "template") {
+    const { quasis, expressions } = each.quasi;
+    const header = quasis[0].value.cooked
+      .split("|")
+      .map((column) => column.trim())
+      .filter(Boolean);
+    const values = expressions.map(evaluateLiteral);
+    if (header.length === 0 || values.includes(NOT_STATIC)) return null;
+    const cases = [];
+    for (let index = 0; index < values.length; index += header.length) {
+      cases.push(
+        Object.fromEntries(
+          header.map((column, offset) => [column, values[index + offset]])
+        )
+      );
+    }
+    return cases.length > 0 ? cases : null;
+  }
+
+  const table = each.args[0] ? evaluateLiteral(each.args[0]) : NOT_STATIC;
+  if (!Array.isArray(table) || table.length === 0) return null;
+  if (
+    table.every(
+      (row) => typeof row === "object" && row !== null && !Array.isArray(row)
+    )
+  ) {
+    return table;
+  }
+
+  const rows = table.map((row) => (Array.isArray(row) ? row : [row]));
+  const width = Math.max(...rows.map((row) => row.length));
+  if (!rows.every((row) => row.length === width)) return null;
+  const params = callback ? callback.params : [];
+  const header = Array.from({ length: width }, (_, index) =>
+    params[index] && params[index].type === "Identifier"
+      ? params[index].name
+      : `arg${index + 1}`
+  );
+  return { header, rows };
+}
+
+/**
+ * Reads the comment lines of an unimplemented callback body back into steps.
+ * The generator writes each step as `// step` (continuation lines of data tables and
+ * doc strings stay indented) and unmatched ones as `// TODO: step`.
+ * @param {object|null} callback - The callback node.
+ * @param {Array<object>} comments - All comments in the file.
+ * @returns {Array<string>|null} The steps, or null if the body has none.
+ */
+function extractSteps(callback, comments) {
+  if (!callback || callback.body.type !== "BlockStatement") return null;
+  const { start, end } = callback.body;
+  const steps = [];
+  comments
+    .filter(
+      (comment) =>
+        comment.type === "CommentLine" &&
+        comment.start > start &&
+        comment.end < end
+    )
+    .map((comment) => comment.value.replace(/^ /, ""))
+    .filter((text) => !STUB_COMMENT_PATTERN.test(text.trim()))
+    .forEach((text) => {
+      if (/^\s/.test(text) && steps.length > 0) {
+        steps[steps.length - 1] += `\n${text}`;
+      } else if (text.trim()) {
+        steps.push(text.replace(/^TODO: /, ""));
+      }
+    });
+  return steps.length > 0 ? steps : null;
+}
+
+/**
+ * Extracts the body of a hook callback as code, without its common indentation.
+ * Hooks whose body holds only step comments become `{ $steps }`, and empty stubs null.
+ * @param {object} entry - The hook's outline entry.
+ * @param {string} code - The full source code.
+ * @param {Array<object>} comments - All comments in the file.
+ * @returns {string|object|null} The hook value.
+ */
+function extractHook(entry, code, comments) {
+  const callback = findCallback(entry.node.expression);
+  if (!callback) return null;
+  if (callback.body.type !== "BlockStatement") {
+    return code.slice(callback.body.start, callback.body.end);
+  }
+  if (entry.isTodo) {
+    const steps = extractSteps(callback, comments);
+    return steps ? { [STEPS_KEY]: steps } : null;
+  }
+
+  const lines = code
+    .slice(callback.body.start + 1, callback.body.end - 1)
+    .split("\n");
+  while (lines.length > 0 && !lines[0].trim()) lines.shift();
+  while (lines.length > 0 && !lines[lines.length - 1].trim()) lines.pop();
+  const indent = Math.min(
+    ...lines.filter((line) => line.trim()).map((line) => line.search(/\S/))
+  );
+  return lines.map((line) => line.slice(indent).replace(/\s+$/, "")).join("\n");
+}
+
+/**
+ * Reads a top-level import or `require` statement back into an `$imports` entry.
+ * @param {object} statement - The statement node.
+ * @returns {string|object|null} The entry (a module path for side-effect imports), or
+ * null if the statement is not an import of a module.
+ */
+function extractImport(statement) {
+  if (statement.type === "ImportDeclaration") {
+    if (statement.importKind === "type") return null;
+    const entry = { from: statement.source.value };
+    const named = [];
+    statement.specifiers.forEach((specifier) => {
+      if (specifier.type === "ImportDefaultSpecifier") {
+        entry.default = specifier.local.name;
+      } else if (specifier.type === "ImportNamespaceSpecifier") {
+        entry.namespace = specifier.local.name;
+      } else {
+        const imported = specifier.imported.name || specifier.imported.value;
+        const local = specifier.local.name;
+        named.push(imported === local ? imported : `${imported} as ${local}`);
+      }
+    });
+    if (named.length > 0) entry.named = named;
+    return Object.keys(entry).length > 1 ? entry : entry.from;
+  }
+
+  const isRequire = (node) =>
+    node &&
+    node.type === "CallExpression" &&
+    node.callee.type === "Identifier" &&
+    node.callee.name === "require" &&
+    node.arguments.length === 1 &&
+    node.arguments[0].type === "StringLiteral";
+
+  if (statement.type === "ExpressionStatement" && isRequire(statement.expression)) {
+    return statement.expression.arguments[0].value;
+  }
+  if (
+    statement.type !== "VariableDeclaration" ||
+    statement.declarations.length !== 1 ||
+    !isRequire(statement.declarations[0].init)
+  ) {
+    return null;
+  }
+  const { id, init } = statement.declarations[0];
+  const from = init.arguments[0].value;
+  if (id.type === "Identifier") return { from, default: id.name };
+  if (
+    id.type === "ObjectPattern" &&
+    id.properties.every(
+      (property) =>
+        property.type === "ObjectProperty" &&
+        !property.computed &&
+        property.value.type === "Identifier"
+    )
+  ) {
+    return {
+      from,
+      named: id.properties.map(({ key, value }) =>
+        key.name === value.name ? key.name : `${key.name} as ${value.name}`
+      ),
+    };
+  }
+  return null;
+}
+
+/**
+ * Collects the `$imports` and `$mocks` of a file from its top-level statements. The
+ * framework API import is left out, as the generator adds it by itself.
+ * @param {{entries: Array<object>}} outline - The program-level container.
+ * @param {object} state - The extraction state (`code` and `resolve`, which rewrites
+ * module paths relative to the YAML file).
+ * @returns {Array<object>} The `{ $imports }` and `{ $mocks }` items, if any.
+ */
+function extractSetup(outline, state) {
+  const imports = [];
+  const mocks = [];
+  outline.entries
+    .filter((entry) => entry.kind === "other")
+    .forEach(({ node }) => {
+      const call = describeCallStatement(node);
+      if (
+        call &&
+        MOCK_CALLS.has(call.name) &&
+        call.args[0] &&
+        call.args[0].type === "StringLiteral"
+      ) {
+        const path = state.resolve(call.args[0].value);
+        mocks.push(
+          call.args[1]
+            ? { [path]: state.code.slice(call.args[1].start, call.args[1].end) }
+            : path
+        );
+        return;
+      }
+      const entry = extractImport(node);
+      const from = entry && (typeof entry === "string" ? entry : entry.from);
+      if (!entry || FRAMEWORK_SOURCES.has(from)) return;
+      imports.push(
+        typeof entry === "string"
+          ? state.resolve(entry)
+          : { ...entry, from: state.resolve(entry.from) }
+      );
+    });
+
+  return [
+    ...(imports.length > 0 ? [{ [IMPORTS_KEY]: imports }] : []),
+    ...(mocks.length > 0 ? [{ [MOCKS_KEY]: mocks }] : []),
+  ];
+}
+
+/**
+ * Converts the entries of a container (the file or a suite body) into definition
+ * items: hooks first, then tests and suites in source order.
+ * @param {{entries: Array<object>}} container - The container from `getTestOutline`.
+ * @param {object} state - The extraction state (`code`, `comments`, `warnings`,
+ * `implemented` and the current `path`).
+ * @returns {Array<string|object>} The items; plain tests are strings, everything
+ * else a single-key object.
+ */
+function extractItems(container, state) {
+  const hooks = [];
+  const items = [];
+
+  container.entries.forEach((entry) => {
+    if (entry.kind === "hook") {
+      const key = HOOK_KEY_BY_NAME[entry.name];
+      const value = extractHook(entry, state.code, state.comments);
+      const existing = hooks.find((hook) => key in hook);
+      if (!existing) {
+        hooks.push({ [key]: value });
+      } else if (typeof existing[key] === "string" && typeof value === "string") {
+        existing[key] = `${existing[key]}\n${value}`;
+      } else {
+        state.warnings.push(
+          `'${[...state.path, key].join(" > ")}' is declared more than once; only the first one is kept.`
+        );
+      }
+      return;
+    }
+    if (entry.kind !== "suite" && entry.kind !== "test") return;
+
+    const path = [...state.path, entry.title];
+    const where = path.join(" > ");
+    const call = entry.node.expression;
+    if (
+      call.arguments[0] &&
+      typeof evaluateLiteral(call.arguments[0]) !== "string"
+    ) {
+      state.warnings.push(
+        `'${where}' has a computed title; its source text is used as the title.`
+      );
+    }
+
+    const callback = findCallback(call);
+    const value = collectModifiers(entry, callback);
+    if (entry.each) {
+      const cases = extractCases(entry.each, callback);
+      if (cases) {
+        value[CASES_KEY] = cases;
+      } else {
+        state.warnings.push(
+          `the .each table of '${where}' is not made of literal values and was left out.`
+        );
+      }
+      // Unimplemented parametrized tests are generated as skipped, so that skip is implied.
+      if (entry.kind === "test" && entry.isTodo && cases) delete value.$skip;
+    }
+
+    if (entry.kind === "suite") {
+      const children = entry.container
+        ? extractItems(entry.container, { ...state, path })
+        : [];
+      const modifiers = Object.entries(value).map(([key, setting]) => ({
+        [key]: setting,
+      }));
+      items.push({ [entry.title]: [...modifiers, ...children] });
+      return;
+    }
+
+    if (entry.isTodo) {
+      const steps = extractSteps(callback, state.comments);
+      if (steps) value[STEPS_KEY] = steps;
+    } else {
+      state.implemented.push(where);
+    }
+    items.push(
+      Object.keys(value).length > 0 ? { [entry.title]: value } : entry.title
+    );
+  });
+
+  return [...hooks, ...items];
+}
+
+/**
+ * Rebuilds the test definition of a test file.
+ * @param {string} code - The source code of the test file.
+ * @param {string} [fileName=''] - The path to the test file, used to select parser plugins.
+ * @param {object} [options={}] - Extraction options.
+ * @param {string} [options.definitionPath] - The path the YAML file is written to; relative
+ * module paths of imports and mocks are rewritten to be relative to it. Without it, they
+ * are kept as written.
+ * @returns {{definition: object|Array|null, implemented: Array<string>, warnings: Array<string>}}
+ * The definition in the shape `generateTestCode` consumes (a mapping of the top-level
+ * titles, or a list when titles repeat or tests sit at the top level, led by the file's
+ * `$imports` and `$mocks`; null if the file has no tests), the title paths of tests whose implemented bodies are not part of it,
+ * and warnings about parts that could not be represented.
+ * @throws {SyntaxError} If the code cannot be parsed.
+ */
+function extractTestDefinition(code, fileName = "", options = {}) {
+  const outline = getTestOutline(code, fileName);
+  const state = {
+    code,
+    comments: outline.comments,
+    warnings: [],
+    implemented: [],
+    path: [],
+    resolve: (specifier) =>
+      resolveModuleSpecifier(specifier, fileName, options.definitionPath),
+  };
+  const items = extractItems(outline, state);
+  if (items.length === 0) {
+    return { definition: null, implemented: [], warnings: state.warnings };
+  }
+
+  items.unshift(...extractSetup(outline, state));
+  const keys = items.map((item) =>
+    typeof item === "string" ? null : Object.keys(item)[0]
+  );
+  const asMapping =
+    !keys.includes(null) && new Set(keys).size === keys.length;
+  return {
+    definition: asMapping ? Object.assign({}, ...items) : items,
+    implemented: state.implemented,
+    warnings: state.warnings,
+  };
+}
+
+/**
+ * Serializes a test definition as YAML.
+ * @param {object|Array} definition - The definition from `extractTestDefinition`.
+ * @returns {string} The YAML document.
+ */
+function formatDefinition(definition) {
+  return yaml.dump(definition, { lineWidth: -1, noRefs: true });
+}
+
+module.exports = {
+  extractTestDefinition,
+  formatDefinition,
+};
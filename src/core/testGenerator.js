@@ -1,79 +1,857 @@
 /**
  * @file src/core/testGenerator.js
- * @description Contains the core logic for generating Jest-compatible test code
- * from a parsed YAML structure.
+ * @description Contains the core logic for generating test code for the supported
+ * test frameworks (Jest, Vitest, Mocha, node:test, Jasmine) from a parsed YAML structure.
  * @author Your Name/AI Assistant
  * @license MIT
  */
 
+const { getFramework } = require("./frameworks");
+const { buildTestPlan } = require("./testPlan");
+const { renderStep } = require("./stepLibrary");
+const { resolveModuleSpecifier } = require("./outputPaths");
+const {
+  createTemplateValues,
+  loadTemplates,
+  writeNodeTemplate,
+} = require("./templates");
+const {
+  IDENTIFIER_PATTERN,
+  createCodeWriter,
+  stringLiteral,
+  valueLiteral,
+} = require("./codeEmitter");
+
+/** Framework API identifiers, in the order they are listed in import statements. */
+const API_NAMES = [
+  "jest",
+  "vi",
+  "describe",
+  "it",
+  "test",
+  "before",
+  "beforeAll",
+  "beforeEach",
+  "afterEach",
+  "after",
+  "afterAll",
+];
+
 /**
- * Generates JavaScript test code (Jest format) from a given YAML structure.
- * Recursively traverses the YAML object/array to create `describe` and `it.todo` blocks.
- *
- * @param {object|Array} yamlContent - The parsed YAML content (can be an object or an array).
- * @param {string} testKeyword - The keyword to use for test blocks ('it' or 'test').
- * @param {string} [indentLevel=''] - The current indentation string (e.g., '  ', '    '). Used for recursion.
- * @returns {string} The generated JavaScript test code.
+ * Order in which modifiers are applied, so that chained callees read the way the
+ * frameworks document them (`it.concurrent.only`, `it.skip.failing`).
+ */
+const MODIFIER_ORDER = [
+  "concurrent",
+  "skip",
+  "only",
+  "failing",
+  "timeout",
+  "retry",
+];
+
+/**
+ * Builds the statement that imports the framework API used by the generated code.
+ * Frameworks whose API is global are only imported in ES module output.
+ * @param {object} framework - The framework emitter.
+ * @param {string[]} names - The identifiers used by the generated code.
+ * @param {string} moduleFormat - The module format ('esm' or 'cjs').
+ * @returns {string|null} The import statement, or null if none is needed.
+ */
+function buildImportStatement(framework, names, moduleFormat) {
+  if (!framework.importSource || names.length === 0) return null;
+  if (moduleFormat === "esm") {
+    return `import { ${names.join(", ")} } from ${stringLiteral(framework.importSource)};`;
+  }
+  if (framework.alwaysImport) {
+    return `const { ${names.join(", ")} } = require(${stringLiteral(framework.importSource)});`;
+  }
+  return null;
+}
+
+/**
+ * Builds the statements importing a module declared by `$subject` or `$imports`.
+ * @param {object} entry - The import from the test plan (`from`, `default`,
+ * `namespace` and `named`).
+ * @param {string} specifier - The module specifier, relative to the test file.
+ * @param {string} moduleFormat - The module format ('esm' or 'cjs').
+ * @returns {string[]} The import statements.
+ */
+function buildModuleImport(entry, specifier, moduleFormat) {
+  const source = stringLiteral(specifier);
+  if (moduleFormat === "esm") {
+    const clauses = [];
+    if (entry.default) clauses.push(entry.default);
+    if (entry.namespace) clauses.push(`* as ${entry.namespace}`);
+    if (entry.named.length > 0) {
+      const names = entry.named.map(({ imported, local }) =>
+        imported === local ? imported : `${imported} as ${local}`
+      );
+      clauses.push(`{ ${names.join(", ")} }`);
+    }
+    return [
+      clauses.length > 0
+        ? `import ${clauses.join(", ")} from ${source};`
+        : `import ${source};`,
+    ];
+  }
+
+  // A default import of a transpiled ES module is its `default` export; a plain
+  // CommonJS module is its own default.
+  const statements = [];
+  if (entry.default) {
+    statements.push(
+      `const ${entry.default} = ((m) => (m && m.__esModule ? m.default : m))(require(${source}));`
+    );
+  }
+  if (entry.namespace) {
+    statements.push(`const ${entry.namespace} = require(${source});`);
+  }
+  if (entry.named.length > 0) {
+    const names = entry.named.map(({ imported, local }) =>
+      imported === local ? imported : `${imported}: ${local}`
+    );
+    statements.push(`const { ${names.join(", ")} } = require(${source});`);
+  }
+  return statements.length > 0 ? statements : [`require(${source});`];
+}
+
+/**
+ * Writes the imports of the modules under test and the module mocks declared at the
+ * top of the YAML, followed by a blank line after each group.
+ * @param {object} writer - The code writer.
+ * @param {{imports: Array<object>, mocks: Array<object>}} setup - The plan's setup.
+ * @param {object} context - The generation context.
+ * @param {object} options - The generation options (`moduleFormat`, `sourcePath`, `outputPath`).
+ * @throws {Error} If mocks are declared for a framework without module mocks.
+ */
+function generateSetup(writer, setup, context, options) {
+  const resolve = (specifier) =>
+    resolveModuleSpecifier(specifier, options.sourcePath, options.outputPath);
+
+  if (setup.imports.length > 0) {
+    setup.imports.forEach((entry) =>
+      writer.withOrigin([entry.key], () =>
+        buildModuleImport(entry, resolve(entry.from), options.moduleFormat).forEach(
+          (statement) => writer.line(statement)
+        )
+      )
+    );
+    writer.line();
+  }
+
+  if (setup.mocks.length > 0) {
+    const { mock } = context.framework;
+    if (!mock) {
+      throw new Error(
+        `'$mocks' is not supported by ${context.framework.displayName}.`
+      );
+    }
+    context.used.add(mock.uses);
+    writer.withOrigin(["$mocks"], () => {
+      setup.mocks.forEach(({ path, factory }) =>
+        writer.line(
+          `${mock.call}(${stringLiteral(resolve(path))}${
+            factory ? `, ${factory}` : ""
+          });`
+        )
+      );
+    });
+    writer.line();
+  }
+}
+
+/**
+ * Checks whether the columns of a `$cases` table can be used as parameter names.
+ * @param {{columns: Array<string>}} cases - The table.
+ * @returns {boolean} True if all columns are distinct identifiers.
+ */
+function hasIdentifierColumns(cases) {
+  return (
+    cases.columns.every((column) => IDENTIFIER_PATTERN.test(column)) &&
+    new Set(cases.columns).size === cases.columns.length
+  );
+}
+
+/**
+ * Maps the `<column>` placeholders of steps in a parametrized test to the callback
+ * parameter holding the column's value (see `buildCaseParams`).
+ * @param {{kind: string, columns: Array<string>}} cases - The table.
+ * @returns {Object<string, string>} The parameter expression for each placeholder.
+ */
+function buildCasePlaceholders(cases) {
+  const identifiers = hasIdentifierColumns(cases);
+  return Object.fromEntries(
+    cases.columns.map((column, index) => {
+      if (identifiers) return [`<${column}>`, column];
+      return [
+        `<${column}>`,
+        cases.kind === "objects" ? `row[${stringLiteral(column)}]` : `row[${index}]`,
+      ];
+    })
+  );
+}
+
+/**
+ * Replaces the `<column>` placeholders of a step with the values of one table row.
+ * @param {string} step - The step text.
+ * @param {{kind: string, columns: Array<string>}} cases - The table.
+ * @param {Array|object} row - The row values.
+ * @returns {string} The step text for the row.
+ */
+function interpolateStep(step, cases, row) {
+  return cases.columns.reduce((text, column, index) => {
+    const value = cases.kind === "objects" ? row[column] : row[index];
+    return text.split(`<${column}>`).join(formatTitleValue(value));
+  }, step);
+}
+
+/**
+ * Builds the callback parameter list for a `$cases` table: destructured names for
+ * object rows, positional names for header/rows tables, or a single catch-all
+ * parameter when the column names are not valid identifiers.
+ * @param {{kind: string, columns: Array<string>}} cases - The table.
+ * @returns {string} The parameter list source.
+ */
+function buildCaseParams(cases) {
+  const identifiers = hasIdentifierColumns(cases);
+  if (cases.kind === "objects") {
+    return identifiers ? `{ ${cases.columns.join(", ")} }` : "row";
+  }
+  return identifiers ? cases.columns.join(", ") : "...row";
+}
+
+/**
+ * Formats a table value for use inside an interpolated title.
+ * @param {*} value - The value.
+ * @returns {string} The formatted value.
+ */
+function formatTitleValue(value) {
+  if (typeof value === "string") return value;
+  if (value instanceof Date) return value.toISOString();
+  return JSON.stringify(value);
+}
+
+/**
+ * Interpolates a parametrized title for one table row, the way `.each` does at runtime:
+ * `%s`-style placeholders consume positional values, `$name` refers to object columns,
+ * `%#`/`$#` is the row index and `%%` a literal percent sign.
+ * @param {string} title - The title template.
+ * @param {Array|object} row - The row values.
+ * @param {number} index - The zero-based row index.
+ * @returns {string} The interpolated title.
+ */
+function interpolateTitle(title, row, index) {
+  if (Array.isArray(row)) {
+    let next = 0;
+    return title.replace(/%([sdifjop#%])/g, (match, specifier) => {
+      if (specifier === "%") return "%";
+      if (specifier === "#") return String(index);
+      return next < row.length ? formatTitleValue(row[next++]) : match;
+    });
+  }
+  return title.replace(/\$(#|[A-Za-z_][\w]*)/g, (match, name) => {
+    if (name === "#") return String(index);
+    return Object.prototype.hasOwnProperty.call(row, name)
+      ? formatTitleValue(row[name])
+      : match;
+  });
+}
+
+/**
+ * Formats the table of a `.each` call as an array literal spanning several lines,
+ * indented relative to the `.each` call.
+ * @param {{rows: Array}} cases - The table.
+ * @returns {string} The array literal source.
+ */
+function buildCaseTable(cases) {
+  const rows = cases.rows.map((row) => `  ${valueLiteral(row)},\n`).join("");
+  return `[\n${rows}]`;
+}
+
+/**
+ * Builds the template values describing a suite, test or hook.
+ * @param {string} kind - 'suite', 'test' or 'hook'.
+ * @param {Array<string>} path - The key path of the node.
+ * @param {object} context - The generation context.
+ * @param {object} values - The values specific to the node.
+ * @returns {object} The values, including those available to every template.
  */
-function generateTestCode(yamlContent, testKeyword, indentLevel = "") {
-  let code = "";
-  const newIndentLevel = indentLevel + "  ";
-
-  if (Array.isArray(yamlContent)) {
-    yamlContent.forEach((item) => {
-      if (typeof item === "string") {
-        code += `${indentLevel}${testKeyword}.todo('${item}');\n`;
-      } else if (typeof item === "object" && item !== null) {
-        for (const key in item) {
-          if (Object.prototype.hasOwnProperty.call(item, key)) {
-            const value = item[key];
-            if (
-              typeof value === "object" &&
-              value !== null &&
-              !Array.isArray(value)
-            ) {
-              code += `${indentLevel}describe('${key}', () => {\n`;
-              code += generateTestCode(value, testKeyword, newIndentLevel);
-              code += `${indentLevel}});\n\n`;
-            } else if (Array.isArray(value)) {
-              code += `${indentLevel}describe('${key}', () => {\n`;
-              code += generateTestCode(value, testKeyword, newIndentLevel);
-              code += `${indentLevel}});\n\n`;
-            } else {
-              const testDescription = value ? `${key}: ${value}` : key;
-              code += `${indentLevel}${testKeyword}.todo('${testDescription}');\n`;
-            }
-          }
-        }
+function buildNodeValues(kind, path, context, values) {
+  return {
+    ...context.templateValues,
+    kind,
+    path,
+    titlePath: path.join(" > "),
+    depth: path.length - 1,
+    ...values,
+  };
+}
+
+/**
+ * Renders the steps of a test or hook. With a step library, matching steps become
+ * their definitions' code and the others `// TODO:` comments, which are reported as
+ * unmatched; without one, all steps are written as comments.
+ * @param {Array<string>} steps - The step texts.
+ * @param {Array<string>} path - The key path of the owning test or hook.
+ * @param {object} context - The generation context.
+ * @param {Object<string, string>} [placeholders] - Parameter expressions for the
+ * `<column>` placeholders of a parametrized test.
+ * @returns {{lines: string[], complete: boolean}} The unindented body lines, and
+ * whether every step was turned into code.
+ */
+function renderSteps(steps, path, context, placeholders) {
+  const { stepLibrary } = context;
+  const lines = [];
+  let complete = Boolean(stepLibrary);
+  steps.forEach((step) => {
+    const code = stepLibrary ? renderStep(stepLibrary, step, placeholders) : null;
+    if (code !== null) {
+      lines.push(...code.split("\n"));
+      return;
+    }
+    complete = false;
+    if (stepLibrary) {
+      const key = JSON.stringify([path, step]);
+      if (!context.unmatchedKeys.has(key)) {
+        context.unmatchedKeys.add(key);
+        context.unmatchedSteps.push({ path, step: step.split("\n")[0] });
       }
+    }
+    lines.push(
+      ...`${stepLibrary ? "TODO: " : ""}${step}`.replace(/^/gm, "// ").split("\n")
+    );
+  });
+  return { lines, complete };
+}
+
+/**
+ * Renders the code of the plugin keys declared on a node.
+ * @param {Array<object>} extensions - The plugin key values of the node.
+ * @param {object} node - The plan node (or the root).
+ * @param {object} context - The generation context.
+ * @returns {Array<{path: Array<string>, lines: string[]}>} The unindented code of each
+ * key that produced any, with the key path of its declaration.
+ */
+function renderExtensions(extensions, node, context) {
+  return extensions
+    .map(({ key, value, path }) => {
+      const code = context.keys.get(key).emit(value, {
+        node: { type: node.type, title: node.title || null, path: node.path || [] },
+        framework: {
+          name: context.framework.name,
+          displayName: context.framework.displayName,
+        },
+        testKeyword: context.testKeyword,
+        use: (name) => context.used.add(name),
+      });
+      const text = Array.isArray(code) ? code.join("\n") : code;
+      return { path, lines: text ? String(text).split("\n") : [] };
+    })
+    .filter(({ lines }) => lines.length > 0);
+}
+
+/**
+ * Writes the rendered code of plugin keys, attributing it to the keys.
+ * @param {object} writer - The code writer.
+ * @param {Array<{path: Array<string>, lines: string[]}>} rendered - The code from
+ * `renderExtensions`.
+ * @param {string} indentLevel - The current indentation string.
+ */
+function writeExtensions(writer, rendered, indentLevel) {
+  rendered.forEach(({ path, lines }) =>
+    writer.withOrigin(path, () =>
+      lines.forEach((line) =>
+        writer.line(line.trim() ? `${indentLevel}${line}` : "")
+      )
+    )
+  );
+}
+
+/**
+ * Writes the lifecycle hooks of a suite (or of the file, at the root level) through
+ * the hook template, followed by a blank line. Hooks without code or steps become
+ * stubs with a TODO comment; hooks whose code uses `await` get an async callback.
+ * @param {object} writer - The code writer.
+ * @param {Array<object>} hooks - The hooks (`name`, `code`, `steps` and `path`).
+ * @param {object} context - The generation context.
+ * @param {string} indentLevel - The current indentation string.
+ */
+function generateHooks(writer, hooks, context, indentLevel) {
+  if (!hooks || hooks.length === 0) return;
+
+  hooks.forEach((hook) => {
+    const name = context.framework.hooks[hook.name];
+    context.used.add(name);
+    const lines = hook.steps
+      ? renderSteps(hook.steps, hook.path, context).lines
+      : hook.code
+      ? hook.code.split("\n")
+      : [`// TODO: implement ${name} hook`];
+    const async = lines.some((line) => /\bawait\b/.test(line));
+    const values = buildNodeValues("hook", hook.path, context, {
+      name,
+      hook: hook.name,
+      steps: hook.steps || [],
+      async,
+      open: `${name}(${async ? "async " : ""}() => {`,
+      close: "});",
     });
-  } else if (typeof yamlContent === "object" && yamlContent !== null) {
-    for (const key in yamlContent) {
-      if (Object.prototype.hasOwnProperty.call(yamlContent, key)) {
-        const value = yamlContent[key];
-
-        if (
-          typeof value === "object" &&
-          value !== null &&
-          !Array.isArray(value)
-        ) {
-          code += `${indentLevel}describe('${key}', () => {\n`;
-          code += generateTestCode(value, testKeyword, newIndentLevel);
-          code += `${indentLevel}});\n\n`;
-        } else if (Array.isArray(value)) {
-          code += `${indentLevel}describe('${key}', () => {\n`;
-          code += generateTestCode(value, testKeyword, newIndentLevel);
-          code += `${indentLevel}});\n\n`;
-        } else {
-          const testDescription = value ? `${key}: ${value}` : key;
-          code += `${indentLevel}${testKeyword}.todo('${testDescription}');\n`;
-        }
+    writer.withOrigin(hook.path, () =>
+      writeNodeTemplate(
+        writer,
+        context.templates.hook,
+        values,
+        indentLevel,
+        (bodyIndent) =>
+          lines.forEach((line) =>
+            writer.line(line.trim() ? `${bodyIndent}${line}` : "")
+          )
+      )
+    );
+  });
+  writer.line();
+}
+
+/**
+ * Translates the modifiers of a test or suite into the framework's syntax.
+ * Modifiers the framework cannot express on a suite but supports on tests are
+ * returned as `inherited`, to be applied to the suite's tests instead.
+ * @param {string} kind - 'test' or 'suite'.
+ * @param {string} keyword - The test keyword or 'describe'.
+ * @param {object} node - The plan node (for error messages).
+ * @param {object} modifiers - The effective modifiers of the node.
+ * @param {object} context - The generation context.
+ * @returns {{callee: string, options: string|null, argument: number|null,
+ * statements: string[], usesContext: boolean, async: boolean, inherited: object}}
+ * The translation.
+ * @throws {Error} If the framework does not support a modifier.
+ */
+function translateModifiers(kind, keyword, node, modifiers, context) {
+  const { framework } = context;
+  const translations = framework.modifiers[kind];
+  const result = {
+    callee: keyword,
+    options: null,
+    argument: null,
+    statements: [],
+    usesContext: false,
+    async: false,
+    inherited: {},
+  };
+  let prefix = "";
+  const chains = [];
+  const options = [];
+
+  MODIFIER_ORDER.forEach((name) => {
+    if (!(name in modifiers)) return;
+    const value = modifiers[name];
+    const translation = translations[name];
+    if (!translation) {
+      if (kind === "suite" && framework.modifiers.test[name]) {
+        result.inherited[name] = value;
+        return;
       }
+      throw new Error(
+        `'$${name}' is not supported on ${kind}s by ${framework.displayName} (in '${node.title}').`
+      );
+    }
+    if (translation.async) result.async = true;
+    if (translation.prefix) prefix = translation.prefix;
+    if (translation.chain) chains.push(translation.chain);
+    if (translation.option) options.push(`${translation.option}: ${value}`);
+    if (translation.argument) result.argument = value;
+    if (translation.call) {
+      result.statements.push(`${translation.call}(${value});`);
+      if (translation.uses) context.used.add(translation.uses);
+      if (translation.call.startsWith("this.")) result.usesContext = true;
     }
+  });
+
+  result.callee = `${prefix}${keyword}${chains.map((chain) => `.${chain}`).join("")}`;
+  if (options.length > 0) result.options = `{ ${options.join(", ")} }`;
+  return result;
+}
+
+/**
+ * Writes a `describe`/test call with a callback through the suite or test template,
+ * applying the node's modifiers.
+ * @param {object} writer - The code writer.
+ * @param {object} call - The translation from `translateModifiers`.
+ * @param {object} block - The call parts.
+ * @param {string} block.kind - 'suite' or 'test'.
+ * @param {object} block.node - The plan node.
+ * @param {string} block.title - The title template or interpolated title.
+ * @param {object|null} block.cases - The `.each` table, or null for a plain call.
+ * @param {object} block.modifiers - The effective modifiers.
+ * @param {string} [block.todo] - The placeholder statement offered to the test
+ * template in place of the callback.
+ * @param {function(string): void} block.body - Writes the callback body at the given
+ * indentation.
+ * @param {string} indentLevel - The current indentation string.
+ * @param {object} context - The generation context.
+ */
+function generateBlock(writer, call, block, indentLevel, context) {
+  const each = block.cases ? `.each(${buildCaseTable(block.cases)})` : "";
+  const params = block.cases ? buildCaseParams(block.cases) : "";
+  const async = call.async ? "async " : "";
+  const callback = call.usesContext
+    ? `${async}function (${params}) {`
+    : `${async}(${params}) => {`;
+  const options = call.options ? `${call.options}, ` : "";
+  const argument = call.argument !== null ? `, ${call.argument}` : "";
+  const titleLiteral = stringLiteral(block.title);
+
+  const values = buildNodeValues(block.kind, block.node.path, context, {
+    title: block.title,
+    titleLiteral,
+    modifiers: block.modifiers,
+    steps: block.node.steps || [],
+    callee: call.callee,
+    params,
+    async: call.async,
+    each: Boolean(block.cases),
+    open: `${call.callee}${each}(${titleLiteral}, ${options}${callback}`,
+    close: `}${argument});`,
+    todo: block.todo || "",
+  });
+  writeNodeTemplate(
+    writer,
+    context.templates[block.kind],
+    values,
+    indentLevel,
+    (bodyIndent) => {
+      call.statements.forEach((statement) =>
+        writer.line(`${bodyIndent}${statement}`)
+      );
+      block.body(bodyIndent);
+    }
+  );
+}
+
+/**
+ * Adjusts the modifiers of a test whose body is not implemented so that it is
+ * skipped: an empty test must count as neither passing nor failing. Modifiers that
+ * would run it anyway (`$only`, `$failing` and `$concurrent`) are dropped.
+ * @param {object} modifiers - The effective modifiers.
+ * @returns {object} The modifiers of the skipped test.
+ */
+function skipUnimplemented(modifiers) {
+  if (modifiers.skip) return modifiers;
+  const kept = Object.entries(modifiers).filter(
+    ([name]) => !["only", "failing", "concurrent"].includes(name)
+  );
+  return { ...Object.fromEntries(kept), skip: true };
+}
+
+/**
+ * Records the modifiers set on a test that its unimplemented form leaves out, so that
+ * they can be reported instead of being dropped silently. Inherited modifiers stay
+ * with the suite and are not recorded.
+ * @param {object} node - The test node.
+ * @param {object} applied - The modifiers the generated test carries.
+ * @param {string} form - How the test is generated: 'todo' or 'skipped'.
+ * @param {object} context - The generation context.
+ */
+function recordDroppedModifiers(node, applied, form, context) {
+  const names = Object.keys(node.modifiers || {}).filter(
+    (name) => !(name in applied)
+  );
+  // Tests expanded from a `$cases` table share their node; report it once.
+  const recorded = context.droppedModifiers.some((entry) => entry.node === node);
+  if (names.length === 0 || recorded) return;
+  context.droppedModifiers.push({ node, path: node.path, names, form });
+}
+
+/**
+ * Writes the code for a test node.
+ * @param {object} writer - The code writer.
+ * @param {object} node - The test node.
+ * @param {object} context - The generation context.
+ * @param {string} indentLevel - The current indentation string.
+ */
+function generateTest(writer, node, context, indentLevel) {
+  const { framework, testKeyword } = context;
+  context.used.add(testKeyword);
+  const modifiers = { ...context.inherited, ...node.modifiers };
+  const extensions = renderExtensions(node.extensions, node, context);
+  const extensionLines = extensions.flatMap(({ lines }) => lines);
+
+  // A test is implemented once all of its steps have been turned into code.
+  const buildBody = (steps, placeholders) => {
+    const rendered =
+      steps && steps.length > 0
+        ? renderSteps(steps, node.path, context, placeholders)
+        : { lines: [], complete: false };
+    const lines = rendered.complete
+      ? rendered.lines
+      : [...rendered.lines, "// TODO: implement test"];
+    return { lines, complete: rendered.complete };
+  };
+  const writeBlock = (call, title, cases, lines, blockModifiers, todo = "") =>
+    generateBlock(
+      writer,
+      [...extensionLines, ...lines].some((line) => /\bawait\b/.test(line))
+        ? { ...call, async: true }
+        : call,
+      {
+        kind: "test",
+        node,
+        title,
+        cases,
+        modifiers: blockModifiers,
+        todo,
+        body: (bodyIndent) => {
+          writeExtensions(writer, extensions, bodyIndent);
+          lines.forEach((line) =>
+            writer.line(line.trim() ? `${bodyIndent}${line}` : "")
+          );
+        },
+      },
+      indentLevel,
+      context
+    );
+
+  if (!node.cases || !framework.supportsEach) {
+    const variants = node.cases
+      ? node.cases.rows.map((row, index) => ({
+          title: interpolateTitle(node.title, row, index),
+          steps:
+            node.steps &&
+            node.steps.map((step) => interpolateStep(step, node.cases, row)),
+        }))
+      : [{ title: node.title, steps: node.steps }];
+    // Placeholder forms cannot carry modifiers, steps or plugin code, so an
+    // unimplemented test without steps or plugin code becomes a plain `todo`. One
+    // with plugin code, or with steps no step definition implements (such as a
+    // Gherkin scenario without a step library), is skipped.
+    variants.forEach(({ title, steps }) => {
+      const body = buildBody(steps);
+      const isPlaceholder =
+        !body.complete && !modifiers.skip && !steps && extensions.length === 0;
+      if (isPlaceholder) {
+        const call = translateModifiers("test", testKeyword, node, {}, context);
+        const todo = framework.todo(testKeyword, stringLiteral(title));
+        recordDroppedModifiers(node, {}, "todo", context);
+        writeBlock(call, title, null, body.lines, {}, todo);
+        return;
+      }
+      const testModifiers = body.complete
+        ? modifiers
+        : skipUnimplemented(modifiers);
+      recordDroppedModifiers(node, testModifiers, "skipped", context);
+      const call = translateModifiers(
+        "test",
+        testKeyword,
+        node,
+        testModifiers,
+        context
+      );
+      writeBlock(call, title, null, body.lines, testModifiers);
+    });
+    return;
+  }
+
+  // `.each` has no todo form, so unimplemented parametrized tests are skipped.
+  const body = buildBody(node.steps, buildCasePlaceholders(node.cases));
+  const eachModifiers = body.complete
+    ? modifiers
+    : skipUnimplemented(modifiers);
+  recordDroppedModifiers(node, eachModifiers, "skipped", context);
+  const call = translateModifiers(
+    "test",
+    testKeyword,
+    node,
+    eachModifiers,
+    context
+  );
+  writeBlock(call, node.title, node.cases, body.lines, eachModifiers);
+}
+
+/**
+ * Writes the code for a suite node and its children.
+ * @param {object} writer - The code writer.
+ * @param {object} node - The suite node.
+ * @param {object} context - The generation context.
+ * @param {string} indentLevel - The current indentation string.
+ */
+function generateSuite(writer, node, context, indentLevel) {
+  context.used.add("describe");
+  const modifiers = { ...context.inherited, ...node.modifiers };
+  const call = translateModifiers("suite", "describe", node, modifiers, context);
+  const childContext = { ...context, inherited: call.inherited };
+  const extensions = renderExtensions(node.extensions, node, context);
+  const body = (bodyIndent) => {
+    if (call.statements.length > 0) writer.line();
+    if (extensions.length > 0) {
+      writeExtensions(writer, extensions, bodyIndent);
+      writer.line();
+    }
+    generateHooks(writer, node.hooks, childContext, bodyIndent);
+    generateChildren(writer, node.children, childContext, bodyIndent);
+  };
+  const writeBlock = (title, cases) =>
+    generateBlock(
+      writer,
+      call,
+      { kind: "suite", node, title, cases, modifiers, body },
+      indentLevel,
+      context
+    );
+
+  if (!node.cases || context.framework.supportsEach) {
+    writeBlock(node.title, node.cases);
+    return;
+  }
+
+  node.cases.rows.forEach((row, index) =>
+    writeBlock(interpolateTitle(node.title, row, index), null)
+  );
+}
+
+/**
+ * Writes the code for a list of plan nodes, attributing each node's lines to its
+ * YAML key path.
+ * @param {object} writer - The code writer.
+ * @param {Array<object>} nodes - The suite and test nodes.
+ * @param {object} context - The generation context (`framework`, `testKeyword`,
+ * `inherited` modifiers and `used` API names).
+ * @param {string} indentLevel - The current indentation string.
+ */
+function generateChildren(writer, nodes, context, indentLevel) {
+  nodes.forEach((node) =>
+    writer.withOrigin(node.path, () =>
+      node.type === "suite"
+        ? generateSuite(writer, node, context, indentLevel)
+        : generateTest(writer, node, context, indentLevel)
+    )
+  );
+}
+
+/**
+ * Generates JavaScript test code from a given YAML structure.
+ * Recursively traverses the YAML object/array to create `describe` blocks and
+ * placeholder tests in the syntax of the selected test framework, preceded by the
+ * import of the framework API where the framework and module format require one.
+ * Entries with a `$cases` table become `.each` tables, or one test/suite per row for
+ * frameworks without `.each` support. `$beforeAll`, `$beforeEach`, `$afterEach` and
+ * `$afterAll` keys become lifecycle hooks at the level they are declared, and
+ * `$skip`, `$only`, `$concurrent`, `$failing`, `$timeout` and `$retry` become the
+ * framework's equivalent modifiers. The `$steps` of a test become code when a step
+ * library defines them, and comments in a skipped test otherwise. Top-level `$subject` and `$imports`
+ * keys become import statements and `$mocks` becomes `jest.mock`/`vi.mock` calls,
+ * all placed before the first hook or suite. Keys reserved by plugins become the code
+ * their emitters produce. Suites, tests and hooks are written through their templates.
+ *
+ * @param {object|Array} yamlContent - The parsed YAML content (can be an object or an array).
+ * @param {object|string} [options={}] - Generation options or, as in the earlier
+ * `(yamlContent, testKeyword, indentLevel)` form, the test keyword.
+ * @param {string} [options.testKeyword='it'] - The keyword to use for test blocks ('it' or 'test').
+ * @param {string} [options.framework='jest'] - The target test framework.
+ * @param {string} [options.moduleFormat] - The module format of the output ('esm' or 'cjs').
+ * Defaults to the framework's preferred format.
+ * @param {Array<object>} [options.stepLibrary] - Step definitions from `loadStepLibrary`,
+ * used to turn `$steps` into code.
+ * @param {string} [options.sourcePath] - The path to the YAML file. Together with
+ * `outputPath`, relative module paths in `$subject`, `$imports` and `$mocks` are
+ * rewritten to be relative to the test file; without them they are used as written.
+ * @param {string} [options.outputPath] - The path to the generated test file.
+ * @param {object} [options.templates] - The suite, test and hook templates from
+ * `loadTemplates`. Defaults to the built-in templates.
+ * @param {object} [options.config] - Configuration values available to the templates.
+ * @param {object} [options.plugins] - The plugin registry from `loadPlugins`, whose
+ * keys are interpreted wherever they appear.
+ * @param {string} [indentLevel=''] - In the earlier form, the indentation prepended to
+ * every line of the code.
+ * @returns {string} The generated JavaScript test code.
+ * @throws {Error} If a `$cases` table, hook, modifier, import or mock is malformed, or a
+ * modifier or mocks are not supported by the framework.
+ */
+function generateTestCode(yamlContent, options = {}, indentLevel = "") {
+  const { code } = generateTestSource(
+    yamlContent,
+    typeof options === "string" ? { testKeyword: options } : options || {}
+  );
+  return indentLevel ? code.replace(/^(?=.)/gm, indentLevel) : code;
+}
+
+/**
+ * Generates test code like `generateTestCode` and reports which YAML entry produced
+ * each line, so that problems in the output can be traced back to the YAML source.
+ *
+ * @param {object|Array} yamlContent - The parsed YAML content.
+ * @param {object} [options={}] - Generation options, as for `generateTestCode`.
+ * @returns {{code: string, originOf: function(number): (Array<string>|null),
+ * unmatchedSteps: Array<{path: Array<string>, step: string}>,
+ * droppedModifiers: Array<{path: Array<string>, names: Array<string>, form: string}>}}
+ * The code, a function returning the YAML key path behind a one-based line of it (null
+ * for lines such as the import statement), the steps no step definition matched, and
+ * the modifiers of unimplemented tests that their todo or skipped form leaves out.
+ * @throws {Error} If a `$cases` table, hook, modifier, import or mock is malformed, or a
+ * modifier or mocks are not supported by the framework.
+ */
+function generateTestSource(yamlContent, options = {}) {
+  const context = {
+    framework: getFramework(options.framework),
+    testKeyword: options.testKeyword || "it",
+    stepLibrary: options.stepLibrary || null,
+    templates: options.templates || loadTemplates(),
+    keys: options.plugins ? options.plugins.keys : new Map(),
+    inherited: {},
+    used: new Set(),
+    unmatchedSteps: [],
+    droppedModifiers: [],
+    unmatchedKeys: new Set(),
+  };
+
+  context.templateValues = createTemplateValues({
+    ...options,
+    framework: context.framework,
+  });
+
+  const moduleFormat =
+    options.moduleFormat || context.framework.defaultModuleFormat;
+  const plan = buildTestPlan(yamlContent, { keys: context.keys });
+  const writer = createCodeWriter();
+  generateSetup(writer, plan.setup, context, { ...options, moduleFormat });
+  const extensions = renderExtensions(plan.extensions, plan, context);
+  if (extensions.length > 0) {
+    writeExtensions(writer, extensions, "");
+    writer.line();
+  }
+  generateHooks(writer, plan.hooks, context, "");
+  generateChildren(writer, plan.children, context, "");
+
+  const usedNames = API_NAMES.filter((name) => context.used.has(name));
+  const importStatement = buildImportStatement(
+    context.framework,
+    usedNames,
+    moduleFormat
+  );
+  const { unmatchedSteps } = context;
+  const droppedModifiers = context.droppedModifiers.map(
+    ({ path, names, form }) => ({ path, names, form })
+  );
+  if (!importStatement) {
+    return {
+      code: writer.toString(),
+      originOf: writer.originOf,
+      unmatchedSteps,
+      droppedModifiers,
+    };
   }
-  return code;
+  // The framework import goes right above the module imports, if there are any.
+  const separator = plan.setup.imports.length > 0 ? "\n" : "\n\n";
+  const offset = separator.length;
+  return {
+    code: `${importStatement}${separator}${writer.toString()}`,
+    originOf: (lineNumber) => writer.originOf(lineNumber - offset),
+    unmatchedSteps,
+    droppedModifiers,
+  };
 }
 
 module.exports = {
   generateTestCode,
+  generateTestSource,
 };
@@ -0,0 +1,288 @@
+/**
+ * @file src/core/testMerger.js
+ * @description Merges freshly generated test code with an existing test file so that
+ * hand-written test bodies, hooks and helper statements survive regeneration.
+ * Tests whose YAML entry was removed are reported and either kept or commented out.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const { getTestOutline, ORPHAN_MARKER } = require("./testParser");
+
+/**
+ * Returns the matching key of an outline entry, or null for unkeyed entries.
+ * Tests and suites are keyed by title; hooks by their name.
+ * @param {object} entry - An outline entry.
+ * @returns {string|null} The key.
+ */
+function entryKey(entry) {
+  if (entry.kind === "suite" || entry.kind === "test") {
+    return `${entry.kind}:${entry.title}`;
+  }
+  if (entry.kind === "hook") {
+    return `hook:${entry.name}`;
+  }
+  return null;
+}
+
+/**
+ * Indexes a container's keyed entries. Repeated keys get an occurrence suffix so
+ * that the n-th duplicate in one file matches the n-th duplicate in the other.
+ * @param {Array<object>} entries - The container entries.
+ * @returns {Map<string, object>} Entries by key.
+ */
+function indexEntries(entries) {
+  const index = new Map();
+  const seen = new Map();
+  entries.forEach((entry) => {
+    const key = entryKey(entry);
+    if (!key) return;
+    const count = seen.get(key) || 0;
+    seen.set(key, count + 1);
+    index.set(count === 0 ? key : `${key}#${count}`, entry);
+  });
+  return index;
+}
+
+/**
+ * Collapses whitespace so statements can be compared regardless of formatting.
+ * @param {string} text - Source text.
+ * @returns {string} The normalized text.
+ */
+function normalize(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Re-indents a multi-line snippet taken from one column so that its continuation
+ * lines line up under `indent`. The first line is returned without indentation.
+ * @param {string} text - The snippet.
+ * @param {number} fromColumn - The column the snippet started at in its source.
+ * @param {string} indent - The target indentation.
+ * @returns {string} The re-indented snippet.
+ */
+function reindent(text, fromColumn, indent) {
+  return text
+    .split("\n")
+    .map((line, index) => {
+      if (index === 0 || line.trim() === "") return index === 0 ? line : "";
+      const leading = line.length - line.trimStart().length;
+      return indent + line.slice(Math.min(leading, fromColumn));
+    })
+    .join("\n");
+}
+
+/**
+ * Determines whether a suite (recursively) contains anything worth keeping:
+ * implemented tests, hooks or other hand-written statements.
+ * @param {object} entry - A suite outline entry.
+ * @returns {boolean} True if the suite holds hand-written content.
+ */
+function hasHandWrittenContent(entry) {
+  if (!entry.container) return false;
+  return entry.container.entries.some((child) => {
+    if (child.kind === "suite") return hasHandWrittenContent(child);
+    if (child.kind === "test" || child.kind === "hook") return !child.isTodo;
+    return true;
+  });
+}
+
+/**
+ * Formats an orphaned test or suite for re-insertion into the merged output.
+ * @param {object} entry - The orphaned outline entry.
+ * @param {string} titlePath - The full title path of the orphan (for the marker).
+ * @param {string} indent - The target indentation.
+ * @param {string} mode - The orphan handling mode ('keep' or 'comment').
+ * @returns {string} The text to insert, ending with a newline.
+ */
+function formatOrphan(entry, titlePath, indent, mode) {
+  const body = reindent(entry.text, entry.column, indent);
+  if (mode === "comment") {
+    const safeBody = body.replace(/\*\//g, "*\\/");
+    return `${indent}/* ${ORPHAN_MARKER} ${titlePath}\n${indent}${safeBody}\n${indent}*/\n`;
+  }
+  return `${indent}// ${ORPHAN_MARKER} ${titlePath}\n${indent}${body}\n`;
+}
+
+/**
+ * Computes where content can be appended to a generated container and which
+ * indentation its children use.
+ * @param {object} container - The generated container.
+ * @param {string} code - The generated code.
+ * @param {number} parentColumn - The column of the owning suite call (0 for the program).
+ * @returns {{offset: number, indent: string}} The append offset and child indentation.
+ */
+function containerTail(container, code, parentColumn) {
+  const firstChild = container.entries[0];
+  const indent = " ".repeat(
+    firstChild ? firstChild.column : container.block ? parentColumn + 2 : 0
+  );
+  if (!container.block) {
+    return { offset: code.length, indent };
+  }
+  const closingBrace = container.block.end - 1;
+  return {
+    offset: code.lastIndexOf("\n", closingBrace - 1) + 1,
+    indent,
+  };
+}
+
+/**
+ * Recursively merges one existing container into the matching generated container,
+ * recording text edits against the generated code.
+ * @param {object} generated - The generated container.
+ * @param {object} existing - The existing container.
+ * @param {object} state - Shared merge state (`code`, `edits`, `orphans`, `preserved`, `mode`).
+ * @param {Array<string>} titlePath - The titles of the enclosing suites.
+ * @param {number} parentColumn - The column of the owning generated suite call.
+ */
+function mergeContainer(generated, existing, state, titlePath, parentColumn) {
+  const generatedIndex = indexEntries(generated.entries);
+  const existingIndex = indexEntries(existing.entries);
+  const generatedTexts = new Set(
+    generated.entries
+      .filter((entry) => !entryKey(entry))
+      .map((entry) => normalize(entry.text))
+  );
+  const tail = containerTail(generated, state.code, parentColumn);
+  let pending = [];
+
+  const insert = (offset, entries, indent) => {
+    entries.forEach((entry) => {
+      state.edits.push({
+        start: offset,
+        end: offset,
+        text: `${indent}${reindent(entry.text, entry.column, indent)}\n${
+          entry.blankLineAfter ? "\n" : ""
+        }`,
+      });
+      state.preserved++;
+    });
+  };
+
+  const keyByEntry = new Map(
+    [...existingIndex].map(([key, entry]) => [entry, key])
+  );
+  const orphans = [];
+
+  existing.entries.forEach((entry) => {
+    const key = keyByEntry.get(entry);
+    const match = key ? generatedIndex.get(key) : null;
+
+    // Hand-written hooks are kept even when the YAML does not declare them;
+    // generated hook stubs disappear with their YAML key.
+    if (!key || (!match && entry.kind === "hook" && !entry.isTodo)) {
+      if (!generatedTexts.has(normalize(entry.text))) pending.push(entry);
+      return;
+    }
+
+    if (!match) {
+      const keep =
+        entry.kind === "suite" ? hasHandWrittenContent(entry) : !entry.isTodo;
+      if (keep) orphans.push(entry);
+      return;
+    }
+
+    const matchIndent = " ".repeat(match.column);
+    insert(match.lineStart, pending, matchIndent);
+    pending = [];
+
+    if (entry.kind === "suite") {
+      if (entry.container && match.container) {
+        mergeContainer(
+          match.container,
+          entry.container,
+          state,
+          [...titlePath, entry.title],
+          match.column
+        );
+      }
+    } else if (!entry.isTodo && normalize(entry.text) !== normalize(match.text)) {
+      state.edits.push({
+        start: match.start,
+        end: match.end,
+        text: reindent(entry.text, entry.column, matchIndent),
+      });
+      state.preserved++;
+    }
+  });
+
+  insert(tail.offset, pending, tail.indent);
+
+  orphans.forEach((entry) => {
+    const path = [...titlePath, entry.title].join(" > ");
+    state.orphans.push(path);
+    state.edits.push({
+      start: tail.offset,
+      end: tail.offset,
+      text: formatOrphan(entry, path, tail.indent, state.mode),
+    });
+  });
+}
+
+/**
+ * Applies non-overlapping text edits to a string. Insertions at the same offset
+ * keep the order in which they were recorded and precede any replacement there.
+ * @param {string} code - The original code.
+ * @param {Array<{start: number, end: number, text: string}>} edits - The edits.
+ * @returns {string} The edited code.
+ */
+function applyEdits(code, edits) {
+  const ordered = edits
+    .map((edit, sequence) => ({ ...edit, sequence }))
+    .sort(
+      (a, b) =>
+        a.start - b.start ||
+        (a.end - a.start === 0 ? 0 : 1) - (b.end - b.start === 0 ? 0 : 1) ||
+        a.sequence - b.sequence
+    );
+
+  let result = "";
+  let cursor = 0;
+  ordered.forEach((edit) => {
+    result += code.slice(cursor, edit.start) + edit.text;
+    cursor = Math.max(cursor, edit.end);
+  });
+  return result + code.slice(cursor);
+}
+
+/**
+ * Merges freshly generated test code with the contents of an existing test file.
+ * Implemented tests whose describe/test path still exists keep their existing code,
+ * new YAML entries appear as generated stubs, hand-written hooks and helper statements
+ * are carried over, and tests whose YAML entry disappeared are returned as orphans
+ * and re-inserted into the nearest surviving suite (kept or commented out).
+ *
+ * @param {string} generatedCode - The newly generated file content.
+ * @param {string} existingCode - The current content of the test file on disk.
+ * @param {object} [options={}] - Merge options.
+ * @param {string} [options.fileName=''] - The test file name, used to select parser plugins.
+ * @param {string} [options.orphanedTests='comment'] - How to handle orphaned tests ('keep' or 'comment').
+ * @returns {{code: string, preserved: number, orphans: Array<string>}} The merged code,
+ * the number of preserved hand-written items and the title paths of orphaned tests.
+ * @throws {SyntaxError} If either file cannot be parsed.
+ */
+function mergeTestCode(generatedCode, existingCode, options = {}) {
+  const fileName = options.fileName || "";
+  const generated = getTestOutline(generatedCode, fileName);
+  const existing = getTestOutline(existingCode, fileName);
+
+  const state = {
+    code: generatedCode,
+    edits: [],
+    orphans: [],
+    preserved: 0,
+    mode: options.orphanedTests || "comment",
+  };
+  mergeContainer(generated, existing, state, [], 0);
+
+  return {
+    code: applyEdits(generatedCode, state.edits),
+    preserved: state.preserved,
+    orphans: state.orphans,
+  };
+}
+
+module.exports = {
+  mergeTestCode,
+};
@@ -0,0 +1,562 @@
+/**
+ * @file src/core/testPlan.js
+ * @description Normalizes parsed YAML into a test plan: a tree of suite and test nodes
+ * that the code generator emits. Keys starting with '$' that are reserved by the DSL
+ * (such as `$cases` and `$beforeEach`) are interpreted here instead of being treated
+ * as titles.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const { IDENTIFIER_PATTERN } = require("./codeEmitter");
+
+/** Reserved key holding a data table for parametrized tests and suites. */
+const CASES_KEY = "$cases";
+
+/** Reserved key holding the steps (e.g. Given/When/Then) of a test. */
+const STEPS_KEY = "$steps";
+
+/** Reserved keys declaring lifecycle hooks, mapped to the hook they declare. */
+const HOOK_KEYS = {
+  $beforeAll: "beforeAll",
+  $beforeEach: "beforeEach",
+  $afterEach: "afterEach",
+  $afterAll: "afterAll",
+};
+
+/**
+ * Reserved keys setting test/suite modifiers, mapped to the modifier they set and
+ * the kind of value they take. Listed in the order modifiers are emitted.
+ */
+const MODIFIER_KEYS = {
+  $concurrent: { name: "concurrent", type: "boolean" },
+  $skip: { name: "skip", type: "boolean" },
+  $only: { name: "only", type: "boolean" },
+  $failing: { name: "failing", type: "boolean" },
+  $timeout: { name: "timeout", type: "count" },
+  $retry: { name: "retry", type: "count" },
+};
+
+/** Reserved top-level key naming the module under test. */
+const SUBJECT_KEY = "$subject";
+
+/** Reserved top-level key listing further modules to import. */
+const IMPORTS_KEY = "$imports";
+
+/** Reserved top-level key listing the modules to mock. */
+const MOCKS_KEY = "$mocks";
+
+/** Reserved keys that are only allowed at the top level of a file. */
+const SETUP_KEYS = [SUBJECT_KEY, IMPORTS_KEY, MOCKS_KEY];
+
+/** Keys reserved by the YAML DSL; they never become describe or test titles. */
+const RESERVED_KEYS = new Set([
+  CASES_KEY,
+  STEPS_KEY,
+  ...SETUP_KEYS,
+  ...Object.keys(HOOK_KEYS),
+  ...Object.keys(MODIFIER_KEYS),
+]);
+
+/**
+ * Lists the `[key, value]` entries of a YAML node. Array items that are strings
+ * become `[item, null]` test entries; array items that are objects contribute
+ * their own entries.
+ * @param {object|Array} yamlContent - The parsed YAML node.
+ * @returns {Array<Array>} The entries in document order.
+ */
+function getEntries(yamlContent) {
+  if (Array.isArray(yamlContent)) {
+    const entries = [];
+    yamlContent.forEach((item) => {
+      if (typeof item === "string") {
+        entries.push([item, null]);
+      } else if (typeof item === "object" && item !== null) {
+        entries.push(...Object.entries(item));
+      }
+    });
+    return entries;
+  }
+  if (typeof yamlContent === "object" && yamlContent !== null) {
+    return Object.entries(yamlContent);
+  }
+  return [];
+}
+
+/**
+ * Formats a title path for error messages.
+ * @param {Array<string>} titlePath - The titles from the root to the node.
+ * @returns {string} The formatted path.
+ */
+function formatPath(titlePath) {
+  return titlePath.join(" > ");
+}
+
+/**
+ * Checks whether a value is a plain (non-array) object.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for plain objects.
+ */
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Parses and validates a `$cases` table. Two shapes are supported:
+ * a list of objects (`[{ a: 1, b: 2 }, ...]`), whose keys become named columns, and
+ * a `{ header: [...], rows: [[...], ...] }` object, whose rows are positional.
+ * Every row must have exactly the same columns.
+ * @param {*} value - The raw `$cases` value.
+ * @param {Array<string>} titlePath - The title path of the owning node (for errors).
+ * @returns {{kind: string, columns: Array<string>, rows: Array}} The table, where `kind`
+ * is 'objects' or 'rows'.
+ * @throws {Error} If the table is malformed or its rows have inconsistent columns.
+ */
+function parseCases(value, titlePath) {
+  const where = `'${CASES_KEY}' of '${formatPath(titlePath)}'`;
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      throw new Error(`${where} must contain at least one row.`);
+    }
+    if (!value.every(isPlainObject)) {
+      throw new Error(
+        `${where} must be a list of objects or an object with 'header' and 'rows'.`
+      );
+    }
+    const columns = Object.keys(value[0]);
+    value.forEach((row, index) => {
+      const keys = Object.keys(row);
+      const missing = columns.filter((column) => !keys.includes(column));
+      const extra = keys.filter((key) => !columns.includes(key));
+      if (missing.length > 0 || extra.length > 0) {
+        throw new Error(
+          `${where}: row ${index + 1} has columns [${keys.join(
+            ", "
+          )}] but expected [${columns.join(", ")}].`
+        );
+      }
+    });
+    return { kind: "objects", columns, rows: value };
+  }
+
+  if (isPlainObject(value) && Array.isArray(value.header)) {
+    const columns = value.header.map(String);
+    const rows = value.rows;
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new Error(`${where} must contain at least one row in 'rows'.`);
+    }
+    rows.forEach((row, index) => {
+      if (!Array.isArray(row) || row.length !== columns.length) {
+        throw new Error(
+          `${where}: row ${index + 1} must be a list of ${
+            columns.length
+          } values matching the header [${columns.join(", ")}].`
+        );
+      }
+    });
+    return { kind: "rows", columns, rows };
+  }
+
+  throw new Error(
+    `${where} must be a list of objects or an object with 'header' and 'rows'.`
+  );
+}
+
+/**
+ * Parses the `$steps` of a test: a list of step texts, or a string holding one step
+ * per line.
+ * @param {*} value - The raw `$steps` value.
+ * @param {Array<string>} titlePath - The title path of the owning test (for errors).
+ * @returns {Array<string>} The steps.
+ * @throws {Error} If the value is not a string or a list of strings.
+ */
+function parseSteps(value, titlePath) {
+  if (typeof value === "string") {
+    return value.split("\n").filter((line) => line.trim() !== "");
+  }
+  if (Array.isArray(value) && value.every((step) => typeof step === "string")) {
+    return value;
+  }
+  throw new Error(
+    `'${STEPS_KEY}' of '${formatPath(titlePath)}' must be a list of steps.`
+  );
+}
+
+/**
+ * Collects the lifecycle hooks declared by reserved keys among a node's entries.
+ * A hook value of `null` or `true` declares an empty stub, a string (or list of
+ * strings) supplies the hook body, an object with `$steps` lists the hook's steps,
+ * and `false` disables the hook.
+ * @param {object|Array} yamlContent - The parsed YAML node.
+ * @param {Array<string>} titlePath - The title path of the node (for errors).
+ * @returns {Array<{name: string, code: string|null, steps: Array<string>|null,
+ * path: Array<string>}>} The hooks in canonical order, with the key path of their
+ * declaration.
+ * @throws {Error} If a hook value has an unsupported type.
+ */
+function collectHooks(yamlContent, titlePath) {
+  const declared = new Map();
+  getEntries(yamlContent).forEach(([key, value]) => {
+    if (!(key in HOOK_KEYS) || value === false) return;
+    let code = null;
+    let steps = null;
+    if (value === null || value === true) {
+      code = null;
+    } else if (isPlainObject(value) && STEPS_KEY in value) {
+      steps = parseSteps(value[STEPS_KEY], [...titlePath, key]);
+    } else if (typeof value === "string") {
+      code = value.replace(/\s+$/, "");
+    } else if (
+      Array.isArray(value) &&
+      value.every((line) => typeof line === "string")
+    ) {
+      code = value.join("\n");
+    } else {
+      throw new Error(
+        `'${key}' of '${formatPath(titlePath) || "(root)"}' must be true, a code string, a list of code lines or an object with '${STEPS_KEY}'.`
+      );
+    }
+    declared.set(HOOK_KEYS[key], {
+      name: HOOK_KEYS[key],
+      code,
+      steps,
+      path: [...titlePath, key],
+    });
+  });
+
+  return Object.values(HOOK_KEYS)
+    .filter((name) => declared.has(name))
+    .map((name) => declared.get(name));
+}
+
+/**
+ * Derives a binding name from a module specifier: `../src/string-utils.js` becomes
+ * `stringUtils`, and `./parser/index.js` becomes `parser`.
+ * @param {string} specifier - The module specifier.
+ * @returns {string} The identifier.
+ */
+function deriveBindingName(specifier) {
+  const segments = specifier
+    .split("/")
+    .map((segment) => segment.replace(/\.[cm]?[jt]sx?$/, ""))
+    .filter((segment) => segment && segment !== "." && segment !== "..");
+  let name = segments.pop() || "subject";
+  if (name === "index" && segments.length > 0) name = segments.pop();
+  name = name
+    .replace(/^@/, "")
+    .replace(/[^\w$]+(.)?/g, (match, next) => (next ? next.toUpperCase() : ""));
+  return /^\d/.test(name) ? `_${name}` : name || "subject";
+}
+
+/**
+ * Parses an entry of `$subject` or `$imports`. A string imports a module for its side
+ * effects, or, as `$subject`, binds the whole module to a name derived from its path.
+ * An object has a `from` specifier and any of `default`, `namespace` and `named` (a list
+ * of names, `name as alias` strings or a `{ name: alias }` mapping).
+ * @param {*} value - The raw entry.
+ * @param {string} where - The entry's description (for errors).
+ * @param {boolean} isSubject - Whether the entry is the `$subject`.
+ * @returns {{from: string, default: string|null, namespace: string|null,
+ * named: Array<{imported: string, local: string}>}} The import.
+ * @throws {Error} If the entry is malformed or binds invalid identifiers.
+ */
+function parseImport(value, where, isSubject) {
+  if (typeof value === "string") {
+    return {
+      from: value,
+      default: null,
+      namespace: isSubject ? deriveBindingName(value) : null,
+      named: [],
+    };
+  }
+  if (!isPlainObject(value) || typeof value.from !== "string") {
+    throw new Error(
+      `${where} must be a module path or an object with 'from' and 'default', 'namespace' or 'named'.`
+    );
+  }
+
+  let named = value.named || [];
+  if (isPlainObject(named)) {
+    named = Object.entries(named).map(([imported, local]) => ({
+      imported,
+      local: local || imported,
+    }));
+  } else if (Array.isArray(named)) {
+    named = named.map((name) => {
+      const [imported, local] = String(name).split(/\s+as\s+/);
+      return { imported: imported.trim(), local: (local || imported).trim() };
+    });
+  } else {
+    throw new Error(`'named' of ${where} must be a list of names.`);
+  }
+
+  const result = {
+    from: value.from,
+    default: value.default || null,
+    namespace: value.namespace || null,
+    named,
+  };
+  const bindings = [
+    result.default,
+    result.namespace,
+    ...named.flatMap(({ imported, local }) => [imported, local]),
+  ].filter(Boolean);
+  const invalid = bindings.find((name) => !IDENTIFIER_PATTERN.test(name));
+  if (invalid) {
+    throw new Error(`${where} binds '${invalid}', which is not a valid identifier.`);
+  }
+  if (result.namespace && named.length > 0) {
+    throw new Error(`${where} cannot combine 'namespace' and 'named'.`);
+  }
+  if (isSubject && bindings.length === 0) {
+    result.namespace = deriveBindingName(result.from);
+  }
+  return result;
+}
+
+/**
+ * Parses `$mocks`: a list of module paths, or of `path: factory` entries whose factory
+ * is the code of the mock factory function; a `path: factory` mapping is accepted too.
+ * @param {*} value - The raw `$mocks` value.
+ * @returns {Array<{path: string, factory: string|null}>} The mocks.
+ * @throws {Error} If the value is malformed.
+ */
+function parseMocks(value) {
+  const invalid = new Error(
+    `'${MOCKS_KEY}' must be a list of module paths or 'path: factory' entries.`
+  );
+  const items = isPlainObject(value) ? [value] : value;
+  if (!Array.isArray(items)) throw invalid;
+  return items.flatMap((item) => {
+    if (typeof item === "string") return [{ path: item, factory: null }];
+    if (!isPlainObject(item)) throw invalid;
+    return Object.entries(item).map(([path, factory]) => {
+      if (factory !== null && typeof factory !== "string") throw invalid;
+      return { path, factory: factory ? factory.replace(/\s+$/, "") : null };
+    });
+  });
+}
+
+/**
+ * Collects the top-level `$subject`, `$imports` and `$mocks` declarations.
+ * @param {object|Array} yamlContent - The parsed YAML root.
+ * @returns {{imports: Array<object>, mocks: Array<object>}} The imports (the subject
+ * first) from `parseImport` with the `key` declaring them, and the mocks from `parseMocks`.
+ * @throws {Error} If a declaration is malformed.
+ */
+function collectSetup(yamlContent) {
+  const imports = [];
+  let mocks = [];
+  getEntries(yamlContent).forEach(([key, value]) => {
+    if (key === SUBJECT_KEY) {
+      imports.unshift({
+        key: SUBJECT_KEY,
+        ...parseImport(value, `'${SUBJECT_KEY}'`, true),
+      });
+    } else if (key === IMPORTS_KEY) {
+      const entries = Array.isArray(value) ? value : [value];
+      entries.forEach((entry, index) =>
+        imports.push({
+          key: IMPORTS_KEY,
+          ...parseImport(entry, `entry ${index + 1} of '${IMPORTS_KEY}'`, false),
+        })
+      );
+    } else if (key === MOCKS_KEY) {
+      mocks = parseMocks(value);
+    }
+  });
+  return { imports, mocks };
+}
+
+/**
+ * Collects the modifiers set by reserved keys such as `$skip: true` or
+ * `$timeout: 5000`. Boolean modifiers set to `false` are omitted.
+ * @param {object} yamlContent - The parsed YAML node.
+ * @param {Array<string>} titlePath - The title path of the node (for errors).
+ * @returns {object} The modifiers by name, e.g. `{ skip: true, timeout: 5000 }`.
+ * @throws {Error} If a modifier has an invalid value or `$skip` and `$only` are combined.
+ */
+function collectModifiers(yamlContent, titlePath) {
+  const modifiers = {};
+  getEntries(yamlContent).forEach(([key, value]) => {
+    const modifier = MODIFIER_KEYS[key];
+    if (!modifier) return;
+    const where = `'${key}' of '${formatPath(titlePath) || "(root)"}'`;
+    if (titlePath.length === 0) {
+      throw new Error(`${where} must be set on a test or suite.`);
+    }
+    if (modifier.type === "boolean") {
+      if (typeof value !== "boolean") {
+        throw new Error(`${where} must be true or false.`);
+      }
+      if (value) modifiers[modifier.name] = true;
+    } else {
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${where} must be a non-negative integer.`);
+      }
+      modifiers[modifier.name] = value;
+    }
+  });
+
+  if (modifiers.skip && modifiers.only) {
+    throw new Error(
+      `'${formatPath(titlePath)}' cannot combine '$skip' and '$only'.`
+    );
+  }
+  return modifiers;
+}
+
+/**
+ * Collects the values of the keys reserved by plugins among a node's entries.
+ * @param {object|Array} yamlContent - The parsed YAML node.
+ * @param {Array<string>} titlePath - The title path of the node.
+ * @param {Map<string, object>} keys - The plugin keys and their definitions.
+ * @returns {Array<{key: string, value: *, path: Array<string>}>} The values in document
+ * order, normalized by the keys' `parse` functions, with the key path of their declaration.
+ */
+function collectExtensions(yamlContent, titlePath, keys) {
+  return getEntries(yamlContent)
+    .filter(([key]) => keys.has(key))
+    .map(([key, value]) => {
+      const { parse } = keys.get(key);
+      const keyPath = [...titlePath, key];
+      return { key, value: parse ? parse(value, keyPath) : value, path: keyPath };
+    });
+}
+
+/**
+ * Builds the plan nodes for the entries of a YAML node.
+ * @param {object|Array} yamlContent - The parsed YAML node.
+ * @param {Array<string>} titlePath - The titles of the enclosing suites.
+ * @param {Map<string, object>} keys - The plugin keys.
+ * @returns {Array<object>} The child nodes.
+ */
+function buildChildren(yamlContent, titlePath, keys) {
+  return getEntries(yamlContent)
+    .filter(([key]) => !RESERVED_KEYS.has(key) && !keys.has(key))
+    .map(([key, value]) => buildNode(key, value, titlePath, keys));
+}
+
+/**
+ * Builds a single plan node from a YAML `key: value` entry.
+ * Objects and arrays become suites, scalars become tests titled `key` (or
+ * `key: value` for non-empty values). An object that only holds a `$cases` table,
+ * `$steps`, modifiers (e.g. `{ $skip: true }`) and/or plugin keys is a test rather than
+ * an empty suite.
+ * @param {string} key - The entry key.
+ * @param {*} value - The entry value.
+ * @param {Array<string>} titlePath - The titles of the enclosing suites.
+ * @param {Map<string, object>} keys - The plugin keys.
+ * @returns {object} The plan node.
+ */
+function buildNode(key, value, titlePath, keys) {
+  const nodePath = [...titlePath, key];
+  const setupKey = getEntries(value).find(([entryKey]) =>
+    SETUP_KEYS.includes(entryKey)
+  );
+  if (setupKey) {
+    throw new Error(
+      `'${setupKey[0]}' of '${formatPath(nodePath)}' is only allowed at the top level.`
+    );
+  }
+
+  if (typeof value !== "object" || value === null) {
+    return {
+      type: "test",
+      title: value ? `${key}: ${value}` : key,
+      path: nodePath,
+      cases: null,
+      steps: null,
+      modifiers: {},
+      extensions: [],
+    };
+  }
+
+  const cases =
+    isPlainObject(value) && CASES_KEY in value
+      ? parseCases(value[CASES_KEY], nodePath)
+      : null;
+  const steps =
+    isPlainObject(value) && STEPS_KEY in value
+      ? parseSteps(value[STEPS_KEY], nodePath)
+      : null;
+  const modifiers = collectModifiers(value, nodePath);
+  const hooks = collectHooks(value, nodePath);
+  const extensions = collectExtensions(value, nodePath, keys);
+  const children = buildChildren(value, nodePath, keys);
+
+  const isTest =
+    children.length === 0 &&
+    hooks.length === 0 &&
+    getEntries(value).some(
+      ([entryKey]) => RESERVED_KEYS.has(entryKey) || keys.has(entryKey)
+    );
+  if (isTest) {
+    return {
+      type: "test",
+      title: key,
+      path: nodePath,
+      cases,
+      steps,
+      modifiers,
+      extensions,
+    };
+  }
+  if (steps) {
+    throw new Error(
+      `'${STEPS_KEY}' of '${formatPath(nodePath)}' is only allowed on tests.`
+    );
+  }
+  return {
+    type: "suite",
+    title: key,
+    path: nodePath,
+    cases,
+    modifiers,
+    hooks,
+    extensions,
+    children,
+  };
+}
+
+/**
+ * Converts parsed YAML content into a test plan.
+ *
+ * @param {object|Array} yamlContent - The parsed YAML content (can be an object or an array).
+ * @param {object} [options={}] - Plan options.
+ * @param {Map<string, object>} [options.keys] - Keys reserved by plugins, with their
+ * definitions (see `addKey` in plugins.js).
+ * @returns {{type: string, setup: object, hooks: Array<object>, extensions: Array<object>,
+ * children: Array<object>}} The root node; `setup` holds the imports and mocks from
+ * `collectSetup`. Suites have `title`, `path`, `cases`, `modifiers`, `hooks`,
+ * `extensions` and `children`; tests have `title`, `path`, `cases`, `steps`,
+ * `modifiers` and `extensions`, the plugin key values from `collectExtensions`. `path` lists the YAML keys leading to
+ * the node and `steps` is null or a list of step texts. `cases` is null or a table from `parseCases`, `modifiers` comes
+ * from `collectModifiers` and hooks are `{ name, code }` objects.
+ * @throws {Error} If the YAML uses a reserved key incorrectly.
+ */
+function buildTestPlan(yamlContent, options = {}) {
+  const keys = options.keys || new Map();
+  // Modifiers only apply to tests and suites; this rejects them at the root level.
+  collectModifiers(yamlContent, []);
+  return {
+    type: "root",
+    setup: collectSetup(yamlContent),
+    hooks: collectHooks(yamlContent, []),
+    extensions: collectExtensions(yamlContent, [], keys),
+    children: buildChildren(yamlContent, [], keys),
+  };
+}
+
+module.exports = {
+  CASES_KEY,
+  HOOK_KEYS,
+  IMPORTS_KEY,
+  MOCKS_KEY,
+  MODIFIER_KEYS,
+  RESERVED_KEYS,
+  STEPS_KEY,
+  SUBJECT_KEY,
+  buildTestPlan,
+};
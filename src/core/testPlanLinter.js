@@ -0,0 +1,177 @@
+/**
+ * @file src/core/testPlanLinter.js
+ * @description Checks the titles and nesting of a test plan for problems that produce
+ * valid but confusing test code: tests declared twice under the same path (e.g. once
+ * as a list item and once as a key of a repeated suite), empty titles, sibling titles
+ * that differ only by case or whitespace, and deeply nested suites. Each rule reports
+ * warnings or errors, or is turned off, according to the `lint` configuration option.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const { buildTestPlan } = require("./testPlan");
+
+/** The lint rules with their default settings: a severity, or `[severity, option]`. */
+const DEFAULT_LINT_RULES = {
+  "duplicate-title": "warning",
+  "empty-title": "warning",
+  "similar-title": "warning",
+  "max-depth": ["warning", 5],
+};
+
+/** The severities a rule can be set to. */
+const LINT_SEVERITIES = ["off", "warning", "error"];
+
+/**
+ * Resolves the rule settings of the configuration.
+ * @param {object} [rules={}] - The `lint` configuration option, by rule name.
+ * @returns {Object<string, {severity: string, option?: number}>} Every rule's severity
+ * and, for 'max-depth', its limit; with defaults for the rules not configured.
+ * @throws {Error} If a rule is unknown or has an invalid severity or option.
+ */
+function resolveLintRules(rules = {}) {
+  Object.keys(rules).forEach((name) => {
+    if (!(name in DEFAULT_LINT_RULES)) {
+      throw new Error(
+        `unknown lint rule '${name}'. expected one of: ${Object.keys(
+          DEFAULT_LINT_RULES
+        ).join(", ")}.`
+      );
+    }
+  });
+  return Object.fromEntries(
+    Object.entries(DEFAULT_LINT_RULES).map(([name, defaultSetting]) => {
+      const setting = name in rules ? rules[name] : defaultSetting;
+      const [severity, option] = Array.isArray(setting) ? setting : [setting];
+      if (!LINT_SEVERITIES.includes(severity)) {
+        throw new Error(
+          `lint rule '${name}' must be set to ${LINT_SEVERITIES.join(", ")}.`
+        );
+      }
+      if (!Array.isArray(defaultSetting)) return [name, { severity }];
+      const value = option !== undefined ? option : defaultSetting[1];
+      if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`the option of lint rule '${name}' must be a positive integer.`);
+      }
+      return [name, { severity, option: value }];
+    })
+  );
+}
+
+/**
+ * Normalizes a title for comparison: lowercase, with runs of whitespace collapsed.
+ * @param {string} title - The title.
+ * @returns {string} The normalized title.
+ */
+function normalizeTitle(title) {
+  return title.trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * Lints a test plan.
+ * @param {object} plan - The root node from `buildTestPlan`.
+ * @param {object} [rules={}] - The `lint` configuration option, by rule name.
+ * @returns {Array<{severity: string, rule: string, message: string, path: Array<string>,
+ * occurrence: number}>} The problems in document order, with the key path of the
+ * offending node and which of the nodes declared at that path it is, counting from 0.
+ * @throws {Error} If the rule configuration is invalid.
+ */
+function lintTestPlan(plan, rules = {}) {
+  const settings = resolveLintRules(rules);
+  const problems = [];
+  const testPaths = new Set();
+  // Counts the nodes declared at each key path, to tell repeated declarations apart
+  const declarations = new Map();
+
+  const report = (rule, node, message) => {
+    if (settings[rule].severity === "off") return;
+    problems.push({
+      severity: settings[rule].severity,
+      rule,
+      message,
+      path: node.path,
+      occurrence: declarations.get(JSON.stringify(node.path)) - 1,
+    });
+  };
+
+  const visit = (nodes, titles) => {
+    const siblings = new Map();
+    nodes.forEach((node) => {
+      const pathKey = JSON.stringify(node.path);
+      declarations.set(pathKey, (declarations.get(pathKey) || 0) + 1);
+      const nodeTitles = [...titles, node.title];
+      const where = `'${nodeTitles.join(" > ")}'`;
+
+      if (node.title.trim() === "") {
+        report("empty-title", node, `${node.type} ${where} has an empty title.`);
+      }
+      const normalized = normalizeTitle(node.title);
+      const sibling = siblings.get(normalized);
+      if (sibling !== undefined && sibling !== node.title) {
+        report(
+          "similar-title",
+          node,
+          `${node.type} ${where} differs from its sibling '${sibling}' only by case or whitespace.`
+        );
+      } else if (sibling === undefined) {
+        siblings.set(normalized, node.title);
+      }
+
+      if (node.type === "test") {
+        const key = JSON.stringify(nodeTitles);
+        if (testPaths.has(key)) {
+          report("duplicate-title", node, `test ${where} is declared more than once.`);
+        }
+        testPaths.add(key);
+        return;
+      }
+
+      const maxDepth = settings["max-depth"].option;
+      if (nodeTitles.length > maxDepth) {
+        report(
+          "max-depth",
+          node,
+          `suite ${where} is nested ${nodeTitles.length} levels deep (the maximum is ${maxDepth}).`
+        );
+        return;
+      }
+      visit(node.children, nodeTitles);
+    });
+  };
+
+  visit(plan.children, []);
+  return problems;
+}
+
+/**
+ * Builds the test plan of a parsed definition and lints it, locating each problem.
+ * @param {*} definition - The parsed definition, valid according to the schema.
+ * @param {object} [options={}] - Lint options.
+ * @param {object} [options.rules] - The `lint` configuration option.
+ * @param {Map<string, object>} [options.keys] - Keys reserved by plugins.
+ * @param {string} [options.file] - The definition file, reported with each problem.
+ * @param {function(Array<string>, number): (number|null)} [options.locate] - Finds the
+ * source line of a key path, or of a later declaration of it by occurrence.
+ * @returns {Array<object>} The problems from `lintTestPlan`, as diagnostics with the
+ * file and line they refer to.
+ * @throws {Error} If the definition uses a reserved key incorrectly or the rule
+ * configuration is invalid.
+ */
+function lintDefinition(definition, options = {}) {
+  const { rules, keys, file, locate = () => null } = options;
+  return lintTestPlan(buildTestPlan(definition, { keys }), rules).map((problem) => {
+    const { occurrence, ...diagnostic } = problem;
+    if (file) diagnostic.file = file;
+    const line = locate(problem.path, occurrence);
+    if (line) diagnostic.line = line;
+    return diagnostic;
+  });
+}
+
+module.exports = {
+  DEFAULT_LINT_RULES,
+  LINT_SEVERITIES,
+  lintDefinition,
+  lintTestPlan,
+  resolveLintRules,
+};
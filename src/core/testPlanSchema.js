@@ -0,0 +1,199 @@
+/**
+ * @file src/core/testPlanSchema.js
+ * @description Validates parsed test definitions against the test plan JSON Schema
+ * (`config/test-plan.schema.json`), so that malformed structures are reported with
+ * their position instead of producing odd test code. Keys reserved by plugins are left
+ * to the plugins' own `parse` functions.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const path = require("path");
+const Ajv = require("ajv");
+const { loadTestDefinition } = require("./definitionLoader");
+const { loadPlugins } = require("./plugins");
+const { lintDefinition } = require("./testPlanLinter");
+
+/** Path of the test plan schema. */
+const TEST_PLAN_SCHEMA_PATH = path.join(
+  __dirname,
+  "../../config/test-plan.schema.json"
+);
+
+/** The compiled schema, on first use. */
+let validateSchema = null;
+
+/**
+ * Compiles the test plan schema once.
+ * @returns {function(*): boolean} The Ajv validation function.
+ */
+function getValidator() {
+  if (!validateSchema) {
+    const ajv = new Ajv({ allErrors: true, strictTypes: false });
+    validateSchema = ajv.compile(require(TEST_PLAN_SCHEMA_PATH));
+  }
+  return validateSchema;
+}
+
+/**
+ * Copies a definition without the keys reserved by plugins.
+ * @param {*} value - The parsed definition, or a value inside it.
+ * @param {Map<string, object>} keys - The plugin keys.
+ * @returns {*} The copy.
+ */
+function withoutPluginKeys(value, keys) {
+  if (Array.isArray(value)) {
+    return value.map((item) => withoutPluginKeys(item, keys));
+  }
+  if (typeof value === "object" && value !== null) {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([key]) => !keys.has(key))
+        .map(([key, item]) => [key, withoutPluginKeys(item, keys)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Splits an Ajv instance path (a JSON pointer) into its keys and indexes.
+ * @param {string} instancePath - The instance path, e.g. `/math/$skip`.
+ * @returns {Array<string>} The segments.
+ */
+function parsePointer(instancePath) {
+  return instancePath
+    .split("/")
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+/**
+ * Describes a schema violation.
+ * @param {object} error - The Ajv error.
+ * @param {Array<string>} segments - The path of the offending value (for unknown
+ * properties, of the property).
+ * @returns {string} The message.
+ */
+function describeError(error, segments) {
+  const key = segments[segments.length - 1];
+  const parent = segments.slice(0, -1).join(" > ");
+  if (error.keyword === "false schema") {
+    return `unknown or misplaced reserved key '${key}' ${
+      parent ? `in '${parent}'` : "at the top level"
+    }.`;
+  }
+  if (error.keyword === "additionalProperties") {
+    return `unknown property '${key}' in '${parent}'.`;
+  }
+  const where =
+    segments.length > 0 ? `'${segments.join(" > ")}'` : "the definition";
+  if (error.keyword === "required") {
+    return `${where} must have '${error.params.missingProperty}'.`;
+  }
+  if (error.keyword === "type") {
+    return `${where} must be of type ${error.params.type
+      .toString()
+      .split(",")
+      .join(", ")}.`;
+  }
+  return `${where} ${error.message}.`;
+}
+
+/**
+ * Validates a parsed test definition against the test plan schema.
+ * @param {*} definition - The parsed definition.
+ * @param {object} [options={}] - Validation options.
+ * @param {Map<string, object>} [options.keys] - Keys reserved by plugins.
+ * @param {string} [options.file] - The definition file, reported with each problem.
+ * @param {function(Array<string>): ({line: number, column: number}|null)} [options.locate] -
+ * Finds the position of a value from its path.
+ * @returns {Array<{severity: string, message: string, path: Array<string>, file?: string,
+ * line?: number, column?: number}>} The problems, one per offending value; empty if
+ * the definition is valid.
+ */
+function validateTestPlan(definition, options = {}) {
+  const { keys = new Map(), file, locate = () => null } = options;
+  const validate = getValidator();
+  if (validate(withoutPluginKeys(definition, keys))) return [];
+
+  // A value of the wrong type also fails the keywords of the types it could have had;
+  // report the first problem found at each value.
+  const reported = new Map();
+  validate.errors.forEach((error) => {
+    const target =
+      error.keyword === "additionalProperties"
+        ? `${error.instancePath}/${error.params.additionalProperty
+            .replace(/~/g, "~0")
+            .replace(/\//g, "~1")}`
+        : error.instancePath;
+    if (!reported.has(target)) reported.set(target, error);
+  });
+
+  return [...reported]
+    .map(([target, error]) => {
+      const segments = parsePointer(target);
+      const diagnostic = {
+        severity: "error",
+        message: describeError(error, segments),
+        path: segments,
+      };
+      if (file) diagnostic.file = file;
+      return { ...diagnostic, ...locate(segments) };
+    })
+    .sort(
+      (a, b) => (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0)
+    );
+}
+
+/**
+ * Validates a definition file: parses it, checks it against the test plan schema and,
+ * if it matches, builds and lints its test plan, which also catches the problems the
+ * schema cannot express (such as `$cases` rows with inconsistent columns).
+ * @param {string} filePath - The path to the definition file.
+ * @param {object} cliConfig - The consolidated configuration object (for `plugins` and
+ * `lint`).
+ * @returns {Array<object>} The problems found, as diagnostics naming the file; a file
+ * holding no structure gets a warning.
+ */
+function validateDefinitionFile(filePath, cliConfig) {
+  try {
+    const plugins = loadPlugins(cliConfig.plugins);
+    const { content, locate, locatePosition } = loadTestDefinition(
+      filePath,
+      plugins.parsers
+    );
+    if (typeof content !== "object" || content === null) {
+      return [
+        {
+          severity: "warning",
+          message: "the file is empty or does not contain a valid object structure.",
+          file: filePath,
+        },
+      ];
+    }
+    const problems = validateTestPlan(content, {
+      keys: plugins.keys,
+      file: filePath,
+      locate: locatePosition,
+    });
+    if (problems.length > 0) return problems;
+    return lintDefinition(content, {
+      rules: cliConfig.lint,
+      keys: plugins.keys,
+      file: filePath,
+      locate,
+    });
+  } catch (error) {
+    return (
+      error.diagnostics || [
+        { severity: "error", message: error.message, file: filePath },
+      ]
+    );
+  }
+}
+
+module.exports = {
+  TEST_PLAN_SCHEMA_PATH,
+  validateDefinitionFile,
+  validateTestPlan,
+};
@@ -7,14 +7,74 @@
 
 const chokidar = require("chokidar");
 const fs = require("fs");
-const path = require("path");
 const { log, LOG_LEVELS } = require("../utils/logger"); // Import logger
+const { getOutputFilePath } = require("./outputPaths");
+const { checkGeneratedContent } = require("./generatedHeader");
+
+/** Why a test file outlives its YAML file, by the state of its content. */
+const KEEP_REASONS = {
+  modified: "it was edited by hand since it was generated",
+  foreign: "it was not generated by testweaver",
+};
+
+/**
+ * Watches the YAML files matched by the effective patterns, without logging.
+ * @param {object} cliConfig - The consolidated configuration object, containing
+ * `effectivePatterns` and `effectiveIgnorePatterns`.
+ * @param {object} handlers - The event handlers; all are optional.
+ * @param {function(string, string): void} [handlers.onChange] - Called with the file path
+ * and the event ('add' or 'change') when a YAML file appears or changes, including
+ * the files found by the initial scan.
+ * @param {function(string): void} [handlers.onUnlink] - Called when a YAML file is deleted.
+ * @param {function(): void} [handlers.onReady] - Called once the initial scan is complete.
+ * @param {function(Error): void} [handlers.onError] - Called when watching fails.
+ * @returns {object} The Chokidar watcher; `close()` stops watching.
+ */
+function watchDefinitions(cliConfig, handlers) {
+  const watcher = chokidar.watch(cliConfig.effectivePatterns, {
+    ignored: cliConfig.effectiveIgnorePatterns,
+    persistent: true,
+    ignoreInitial: false,
+  });
+  const call = (name, ...args) => {
+    if (handlers[name]) handlers[name](...args);
+  };
+
+  watcher.on("ready", () => call("onReady"));
+  watcher.on("add", (filePath) => call("onChange", filePath, "add"));
+  watcher.on("change", (filePath) => call("onChange", filePath, "change"));
+  watcher.on("unlink", (filePath) => call("onUnlink", filePath));
+  watcher.on("error", (error) => call("onError", error));
+  return watcher;
+}
+
+/**
+ * Deletes the test file generated for a YAML file, if it exists. A test file that was
+ * edited by hand since it was generated (its checksum no longer matches) or was not
+ * generated at all is kept, unless the `force` option is set.
+ * @param {string} filePath - The path to the YAML file.
+ * @param {object} cliConfig - The consolidated configuration object.
+ * @returns {{outputPath: string, deleted: boolean, reason?: string}|null} The test
+ * file, whether it was deleted and, if it was kept, why; or null if there was none.
+ * @throws {Error} If the test file cannot be read or deleted.
+ */
+function deleteOutputFile(filePath, cliConfig) {
+  const outputPath = getOutputFilePath(filePath, cliConfig);
+  if (!fs.existsSync(outputPath)) return null;
+  const reason =
+    !cliConfig.force &&
+    KEEP_REASONS[checkGeneratedContent(fs.readFileSync(outputPath, "utf8"))];
+  if (reason) return { outputPath, deleted: false, reason };
+  fs.unlinkSync(outputPath);
+  return { outputPath, deleted: true };
+}
 
 /**
  * Starts the file watcher for specified patterns.
  * This function initializes Chokidar to monitor YAML files for additions, changes, and deletions.
  * It uses the provided `processFileCallback` to handle file events and optionally cleans up
- * generated test files upon deletion of source YAMLs.
+ * generated test files (wherever `outDir` and `outputFileName` place them) upon deletion
+ * of source YAMLs, keeping those edited by hand (see `deleteOutputFile`).
  *
  * @param {object} cliConfig - The consolidated configuration object for the CLI,
  * containing properties like `effectivePatterns`, `effectiveIgnorePatterns`,
@@ -36,53 +96,56 @@ function startWatcher(cliConfig, processFileCallback) {
   );
   log(`(Press Ctrl+C to exit)`, LOG_LEVELS.INFO);
 
-  const watcher = chokidar.watch(cliConfig.effectivePatterns, {
-    ignored: cliConfig.effectiveIgnorePatterns,
-    persistent: true,
-    ignoreInitial: false,
-  });
-
-  watcher.on("ready", () => {
-    log(`\nInitial scan complete. Watching for changes...`, LOG_LEVELS.INFO);
-  });
-
-  watcher.on("add", (filePath) => {
-    log(`\n➕ File added: ${filePath}`, LOG_LEVELS.INFO);
-    processFileCallback(filePath, cliConfig);
-  });
-
-  watcher.on("change", (filePath) => {
-    log(`\n🔄 File changed: ${filePath}`, LOG_LEVELS.INFO);
-    processFileCallback(filePath, cliConfig);
-  });
-
-  watcher.on("unlink", (filePath) => {
-    log(`\n🗑️ File deleted: ${filePath}`, LOG_LEVELS.INFO);
-    if (!cliConfig.noCleanup) {
-      // Only delete if cleanup is not disabled
-      const dirName = path.dirname(filePath);
-      const baseName = path.basename(filePath, path.extname(filePath));
-      const outputFilePath = path.join(dirName, `${baseName}.test.js`);
-      if (fs.existsSync(outputFilePath)) {
-        fs.unlinkSync(outputFilePath);
+  watchDefinitions(cliConfig, {
+    onReady() {
+      log(`\nInitial scan complete. Watching for changes...`, LOG_LEVELS.INFO);
+    },
+    onChange(filePath, event) {
+      log(
+        event === "add"
+          ? `\n➕ File added: ${filePath}`
+          : `\n🔄 File changed: ${filePath}`,
+        LOG_LEVELS.INFO
+      );
+      processFileCallback(filePath, cliConfig);
+    },
+    onUnlink(filePath) {
+      log(`\n🗑️ File deleted: ${filePath}`, LOG_LEVELS.INFO);
+      if (cliConfig.noCleanup) {
         log(
-          `🗑️ Deleted corresponding test file: ${outputFilePath}`,
+          `Cleanup disabled. Keeping generated test file for: ${filePath}`,
           LOG_LEVELS.INFO
         );
+        return;
       }
-    } else {
-      log(
-        `Cleanup disabled. Keeping generated test file for: ${filePath}`,
-        LOG_LEVELS.INFO
-      );
-    }
-  });
-
-  watcher.on("error", (error) => {
-    log(`\n❌ Watcher error: ${error}`, LOG_LEVELS.ERROR);
+      try {
+        const outcome = deleteOutputFile(filePath, cliConfig);
+        if (outcome && outcome.deleted) {
+          log(
+            `🗑️ Deleted corresponding test file: ${outcome.outputPath}`,
+            LOG_LEVELS.INFO
+          );
+        } else if (outcome) {
+          log(
+            `⚠️ Keeping test file ${outcome.outputPath}: ${outcome.reason}. Use --force to delete it.`,
+            LOG_LEVELS.WARN
+          );
+        }
+      } catch (error) {
+        log(
+          `❌ Error deleting test file for '${filePath}': ${error.message}`,
+          LOG_LEVELS.ERROR
+        );
+      }
+    },
+    onError(error) {
+      log(`\n❌ Watcher error: ${error}`, LOG_LEVELS.ERROR);
+    },
   });
 }
 
 module.exports = {
+  watchDefinitions,
+  deleteOutputFile,
   startWatcher,
 };
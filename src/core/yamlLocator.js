@@ -0,0 +1,175 @@
+/**
+ * @file src/core/yamlLocator.js
+ * @description Finds the source line of an entry in a YAML document from its key path,
+ * so that problems found in generated code can be reported against the YAML file, and
+ * the line and column of a value from its JSON pointer, for schema violations.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const yaml = require("js-yaml");
+
+/**
+ * Parses a YAML document into a tree of nodes with their source lines. js-yaml reports
+ * every composed node through `open`/`close` listener events; mappings get their keys
+ * and values as alternating children.
+ * @param {string} source - The YAML source.
+ * @returns {object|null} The document node (`{ kind, result, line, column, children }`,
+ * with a zero-based position), or null.
+ */
+function buildNodeTree(source) {
+  const root = { children: [] };
+  const stack = [root];
+  yaml.load(source, {
+    listener(event, state) {
+      if (event === "open") {
+        const node = {
+          kind: null,
+          result: null,
+          line: state.line,
+          column: state.position - state.lineStart,
+          children: [],
+        };
+        stack[stack.length - 1].children.push(node);
+        stack.push(node);
+      } else {
+        const node = stack.pop();
+        node.kind = state.kind;
+        node.result = state.result;
+      }
+    },
+  });
+  return root.children[0] || null;
+}
+
+/**
+ * Skips the wrapper nodes js-yaml composes around block sequence items.
+ * @param {object} node - A tree node.
+ * @returns {object} The innermost node with the same content.
+ */
+function unwrap(node) {
+  let current = node;
+  while (
+    current.children.length === 1 &&
+    current.children[0].kind === current.kind &&
+    current.children[0].result === current.result
+  ) {
+    current = current.children[0];
+  }
+  return current;
+}
+
+/**
+ * Finds the entries with a key among the entries of a mapping or sequence node, the
+ * way the test plan lists them: sequence items are either plain strings or mappings
+ * whose entries belong to the sequence.
+ * @param {object} node - The mapping or sequence node.
+ * @param {string} key - The key to find.
+ * @returns {Array<{line: number, value: object|null}>} The zero-based line of each
+ * matching key and its value node, in document order.
+ */
+function findEntries(node, key) {
+  const current = unwrap(node);
+  const entries = [];
+  if (current.kind === "mapping") {
+    for (let index = 0; index < current.children.length; index += 2) {
+      const keyNode = unwrap(current.children[index]);
+      if (String(keyNode.result) === key) {
+        entries.push({
+          line: keyNode.line,
+          value: current.children[index + 1] || null,
+        });
+      }
+    }
+  } else if (current.kind === "sequence") {
+    for (const child of current.children) {
+      const item = unwrap(child);
+      if (item.kind === "scalar" && String(item.result) === key) {
+        entries.push({ line: item.line, value: null });
+      }
+      if (item.kind === "mapping") entries.push(...findEntries(item, key));
+    }
+  }
+  return entries;
+}
+
+/**
+ * Finds the lines of every entry at a key path, following each matching key.
+ * @param {object|null} node - The node to search from.
+ * @param {Array<string>} keyPath - The keys leading to the entries.
+ * @returns {number[]} The zero-based lines of the entries, in document order.
+ */
+function findAllLines(node, keyPath) {
+  if (!node) return [];
+  const [key, ...rest] = keyPath;
+  return findEntries(node, key).flatMap((entry) =>
+    rest.length === 0 ? [entry.line] : findAllLines(entry.value, rest)
+  );
+}
+
+/**
+ * Locates the line of a YAML entry from the keys leading to it.
+ * @param {string} source - The YAML source.
+ * @param {Array<string>} keyPath - The keys from the document root to the entry.
+ * @param {number} [occurrence=0] - Which of the entries declared at the same key path
+ * to locate, counting from 0, for entries declared more than once.
+ * @returns {number|null} The one-based line of the entry's key, or of the deepest
+ * ancestor that could be found; null if none could be found.
+ */
+function locateYamlKey(source, keyPath, occurrence = 0) {
+  const root = buildNodeTree(source);
+  if (occurrence > 0 && keyPath.length > 0) {
+    const lines = findAllLines(root, keyPath);
+    if (occurrence < lines.length) return lines[occurrence] + 1;
+  }
+  let node = root;
+  let line = null;
+  for (const key of keyPath) {
+    if (!node) break;
+    const [entry] = findEntries(node, key);
+    if (!entry) break;
+    line = entry.line + 1;
+    node = entry.value;
+  }
+  return line;
+}
+
+/**
+ * Locates a value in a YAML document from the keys and indexes leading to it, as in
+ * a JSON pointer. Mapping values are located at their key, so that problems with a
+ * value point at the entry declaring it.
+ * @param {string} source - The YAML source.
+ * @param {Array<string>} segments - The keys and sequence indexes from the document root.
+ * @returns {{line: number, column: number}|null} The one-based position of the value, or
+ * of the deepest ancestor that could be found; null if the document is empty.
+ */
+function locateYamlPointer(source, segments) {
+  let node = buildNodeTree(source);
+  if (!node) return null;
+  let position = unwrap(node);
+  for (const segment of segments) {
+    const current = unwrap(node);
+    let next = null;
+    if (current.kind === "mapping") {
+      for (let index = 0; index < current.children.length; index += 2) {
+        const keyNode = unwrap(current.children[index]);
+        if (String(keyNode.result) === segment) {
+          position = keyNode;
+          next = current.children[index + 1] || null;
+          break;
+        }
+      }
+    } else if (current.kind === "sequence" && /^\d+$/.test(segment)) {
+      next = current.children[Number(segment)] || null;
+      if (next) position = unwrap(next);
+    }
+    if (!next) break;
+    node = next;
+  }
+  return { line: position.line + 1, column: position.column + 1 };
+}
+
+module.exports = {
+  locateYamlKey,
+  locateYamlPointer,
+};
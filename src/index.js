@@ -0,0 +1,261 @@
+/**
+ * @file src/index.js
+ * @description The programmatic API of TestWeaver, for build scripts and test setups.
+ * Unlike the CLI, these functions do not log or exit the process: they return their
+ * results with structured diagnostics (`{ severity, message }` objects, where severity
+ * is 'error', 'warning' or 'info') and throw when the configuration is unusable.
+ * Relative paths are resolved against the current working directory, as in the CLI.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const path = require("path");
+
+const { resolveConfig } = require("./config/configLoader");
+const {
+  compileSource,
+  createStepDiagnostics,
+  generateFile,
+  renderDefinition,
+} = require("./core/fileProcessor");
+const {
+  findDefinitionFiles,
+  parseTestDefinition,
+} = require("./core/definitionLoader");
+const { getOutputFilePath } = require("./core/outputPaths");
+const { loadManifest, saveManifest } = require("./core/manifest");
+const { addChecksum } = require("./core/generatedHeader");
+const { deleteOutputFile, watchDefinitions } = require("./core/watcher");
+
+/**
+ * Normalizes the patterns argument of the API functions.
+ * @param {string|string[]|undefined} patterns - One or more glob patterns.
+ * @returns {string[]} The patterns.
+ */
+function toPatternList(patterns) {
+  if (!patterns) return [];
+  return Array.isArray(patterns) ? patterns : [patterns];
+}
+
+/**
+ * Loads the configuration the way the CLI does: the built-in defaults, overridden by
+ * `testweaver.json` (or `options.config`), overridden by the options.
+ * @param {object} [options={}] - Configuration overrides, named like the keys of
+ * `testweaver.json` (`framework`, `testKeyword`, `outputFileName`, `outDir`, `merge`,
+ * `plugins`, ...), plus `config` (the path to a configuration file) and `patterns`.
+ * @returns {{config: object, source: string, diagnostics: Array<object>}} The consolidated
+ * configuration, a description of where it was loaded from, and warnings about it.
+ * @throws {Error} If the configuration cannot be loaded or is invalid; the individual
+ * problems are listed in the error's `details`.
+ */
+function loadConfig(options = {}) {
+  const { patterns, ...overrides } = options;
+  const { cliConfig, configSource, diagnostics } = resolveConfig(
+    toPatternList(patterns),
+    overrides,
+    __dirname
+  );
+  return { config: cliConfig, source: configSource, diagnostics };
+}
+
+/**
+ * Generates a test file from a YAML definition, without reading a configuration file
+ * or writing anything.
+ * @param {string|object|Array} input - The YAML source, or the parsed definition.
+ * @param {object} [options={}] - Generation options, named like the keys of
+ * `testweaver.json` (`framework`, `testKeyword`, `moduleFormat`, `outputFileName`,
+ * `stepDefinitions`, `templateDir`, `plugins`), plus:
+ * @param {string} [options.config] - A configuration file to apply first.
+ * @param {string} [options.sourcePath] - The path of the YAML file the definition comes
+ * from; relative module paths in `$subject`, `$imports` and `$mocks` are resolved
+ * against it.
+ * @param {string} [options.outputPath] - The path the test file will be written to.
+ * Defaults to the path derived from `sourcePath` and the output settings.
+ * @returns {{content: string, code: string, outputPath: string|null,
+ * diagnostics: Array<object>}} The complete test file (with the checksum in its
+ * generated marker), the generated code without the file template, where the file belongs, and warnings (such as lint warnings and
+ * unmatched steps).
+ * @throws {Error} If the YAML cannot be parsed, the definition is malformed, the
+ * configuration is invalid or the generated code has a syntax error. Syntax errors
+ * and schema violations carry their positions in the error's `diagnostics`.
+ */
+function generate(input, options = {}) {
+  const { sourcePath, outputPath, ...overrides } = options;
+  const absoluteSourcePath = sourcePath ? path.resolve(sourcePath) : null;
+  const parsed =
+    typeof input === "string"
+      ? parseTestDefinition(input, absoluteSourcePath || "definition.yaml")
+      : { content: input };
+  if (typeof parsed.content !== "object" || parsed.content === null) {
+    throw new Error("the definition must be a YAML mapping or sequence.");
+  }
+
+  const { cliConfig, diagnostics } = resolveConfig([], overrides, __dirname, {
+    projectConfig: false,
+  });
+  const absoluteOutputPath = outputPath
+    ? path.resolve(outputPath)
+    : absoluteSourcePath
+    ? getOutputFilePath(absoluteSourcePath, cliConfig)
+    : null;
+  const rendered = renderDefinition(parsed.content, cliConfig, {
+    sourcePath: absoluteSourcePath,
+    outputPath: absoluteOutputPath,
+    locate: parsed.locate,
+    locatePosition: parsed.locatePosition,
+  });
+
+  return {
+    content: addChecksum(rendered.content),
+    code: rendered.code,
+    outputPath: absoluteOutputPath,
+    diagnostics: [
+      ...diagnostics,
+      ...rendered.warnings,
+      ...createStepDiagnostics(rendered.unmatchedSteps, absoluteSourcePath),
+    ],
+  };
+}
+
+/**
+ * Compiles the content of a definition file into test code with a source map, for
+ * running definition files directly through a test runner. The configuration is loaded
+ * as by `loadConfig`, and the code is generated as if the test file lay next to the
+ * definition file.
+ * @param {string} source - The content of the YAML (or `.feature`) file.
+ * @param {string} sourcePath - The path to the file; its extension selects the parser.
+ * @param {object} [options={}] - Configuration overrides, as for `loadConfig`.
+ * @returns {{code: string, map: object, diagnostics: Array<object>}} The test code, a
+ * source map from it to the definition file, and warnings (such as unmatched steps).
+ * @throws {Error} If the configuration is invalid, the definition cannot be parsed or
+ * holds no structure, or generation fails as in `generate`.
+ */
+function transform(source, sourcePath, options = {}) {
+  const { config, diagnostics } = loadConfig(options);
+  const absoluteSourcePath = path.resolve(sourcePath);
+  const { code, map, unmatchedSteps, warnings } = compileSource(
+    source,
+    absoluteSourcePath,
+    config
+  );
+  return {
+    code,
+    map,
+    diagnostics: [
+      ...diagnostics,
+      ...warnings,
+      ...createStepDiagnostics(unmatchedSteps, absoluteSourcePath),
+    ],
+  };
+}
+
+/**
+ * Generates the test files for the definition files matched by patterns, as
+ * `testweaver generate` does. Unless the `cache` option is off, definition files whose
+ * test files are up to date according to the manifest are skipped.
+ * @param {string|string[]} [patterns] - Glob patterns for the definition files.
+ * Defaults to the patterns of the configuration.
+ * @param {object} [options={}] - Configuration overrides, as for `loadConfig`.
+ * @returns {{config: object, results: Array<object>, diagnostics: Array<object>}} The
+ * configuration used, one result per file (`sourcePath`, `outputPath`, `status`,
+ * `content`, `preserved` and `diagnostics`; `status` is 'written', 'unchanged',
+ * 'dry-run', 'skipped' or 'failed', in which case `reason` is 'parse', 'lint',
+ * 'write' or 'generate'), and warnings about the configuration.
+ * @throws {Error} If the configuration cannot be loaded or is invalid, or the manifest
+ * cannot be written.
+ */
+function generateFiles(patterns, options = {}) {
+  const { config, diagnostics } = loadConfig({ ...options, patterns });
+  const manifest =
+    config.cache && !config.isDryRun ? loadManifest(config) : undefined;
+  const results = findDefinitionFiles(config).map((file) =>
+    generateFile(file, config, manifest)
+  );
+  if (manifest) saveManifest(manifest);
+  return { config, results, diagnostics };
+}
+
+/**
+ * Watches definition files and regenerates their test files when they change, as
+ * `testweaver generate --watch` does. Unless `noCleanup` is set, the test file of a
+ * deleted definition is deleted too, unless it was edited by hand or not generated at
+ * all and `force` is not set.
+ * @param {string|string[]} [patterns] - Glob patterns for the definition files.
+ * Defaults to the patterns of the configuration.
+ * @param {object} [options={}] - Configuration overrides, as for `loadConfig`.
+ * @param {function(object): void} [onResult] - Receives a result for every generated
+ * file (as from `generateFiles`), every deleted test file (with the status 'deleted'),
+ * every test file kept although its definition was deleted (with the status 'kept')
+ * and every watch error (with the status 'failed').
+ * @returns {{ready: Promise<void>, close: function(): Promise<void>}} `ready` settles
+ * once the files found initially have been generated; `close` stops watching.
+ * @throws {Error} If the configuration cannot be loaded or is invalid.
+ */
+function watch(patterns, options = {}, onResult = () => {}) {
+  const { config } = loadConfig({ ...options, patterns });
+  const manifest =
+    config.cache && !config.isDryRun ? loadManifest(config) : undefined;
+  const report = (sourcePath, outputPath, status, diagnostics = []) =>
+    onResult({
+      sourcePath,
+      outputPath,
+      status,
+      content: null,
+      preserved: 0,
+      diagnostics,
+    });
+
+  let resolveReady;
+  const ready = new Promise((resolve) => {
+    resolveReady = resolve;
+  });
+  const watcher = watchDefinitions(config, {
+    onReady: () => resolveReady(),
+    onChange(filePath) {
+      const result = generateFile(path.resolve(filePath), config, manifest);
+      if (manifest) {
+        try {
+          saveManifest(manifest);
+        } catch (error) {
+          result.diagnostics.push({ severity: "warning", message: error.message });
+        }
+      }
+      onResult(result);
+    },
+    onUnlink(filePath) {
+      if (config.noCleanup) return;
+      const sourcePath = path.resolve(filePath);
+      try {
+        const outcome = deleteOutputFile(sourcePath, config);
+        if (outcome && outcome.deleted) {
+          report(sourcePath, outcome.outputPath, "deleted");
+        } else if (outcome) {
+          report(sourcePath, outcome.outputPath, "kept", [
+            {
+              severity: "warning",
+              message: `keeping '${outcome.outputPath}': ${outcome.reason}.`,
+            },
+          ]);
+        }
+      } catch (error) {
+        report(sourcePath, null, "failed", [
+          { severity: "error", message: error.message },
+        ]);
+      }
+    },
+    onError: (error) =>
+      report(null, null, "failed", [
+        { severity: "error", message: error.message || String(error) },
+      ]),
+  });
+
+  return { ready, close: () => watcher.close() };
+}
+
+module.exports = {
+  generate,
+  generateFiles,
+  loadConfig,
+  transform,
+  watch,
+};
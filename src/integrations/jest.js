@@ -0,0 +1,92 @@
+/**
+ * @file src/integrations/jest.js
+ * @description A Jest transformer that runs YAML (and `.feature`) test definitions
+ * directly, compiling them in memory instead of writing test files. Register it for
+ * the definition files and let Jest find them:
+ *
+ *   transform: { "\\.test\\.ya?ml$": "test-weaver/src/integrations/jest" },
+ *   testMatch: ["**\/*.test.yaml"],
+ *   moduleFileExtensions: ["js", "yaml"],
+ *
+ * The project's testweaver.json applies, with `framework` defaulting to 'jest'; options
+ * given with the transformer (`["test-weaver/src/integrations/jest", { ... }]`)
+ * override it. The code comes with a source map, so failures point at the definition.
+ * Jest caches the code by definition and configuration: clear its cache (`--no-cache`)
+ * after changing step definitions, templates or plugins.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const crypto = require("crypto");
+const { loadConfig, transform } = require("../index");
+const { log, LOG_LEVELS } = require("../utils/logger");
+const { version } = require("../../package.json");
+
+/**
+ * Builds the configuration overrides for a file.
+ * @param {object} transformerOptions - The options given with the transformer.
+ * @param {object} jestOptions - The options Jest passes to the transformer.
+ * @returns {object} The overrides: Jest as the framework, and ES modules when Jest
+ * runs them natively.
+ */
+function createOverrides(transformerOptions, jestOptions) {
+  return {
+    framework: "jest",
+    moduleFormat: jestOptions && jestOptions.supportsStaticESM ? "esm" : "cjs",
+    ...transformerOptions,
+  };
+}
+
+/**
+ * Creates the transformer.
+ * @param {object} [transformerOptions={}] - Configuration overrides, named like the keys
+ * of testweaver.json.
+ * @returns {{canInstrument: boolean, getCacheKey: function, process: function}} The
+ * Jest transformer.
+ */
+function createTransformer(transformerOptions = {}) {
+  return {
+    canInstrument: false,
+
+    /**
+     * Computes the cache key of a file from its content, path and configuration.
+     * @param {string} sourceText - The definition.
+     * @param {string} sourcePath - The path to the definition file.
+     * @param {object} options - Jest's transform options.
+     * @returns {string} The cache key.
+     */
+    getCacheKey(sourceText, sourcePath, options) {
+      const { config } = loadConfig(createOverrides(transformerOptions, options));
+      return crypto
+        .createHash("sha256")
+        .update([version, sourcePath, sourceText, JSON.stringify(config)].join("\0"))
+        .update(options.configString || "")
+        .digest("hex");
+    },
+
+    /**
+     * Compiles a definition file into Jest tests.
+     * @param {string} sourceText - The definition.
+     * @param {string} sourcePath - The path to the definition file.
+     * @param {object} options - Jest's transform options.
+     * @returns {{code: string, map: object}} The test code and its source map.
+     * @throws {Error} If the definition cannot be compiled.
+     */
+    process(sourceText, sourcePath, options) {
+      const { code, map, diagnostics } = transform(
+        sourceText,
+        sourcePath,
+        createOverrides(transformerOptions, options)
+      );
+      diagnostics.forEach(({ message }) =>
+        log(`⚠️ Warning: ${message}`, LOG_LEVELS.WARN)
+      );
+      return { code, map };
+    },
+  };
+}
+
+module.exports = {
+  ...createTransformer(),
+  createTransformer,
+};
@@ -0,0 +1,60 @@
+/**
+ * @file src/integrations/vitest.js
+ * @description A Vite plugin that lets Vitest run YAML (and `.feature`) test
+ * definitions directly, compiling them in memory instead of writing test files:
+ *
+ *   import testweaver from "test-weaver/src/integrations/vitest";
+ *   export default defineConfig({
+ *     plugins: [testweaver()],
+ *     test: { include: ["**\/*.test.yaml"] },
+ *   });
+ *
+ * The project's testweaver.json applies, with `framework` defaulting to 'vitest'; the
+ * plugin's options override it. The code comes with a source map, so failures point
+ * at the definition.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const { transform } = require("../index");
+
+/** The definition files compiled by default. */
+const DEFAULT_INCLUDE = /\.test\.(ya?ml|feature)$/;
+
+/**
+ * Creates the plugin.
+ * @param {object} [options={}] - Configuration overrides, named like the keys of
+ * testweaver.json, plus:
+ * @param {RegExp} [options.include] - The definition files to compile, matched against
+ * their path. Defaults to `*.test.yaml`, `*.test.yml` and `*.test.feature` files.
+ * @returns {object} The Vite plugin.
+ */
+function testWeaverPlugin(options = {}) {
+  const { include = DEFAULT_INCLUDE, ...overrides } = options;
+  return {
+    name: "testweaver",
+    enforce: "pre",
+
+    /**
+     * Compiles a definition file into Vitest tests.
+     * @param {string} source - The module source.
+     * @param {string} id - The module id: the file path, possibly with a query.
+     * @returns {{code: string, map: object}|null} The test code and its source map, or
+     * null for other modules.
+     * @throws {Error} If the definition cannot be compiled.
+     */
+    transform(source, id) {
+      const [filePath] = id.split("?");
+      if (!include.test(filePath)) return null;
+      const { code, map, diagnostics } = transform(source, filePath, {
+        framework: "vitest",
+        moduleFormat: "esm",
+        ...overrides,
+      });
+      diagnostics.forEach(({ message }) => this.warn(message));
+      return { code, map };
+    },
+  };
+}
+
+module.exports = testWeaverPlugin;
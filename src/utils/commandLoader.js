@@ -2,6 +2,7 @@
  * @file src/utils/commandLoader.js
  * @description Utility to dynamically load Commander.js commands from a specified directory.
  * Recursively scans subdirectories for JavaScript files and registers them as commands.
+ * Commands added by plugins are registered as well.
  * @author Your Name/AI Assistant
  * @license MIT
  */
@@ -9,6 +10,7 @@
 const fs = require("fs");
 const path = require("path");
 const { log, LOG_LEVELS } = require("./logger");
+const { loadPlugins } = require("../core/plugins");
 
 /**
  * Dynamically loads Commander.js commands from a given directory and its subdirectories.
@@ -63,6 +65,29 @@ function loadCommands(program, commandsDirPath, currentSubdir = "") {
   }
 }
 
+/**
+ * Registers the commands added by plugins with the Commander.js program.
+ * A plugin that fails to load is reported and skipped, so that the built-in commands
+ * remain available; generation reports the failure again when it loads the plugins.
+ *
+ * @param {Command} program - The Commander.js program instance to which commands will be added.
+ * @param {string[]} specifiers - The plugins, as declared in the configuration.
+ */
+function loadPluginCommands(program, specifiers) {
+  specifiers.forEach((specifier) => {
+    try {
+      loadPlugins([specifier]).commands.forEach((register) => register(program));
+      log(`Loaded commands of plugin: ${specifier}`, LOG_LEVELS.DEBUG);
+    } catch (error) {
+      log(
+        `❌ Error loading plugin commands: ${error.message}`,
+        LOG_LEVELS.ERROR
+      );
+    }
+  });
+}
+
 module.exports = {
   loadCommands,
+  loadPluginCommands,
 };
@@ -0,0 +1,19 @@
+/**
+ * @file src/utils/exitCodes.js
+ * @description Exit codes of the CLI, so scripts and CI jobs can tell why a run failed.
+ * @author Your Name/AI Assistant
+ * @license MIT
+ */
+
+const EXIT_CODES = {
+  SUCCESS: 0,
+  GENERATION_FAILED: 1, // A file could not be generated for another reason
+  CONFIG_ERROR: 2, // The configuration is invalid or cannot be read
+  PARSE_ERROR: 3, // A definition file cannot be parsed, or is not a valid test plan
+  WRITE_ERROR: 4, // A test file cannot (or may not) be written
+  LINT_ERROR: 5, // A definition file breaks a lint rule set to 'error'
+};
+
+module.exports = {
+  EXIT_CODES,
+};